@@ -0,0 +1,61 @@
+import mysql from "mysql2/promise";
+import { configDotenv } from "dotenv";
+
+// Quiet, since stdout is the stdio transport's channel
+configDotenv({ quiet: true });
+
+// Per query; a hung query fails the tool call instead of blocking the agent
+export const QUERY_TIMEOUT_MS = Number(process.env.DB_QUERY_TIMEOUT_MS) || 10000;
+
+// Shared by the pool and the migration runner
+export const connectionOptions = (): mysql.ConnectionOptions => ({
+	host: process.env.DB_HOST || "localhost",
+	port: Number(process.env.DB_PORT) || 3306,
+	user: process.env.DB_USER || "root",
+	password: process.env.DB_PASSWORD || "",
+	database: process.env.DB_NAME || "rca",
+	connectTimeout: Number(process.env.DB_CONNECT_TIMEOUT_MS) || 10000,
+	// Timestamps are stored and read as UTC
+	timezone: "Z",
+	// DECIMAL amounts come back as numbers rather than strings
+	decimalNumbers: true,
+});
+
+export const db = mysql.createPool({
+	...connectionOptions(),
+	connectionLimit: Number(process.env.DB_POOL_SIZE) || 10,
+	waitForConnections: true,
+	// 0 = no limit on callers waiting for a connection
+	queueLimit: Number(process.env.DB_QUEUE_LIMIT) || 0,
+	idleTimeout: Number(process.env.DB_IDLE_TIMEOUT_MS) || 60000,
+	enableKeepAlive: true,
+});
+
+export const query = async <T = any>(sql: string, values: unknown[] = []) => {
+	const [rows] = await db.query({ sql, timeout: QUERY_TIMEOUT_MS }, values);
+	return rows as T[];
+};
+
+export type DatabaseHealth = {
+	ok: boolean;
+	latencyMs: number;
+	// Latest applied migration; undefined when `npm run migrate` hasn't been run
+	schemaVersion?: number;
+	error?: string;
+};
+
+export const checkDatabaseHealth = async (): Promise<DatabaseHealth> => {
+	const started = Date.now();
+	try {
+		await query("SELECT 1");
+		const latencyMs = Date.now() - started;
+		try {
+			const [row] = await query<{ version: number | null }>("SELECT MAX(version) AS version FROM schema_migrations");
+			return { ok: true, latencyMs, schemaVersion: row?.version ?? undefined };
+		} catch {
+			return { ok: true, latencyMs };
+		}
+	} catch (err: any) {
+		return { ok: false, latencyMs: Date.now() - started, error: err.code || err.message };
+	}
+};
@@ -0,0 +1,19 @@
+import fs from "fs";
+import path from "path";
+import { describe, expect, it } from "vitest";
+import { listMigrations } from "./migrate";
+
+describe("listMigrations", () => {
+	it("lists every migration once, in version order", () => {
+		const migrations = listMigrations();
+		expect(migrations.map((m) => m.version)).toEqual(migrations.map((_, i) => i + 1));
+		expect(migrations[0]).toEqual({ version: 1, name: "create_status", file: "001_create_status.sql" });
+	});
+
+	it("knows every status the sample log uses", () => {
+		const sql = listMigrations()
+			.map((m) => fs.readFileSync(path.join(__dirname, "migrations", m.file), "utf8"))
+			.join("\n");
+		for (const status of ["SUCCESS", "FAILED", "PENDING", "DECLINED"]) expect(sql).toContain(`'${status}'`);
+	});
+});
@@ -0,0 +1,60 @@
+import fs from "fs";
+import path from "path";
+import mysql from "mysql2/promise";
+import { connectionOptions } from "./connection";
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// 001_create_status.sql -> version 1
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+type Migration = { version: number; name: string; file: string };
+
+export const listMigrations = (): Migration[] => {
+	const migrations = fs
+		.readdirSync(MIGRATIONS_DIR)
+		.map((file) => file.match(MIGRATION_FILE))
+		.filter((match): match is RegExpMatchArray => !!match)
+		.map(([file, version, name]) => ({ version: Number(version), name, file }))
+		.sort((a, b) => a.version - b.version);
+
+	const versions = new Set(migrations.map((m) => m.version));
+	if (versions.size !== migrations.length) throw new Error("Two migrations share a version number");
+	return migrations;
+};
+
+// Applies the migrations that haven't run yet, in version order. Each file may hold
+// several statements; MySQL commits DDL implicitly, so a failed migration can leave
+// part of its changes behind and has to be fixed by hand before re-running.
+export const migrate = async () => {
+	const connection = await mysql.createConnection({ ...connectionOptions(), multipleStatements: true });
+	try {
+		await connection.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+			version INT UNSIGNED NOT NULL PRIMARY KEY,
+			name VARCHAR(255) NOT NULL,
+			applied_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+		)`);
+		const [rows] = await connection.query("SELECT version FROM schema_migrations");
+		const applied = new Set((rows as { version: number }[]).map((r) => r.version));
+
+		const pending = listMigrations().filter((m) => !applied.has(m.version));
+		for (const migration of pending) {
+			console.log(`Applying ${migration.file}`);
+			await connection.query(fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), "utf8"));
+			await connection.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [
+				migration.version,
+				migration.name,
+			]);
+		}
+		console.log(pending.length ? `Applied ${pending.length} migration(s)` : "Database is up to date");
+	} finally {
+		await connection.end();
+	}
+};
+
+if (require.main === module) {
+	migrate().catch((err) => {
+		console.error("Migration failed:", err.message);
+		process.exit(1);
+	});
+}
@@ -0,0 +1,11 @@
+CREATE TABLE IF NOT EXISTS status (
+	id TINYINT UNSIGNED NOT NULL PRIMARY KEY,
+	name VARCHAR(32) NOT NULL,
+	UNIQUE KEY uq_status_name (name)
+);
+
+-- Statuses used in the transaction logs
+INSERT IGNORE INTO status (id, name) VALUES
+	(1, 'SUCCESS'),
+	(2, 'FAILED'),
+	(3, 'PENDING');
@@ -0,0 +1,10 @@
+CREATE TABLE IF NOT EXISTS transactions (
+	id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+	user_id VARCHAR(64) NOT NULL,
+	amount DECIMAL(15, 2) NOT NULL,
+	timestamp DATETIME(3) NOT NULL,
+	status_id TINYINT UNSIGNED NOT NULL,
+	CONSTRAINT fk_transactions_status FOREIGN KEY (status_id) REFERENCES status (id),
+	KEY idx_transactions_user (user_id),
+	KEY idx_transactions_timestamp (timestamp)
+);
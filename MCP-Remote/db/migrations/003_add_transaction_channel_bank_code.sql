@@ -0,0 +1,8 @@
+-- Columns and indexes for the search-transactions filters
+ALTER TABLE transactions
+	ADD COLUMN channel VARCHAR(32) NULL,
+	ADD COLUMN bank_code VARCHAR(32) NULL,
+	ADD KEY idx_transactions_status_timestamp (status_id, timestamp),
+	ADD KEY idx_transactions_channel (channel),
+	ADD KEY idx_transactions_bank_code (bank_code),
+	ADD KEY idx_transactions_amount (amount);
@@ -0,0 +1,11 @@
+-- External reference (TXN12456789) as it appears in logs and RCA reports, and the
+-- fields the RCA template reports per transaction
+ALTER TABLE transactions
+	ADD COLUMN reference VARCHAR(64) NULL,
+	ADD COLUMN component VARCHAR(128) NULL,
+	ADD COLUMN failure_reason VARCHAR(128) NULL,
+	ADD COLUMN retry_count INT UNSIGNED NULL,
+	ADD COLUMN final_status VARCHAR(255) NULL,
+	ADD COLUMN root_cause TEXT NULL,
+	ADD COLUMN action_taken TEXT NULL,
+	ADD UNIQUE KEY uq_transactions_reference (reference);
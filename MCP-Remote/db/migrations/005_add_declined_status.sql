@@ -0,0 +1,3 @@
+-- Card and bank declines are logged as DECLINED, separately from FAILED
+INSERT IGNORE INTO status (id, name) VALUES
+	(4, 'DECLINED');
@@ -0,0 +1,62 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { query } from "./connection";
+import { parseLogEntries, SAMPLE_LOG, seed } from "./seed";
+
+vi.mock("./connection", () => ({ query: vi.fn(), db: { end: vi.fn() } }));
+
+const mockedQuery = vi.mocked(query);
+
+describe("parseLogEntries", () => {
+	it("reads every entry of the sample log", () => {
+		const entries = parseLogEntries(fs.readFileSync(SAMPLE_LOG, "utf8"));
+		expect(entries.map((e) => e.TransactionID)).toEqual(["TXN12456789", "TXN12456790", "TXN12456791", "TXN12456792"]);
+		expect(entries[0]).toMatchObject({ Status: "FAILED", "Failure Reason": "GatewayTimeout", RetryCount: "3" });
+	});
+});
+
+describe("seed", () => {
+	beforeEach(() => {
+		mockedQuery.mockReset();
+		mockedQuery.mockImplementation(async (sql: string) =>
+			sql.startsWith("SELECT")
+				? [
+						{ id: 1, name: "SUCCESS" },
+						{ id: 2, name: "FAILED" },
+						{ id: 4, name: "DECLINED" },
+					]
+				: []
+		);
+		vi.spyOn(console, "log").mockImplementation(() => {});
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+	});
+
+	const inserts = () => mockedQuery.mock.calls.filter(([sql]) => sql.includes("INSERT INTO transactions"));
+
+	it("upserts on the reference and lets the database assign the id", async () => {
+		await seed();
+
+		expect(inserts()).toHaveLength(4);
+		const [sql, values] = inserts()[0];
+		expect(sql).toMatch(/INSERT INTO transactions \(reference,/);
+		expect(sql).not.toMatch(/\(id,/);
+		expect(values).toEqual(expect.arrayContaining(["TXN12456789", "U983274", 2500, 2, "HDFC", "GatewayTimeout", 3]));
+		expect((values as unknown[])[0]).toBe("TXN12456789");
+	});
+
+	it("keeps references that share their digits apart", async () => {
+		const log = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "seed-")), "log");
+		const entry = (id: string, status: string) =>
+			`TransactionID: ${id}\nTimestamp: 2025-06-27T10:00:00Z\nUserID: U1\nStatus: ${status}\nAmount: ₹1.00`;
+		const entries = [entry("TXN1001", "FAILED"), entry("UPI-1001", "DECLINED"), entry("X1", "UNKNOWN")];
+		fs.writeFileSync(log, entries.join("\n---\n"));
+
+		await seed(log);
+		fs.rmSync(path.dirname(log), { recursive: true, force: true });
+
+		expect(inserts().map(([, values]) => (values as unknown[])[0])).toEqual(["TXN1001", "UPI-1001"]);
+		expect(console.warn).toHaveBeenCalledWith("Skipping X1: needs a known Status and a Timestamp");
+	});
+});
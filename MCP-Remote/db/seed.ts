@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import { db, query } from "./connection";
+
+// A copy of the RAG service's sample log, inside this package so it is part of the Docker image
+export const SAMPLE_LOG = path.join(__dirname, "fixtures", "transaction.log");
+
+type LogEntry = Record<string, string>;
+
+// The "=== RCA LOG ENTRY ===" / "---" block format the RAG service reads
+export const parseLogEntries = (log: string): LogEntry[] =>
+	log
+		.split(/^-{3,}\s*$/m)
+		.map((block) => {
+			const entry: LogEntry = {};
+			for (const line of block.split(/\r?\n/)) {
+				const match = line.match(/^\s*([^:=]+?)\s*:\s*(.*)$/);
+				if (match) entry[match[1]] = match[2].trim();
+			}
+			return entry;
+		})
+		.filter((entry) => entry.TransactionID);
+
+// ₹10,000.00 -> 10000.00
+const parseAmount = (value = "") => Number(value.replace(/[^\d.-]/g, ""));
+
+// Older entries only mention the bank inside RootCause, e.g. "(BankCode: HDFC)"
+const bankCodeOf = (entry: LogEntry) =>
+	entry.BankCode || Object.values(entry).map((value) => value.match(/BankCode:\s*([A-Za-z0-9]+)/)?.[1]).find(Boolean);
+
+export const seed = async (logPath = SAMPLE_LOG) => {
+	const entries = parseLogEntries(fs.readFileSync(logPath, "utf8"));
+	const statuses = new Map(
+		(await query<{ id: number; name: string }>("SELECT id, name FROM status")).map((s) => [s.name, s.id])
+	);
+
+	let seeded = 0;
+	for (const entry of entries) {
+		const statusId = statuses.get((entry.Status || "").toUpperCase());
+		const timestamp = new Date(entry.Timestamp);
+		if (!statusId || Number.isNaN(timestamp.getTime())) {
+			console.warn(`Skipping ${entry.TransactionID}: needs a known Status and a Timestamp`);
+			continue;
+		}
+
+		// The database assigns the id; the reference is unique, so reseeding updates the same row
+		await query(
+			`INSERT INTO transactions (reference, user_id, amount, timestamp, status_id, channel, bank_code,
+				component, failure_reason, retry_count, final_status, root_cause, action_taken)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), amount = VALUES(amount),
+				timestamp = VALUES(timestamp), status_id = VALUES(status_id),
+				channel = VALUES(channel), bank_code = VALUES(bank_code),
+				component = VALUES(component), failure_reason = VALUES(failure_reason),
+				retry_count = VALUES(retry_count), final_status = VALUES(final_status),
+				root_cause = VALUES(root_cause), action_taken = VALUES(action_taken)`,
+			[
+				entry.TransactionID,
+				entry.UserID || "unknown",
+				parseAmount(entry.Amount),
+				timestamp,
+				statusId,
+				entry.Channel || null,
+				bankCodeOf(entry) || null,
+				entry.Component || null,
+				entry["Failure Reason"] || null,
+				entry.RetryCount ? Number(entry.RetryCount) || 0 : null,
+				entry.FinalStatus || null,
+				entry.RootCause || null,
+				entry.ActionTaken || null,
+			]
+		);
+		seeded++;
+	}
+	console.log(`Seeded ${seeded} of ${entries.length} transaction(s) from ${logPath}`);
+};
+
+if (require.main === module) {
+	seed(process.argv[2])
+		.catch((err) => {
+			console.error("Seeding failed:", err.message);
+			process.exitCode = 1;
+		})
+		.finally(() => db.end());
+}
@@ -0,0 +1,58 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { query } from "./connection";
+import { findTransaction } from "./transactions";
+
+vi.mock("./connection", () => ({ query: vi.fn() }));
+
+const mockedQuery = vi.mocked(query);
+
+describe("findTransaction", () => {
+	beforeEach(() => {
+		mockedQuery.mockReset();
+		mockedQuery.mockResolvedValue([]);
+	});
+
+	const lookups = () =>
+		mockedQuery.mock.calls.map(([sql, values]) => ({ clause: sql.match(/WHERE (.*)\n/)![1].trim(), values }));
+
+	const where = () => lookups()[0];
+
+	it("looks up a number by primary key", async () => {
+		await findTransaction(42);
+		expect(where()).toEqual({ clause: "t.id = ?", values: [42] });
+	});
+
+	it("looks up a TXN reference by reference only", async () => {
+		await findTransaction("TXN12456789");
+		expect(where()).toEqual({ clause: "t.reference = ?", values: ["TXN12456789"] });
+	});
+
+	it("tries a string of digits as primary key once no reference matches", async () => {
+		mockedQuery.mockResolvedValueOnce([]).mockResolvedValueOnce([{ id: 12456789, reference: "TXN1" }]);
+
+		expect(await findTransaction("12456789")).toEqual({ id: 12456789, reference: "TXN1" });
+		expect(lookups()).toEqual([
+			{ clause: "t.reference = ?", values: ["12456789"] },
+			{ clause: "t.id = ?", values: ["12456789"] },
+		]);
+	});
+
+	it("prefers the row whose reference is the digits over the row with that id", async () => {
+		// Row 12456789 exists too, but row 5 was stored under the reference "12456789"
+		mockedQuery.mockResolvedValueOnce([{ id: 5, reference: "12456789" }]);
+
+		expect(await findTransaction("12456789")).toEqual({ id: 5, reference: "12456789" });
+		expect(lookups()).toEqual([{ clause: "t.reference = ?", values: ["12456789"] }]);
+	});
+
+	it("doesn't try a reference that isn't all digits as primary key", async () => {
+		expect(await findTransaction("TXN12456789")).toBeUndefined();
+		expect(mockedQuery).toHaveBeenCalledOnce();
+	});
+
+	it("returns the first row, or undefined", async () => {
+		expect(await findTransaction("TXN0")).toBeUndefined();
+		mockedQuery.mockResolvedValueOnce([{ id: 7, reference: "TXN7" }]);
+		expect(await findTransaction("TXN7")).toEqual({ id: 7, reference: "TXN7" });
+	});
+});
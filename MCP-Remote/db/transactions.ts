@@ -0,0 +1,41 @@
+import { query } from "./connection";
+
+export type TransactionRow = {
+	id: number;
+	reference: string | null;
+	user_id: string;
+	amount: number;
+	timestamp: Date;
+	status_name: string;
+	channel: string | null;
+	bank_code: string | null;
+	component: string | null;
+	failure_reason: string | null;
+	retry_count: number | null;
+	final_status: string | null;
+	root_cause: string | null;
+	action_taken: string | null;
+};
+
+const selectTransaction = async (where: string, value: number | string) => {
+	const rows = await query<TransactionRow>(
+		`SELECT t.*, s.name as status_name
+       FROM transactions t
+       JOIN status s ON t.status_id = s.id
+       WHERE ${where}
+       LIMIT 1`,
+		[value]
+	);
+	return rows[0] as TransactionRow | undefined;
+};
+
+// A number is the primary key; a string is the reference. A string of digits is tried as
+// the primary key only when no reference matches, since it can be one row's reference
+// and another row's id at the same time.
+export const findTransaction = async (transactionId: number | string) => {
+	if (typeof transactionId === "number") return selectTransaction("t.id = ?", transactionId);
+
+	const byReference = await selectTransaction("t.reference = ?", transactionId);
+	if (byReference || !/^\d+$/.test(transactionId)) return byReference;
+	return selectTransaction("t.id = ?", transactionId);
+};
@@ -0,0 +1,119 @@
+import { AddressInfo } from "net";
+import { Server } from "http";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { createHttpApp } from "./http";
+
+vi.mock("./db/connection", () => ({
+	checkDatabaseHealth: vi.fn(async () => ({ ok: true })),
+	query: vi.fn(),
+	db: { end: vi.fn() },
+}));
+
+let server: Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+	process.env.MCP_AUTH_TOKENS = "alpha-token, beta-token";
+	const app = createHttpApp();
+	server = await new Promise<Server>((resolve) => {
+		const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+	});
+	baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+	delete process.env.MCP_AUTH_TOKENS;
+	server.closeAllConnections();
+	await new Promise((resolve) => server.close(resolve));
+});
+
+const INITIALIZE = {
+	jsonrpc: "2.0",
+	id: 1,
+	method: "initialize",
+	params: { protocolVersion: "2025-03-26", capabilities: {}, clientInfo: { name: "test", version: "1.0.0" } },
+};
+
+const post = (body: unknown, headers: Record<string, string> = {}) =>
+	fetch(`${baseUrl}/mcp`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json", Accept: "application/json, text/event-stream", ...headers },
+		body: JSON.stringify(body),
+	});
+
+const bearer = (token: string) => ({ Authorization: `Bearer ${token}` });
+
+const openSession = async (token: string) => {
+	const res = await post(INITIALIZE, bearer(token));
+	expect(res.status).toBe(200);
+	await res.text();
+	const sessionId = res.headers.get("mcp-session-id")!;
+	const initialized = { jsonrpc: "2.0", method: "notifications/initialized" };
+	await (await post(initialized, { ...bearer(token), "Mcp-Session-Id": sessionId })).text();
+	return sessionId;
+};
+
+describe("HTTP transport auth", () => {
+	it("rejects requests without a bearer token", async () => {
+		const res = await post(INITIALIZE);
+		expect(res.status).toBe(401);
+		expect(res.headers.get("www-authenticate")).toMatch(/^Bearer/);
+	});
+
+	it("rejects unknown tokens", async () => {
+		const res = await post(INITIALIZE, bearer("gamma-token"));
+		expect(res.status).toBe(401);
+		expect(await res.json()).toMatchObject({ error: "invalid_token" });
+	});
+
+	it("guards the SSE fallback too", async () => {
+		expect((await fetch(`${baseUrl}/sse`)).status).toBe(401);
+		expect((await fetch(`${baseUrl}/messages?sessionId=x`, { method: "POST" })).status).toBe(401);
+	});
+
+	it("leaves /health open", async () => {
+		const res = await fetch(`${baseUrl}/health`);
+		expect(res.status).toBe(200);
+		expect(await res.json()).toMatchObject({ status: "ok" });
+	});
+});
+
+describe("HTTP transport sessions", () => {
+	it("needs an initialize request before anything else", async () => {
+		const res = await post({ jsonrpc: "2.0", id: 1, method: "tools/list" }, bearer("alpha-token"));
+		expect(res.status).toBe(400);
+	});
+
+	it("serves the session to the token that opened it", async () => {
+		const sessionId = await openSession("alpha-token");
+		const res = await post(
+			{ jsonrpc: "2.0", id: 2, method: "tools/list" },
+			{ ...bearer("alpha-token"), "Mcp-Session-Id": sessionId }
+		);
+		expect(res.status).toBe(200);
+		expect(await res.text()).toContain("search-transactions");
+	});
+
+	it("hides a session from every other token", async () => {
+		const sessionId = await openSession("alpha-token");
+		const res = await post(
+			{ jsonrpc: "2.0", id: 2, method: "tools/list" },
+			{ ...bearer("beta-token"), "Mcp-Session-Id": sessionId }
+		);
+		expect(res.status).toBe(404);
+
+		const deleted = await fetch(`${baseUrl}/mcp`, {
+			method: "DELETE",
+			headers: { ...bearer("beta-token"), "Mcp-Session-Id": sessionId },
+		});
+		expect(deleted.status).toBe(404);
+	});
+
+	it("ends a session on DELETE", async () => {
+		const sessionId = await openSession("beta-token");
+		const headers = { ...bearer("beta-token"), "Mcp-Session-Id": sessionId };
+
+		expect((await fetch(`${baseUrl}/mcp`, { method: "DELETE", headers })).status).toBe(200);
+		expect((await post({ jsonrpc: "2.0", id: 3, method: "tools/list" }, headers)).status).toBe(404);
+	});
+});
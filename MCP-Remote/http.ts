@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import { Server } from "http";
+import express, { NextFunction, Request, Response } from "express";
+import cors from "cors";
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { requireBearerAuth } from "@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js";
+import { InvalidTokenError } from "@modelcontextprotocol/sdk/server/auth/errors.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+
+import { createServer } from "./server";
+import { checkDatabaseHealth, db } from "./db/connection";
+
+const PORT = Number(process.env.MCP_PORT) || 3112;
+const HOST = process.env.MCP_HOST || "0.0.0.0";
+// Sessions idle for longer than this are closed
+const SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS) || 30 * 60 * 1000;
+const MAX_SESSIONS = Number(process.env.MCP_MAX_SESSIONS) || 100;
+
+type Session = {
+	transport: StreamableHTTPServerTransport | SSEServerTransport;
+	server: McpServer;
+	// The token that opened the session; no other token may use it
+	clientId: string;
+	lastSeen: number;
+};
+
+const sessions = new Map<string, Session>();
+
+const sha256 = (value: string) => crypto.createHash("sha256").update(value).digest();
+
+const authTokens = () =>
+	(process.env.MCP_AUTH_TOKENS || "")
+		.split(",")
+		.map((token) => token.trim())
+		.filter(Boolean)
+		.map(sha256);
+
+// Static bearer tokens from MCP_AUTH_TOKENS, compared by hash in constant time
+const bearerAuth = () => {
+	if (process.env.MCP_AUTH_DISABLED === "true") {
+		console.error("MCP_AUTH_DISABLED=true: the HTTP transport accepts unauthenticated requests");
+		return (req: Request, _res: Response, next: NextFunction) => {
+			req.auth = { token: "", clientId: "anonymous", scopes: [] };
+			next();
+		};
+	}
+
+	const tokens = authTokens();
+	if (!tokens.length) {
+		throw new Error("Set MCP_AUTH_TOKENS for the HTTP transport, or MCP_AUTH_DISABLED=true for local development");
+	}
+	return requireBearerAuth({
+		verifier: {
+			verifyAccessToken: async (token) => {
+				const hash = sha256(token);
+				if (!tokens.some((known) => crypto.timingSafeEqual(known, hash))) {
+					throw new InvalidTokenError("Invalid token");
+				}
+				return { token, clientId: `token:${hash.toString("hex").slice(0, 16)}`, scopes: [] };
+			},
+		},
+	});
+};
+
+// MCP_CORS_ORIGINS: comma-separated origins, or * for any. Unset allows no cross-origin callers.
+const corsOptions = (): cors.CorsOptions => {
+	const origins = (process.env.MCP_CORS_ORIGINS || "")
+		.split(",")
+		.map((origin) => origin.trim())
+		.filter(Boolean);
+	return {
+		origin: origins.includes("*") ? true : origins,
+		allowedHeaders: ["Content-Type", "Authorization", "Mcp-Session-Id", "Mcp-Protocol-Version", "Last-Event-ID"],
+		exposedHeaders: ["Mcp-Session-Id"],
+	};
+};
+
+const rpcError = (res: Response, status: number, message: string) => {
+	res.status(status).json({ jsonrpc: "2.0", error: { code: -32000, message }, id: null });
+};
+
+// The session a request refers to, if it exists, has the expected transport and belongs to the caller
+const findSession = <T extends Session["transport"]>(
+	req: Request,
+	sessionId: string | undefined,
+	type: new (...args: any[]) => T
+) => {
+	const session = sessionId ? sessions.get(sessionId) : undefined;
+	if (!session || !(session.transport instanceof type) || session.clientId !== req.auth?.clientId) return undefined;
+	session.lastSeen = Date.now();
+	return session.transport as T;
+};
+
+const addSession = (req: Request, sessionId: string, transport: Session["transport"], server: McpServer) => {
+	sessions.set(sessionId, { transport, server, clientId: req.auth!.clientId, lastSeen: Date.now() });
+};
+
+const closeSession = async (sessionId: string) => {
+	const session = sessions.get(sessionId);
+	if (!session) return;
+	sessions.delete(sessionId);
+	await session.server.close().catch((err) => console.error(`Could not close session ${sessionId}:`, err));
+};
+
+const handleErrors =
+	(handler: (req: Request, res: Response) => Promise<void>) => async (req: Request, res: Response) => {
+		try {
+			await handler(req, res);
+		} catch (err) {
+			console.error("MCP request failed:", err);
+			if (!res.headersSent) rpcError(res, 500, "Internal server error");
+		}
+	};
+
+export const createHttpApp = () => {
+	const app = express();
+	const auth = bearerAuth();
+
+	app.use(cors(corsOptions()));
+
+	app.get("/health", async (_req: Request, res: Response) => {
+		const database = await checkDatabaseHealth();
+		res.status(database.ok ? 200 : 503).json({ status: database.ok ? "ok" : "degraded", sessions: sessions.size, database });
+	});
+
+	// Streamable HTTP: POST carries requests, GET opens the server-to-client stream, DELETE ends the session
+	app.post(
+		"/mcp",
+		auth,
+		express.json({ limit: "1mb" }),
+		handleErrors(async (req, res) => {
+			const sessionId = req.header("mcp-session-id");
+			let transport = findSession(req, sessionId, StreamableHTTPServerTransport);
+
+			if (!transport) {
+				if (sessionId) return rpcError(res, 404, "Session not found");
+				if (!isInitializeRequest(req.body)) return rpcError(res, 400, "No session; send an initialize request first");
+				if (sessions.size >= MAX_SESSIONS) return rpcError(res, 503, "Too many open sessions");
+
+				const server = createServer();
+				const created: StreamableHTTPServerTransport = new StreamableHTTPServerTransport({
+					sessionIdGenerator: () => crypto.randomUUID(),
+					// Called while the initialize request is handled, once the session id exists
+					onsessioninitialized: (id) => addSession(req, id, created, server),
+				});
+				// Set before connecting, since connect() chains onto it
+				created.onclose = () => {
+					if (created.sessionId) sessions.delete(created.sessionId);
+				};
+				await server.connect(created);
+				transport = created;
+			}
+
+			await transport.handleRequest(req, res, req.body);
+		})
+	);
+
+	const handleSessionRequest = handleErrors(async (req, res) => {
+		const transport = findSession(req, req.header("mcp-session-id"), StreamableHTTPServerTransport);
+		if (!transport) return rpcError(res, 404, "Session not found");
+		await transport.handleRequest(req, res);
+	});
+	app.get("/mcp", auth, handleSessionRequest);
+	app.delete("/mcp", auth, handleSessionRequest);
+
+	// SSE fallback for clients of the older HTTP+SSE protocol: GET /sse opens the stream,
+	// POST /messages?sessionId=... carries the requests
+	app.get(
+		"/sse",
+		auth,
+		handleErrors(async (req, res) => {
+			if (sessions.size >= MAX_SESSIONS) return rpcError(res, 503, "Too many open sessions");
+			const server = createServer();
+			const transport = new SSEServerTransport("/messages", res);
+			addSession(req, transport.sessionId, transport, server);
+			transport.onclose = () => {
+				sessions.delete(transport.sessionId);
+			};
+			res.on("close", () => closeSession(transport.sessionId));
+			await server.connect(transport);
+		})
+	);
+
+	app.post(
+		"/messages",
+		auth,
+		express.json({ limit: "1mb" }),
+		handleErrors(async (req, res) => {
+			const sessionId = typeof req.query.sessionId === "string" ? req.query.sessionId : undefined;
+			const transport = findSession(req, sessionId, SSEServerTransport);
+			if (!transport) return rpcError(res, 404, "Session not found");
+			await transport.handlePostMessage(req, res, req.body);
+		})
+	);
+
+	return app;
+};
+
+export const startHttpServer = async () => {
+	const app = createHttpApp();
+
+	const sweep = setInterval(() => {
+		const expired = Date.now() - SESSION_TTL_MS;
+		for (const [id, session] of sessions) if (session.lastSeen < expired) closeSession(id);
+	}, 60 * 1000);
+	sweep.unref();
+
+	const server = await new Promise<Server>((resolve) => {
+		const listening = app.listen(PORT, HOST, () => resolve(listening));
+	});
+	console.error(`RCA MCP Server running via HTTP on ${HOST}:${PORT} (Streamable HTTP at /mcp, SSE at /sse)`);
+
+	const shutdown = async () => {
+		clearInterval(sweep);
+		await Promise.all([...sessions.keys()].map(closeSession));
+		server.close();
+		await db.end();
+	};
+	process.once("SIGTERM", shutdown);
+	process.once("SIGINT", shutdown);
+	return server;
+};
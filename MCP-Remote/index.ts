@@ -1,26 +1,39 @@
-import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 
-import { getTransactionDetailsTool } from "./tools/get-transaction-details";
+import { createServer } from "./server";
+import { startHttpServer } from "./http";
+import { checkDatabaseHealth } from "./db/connection";
 
 import { configDotenv } from "dotenv";
-configDotenv();
+configDotenv({ quiet: true });
 
-const server = new McpServer({
-	name: "rca-mcp-server",
-	version: "1.0.0",
-});
-
-server.tool(
-	getTransactionDetailsTool.name,
-	getTransactionDetailsTool.description,
-	getTransactionDetailsTool.inputSchema,
-	getTransactionDetailsTool.handler
-);
+// --transport=http|stdio, or MCP_TRANSPORT; stdio by default
+const transportOption = () => {
+	const flag = process.argv.find((arg) => arg.startsWith("--transport="))?.split("=")[1];
+	const transport = (flag || process.env.MCP_TRANSPORT || "stdio").toLowerCase();
+	if (transport !== "stdio" && transport !== "http") {
+		throw new Error(`Unknown transport "${transport}"; use stdio or http`);
+	}
+	return transport;
+};
 
 async function main() {
-	const transport = new StdioServerTransport();
-	await server.connect(transport);
+	const transport = transportOption();
+
+	// Tools still register without a database; their calls fail until it's reachable
+	const health = await checkDatabaseHealth();
+	if (!health.ok) {
+		console.error(`Database unreachable (${health.error}); check DB_HOST/DB_PORT/DB_USER/DB_NAME`);
+	} else if (health.schemaVersion === undefined) {
+		console.error("Database has no schema yet; run `npm run migrate` and `npm run seed`");
+	}
+
+	if (transport === "http") {
+		await startHttpServer();
+		return;
+	}
+
+	await createServer().connect(new StdioServerTransport());
 	console.error("RCA MCP Server running via stdio");
 }
 
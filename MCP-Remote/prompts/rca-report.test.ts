@@ -0,0 +1,96 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { McpError } from "@modelcontextprotocol/sdk/types.js";
+import { findTransaction, TransactionRow } from "../db/transactions";
+import { buildRcaPrompt, RcaServiceError } from "../services/rca-service";
+import { rcaReportPrompt } from "./rca-report";
+
+vi.mock("../db/transactions", () => ({ findTransaction: vi.fn() }));
+vi.mock("../services/rca-service", async (importOriginal) => ({
+	...(await importOriginal<typeof import("../services/rca-service")>()),
+	buildRcaPrompt: vi.fn(),
+}));
+
+const mockedFind = vi.mocked(findTransaction);
+const mockedBuild = vi.mocked(buildRcaPrompt);
+
+const ROW: TransactionRow = {
+	id: 7,
+	reference: "TXN12456791",
+	user_id: "U555123",
+	amount: 1100,
+	timestamp: new Date("2025-06-27T10:30:00Z"),
+	status_name: "FAILED",
+	channel: "DebitCard",
+	bank_code: "SBI",
+	component: "CardAuthService",
+	failure_reason: "InsufficientFunds",
+	retry_count: 0,
+	final_status: "DECLINED",
+	root_cause: "Balance below ₹1100.00 for U555123 at SBI",
+	action_taken: null,
+};
+
+describe("rca-report prompt", () => {
+	beforeEach(() => {
+		mockedFind.mockReset();
+		mockedFind.mockImplementation(async (id) => (id === "TXN12456791" ? ROW : undefined));
+		mockedBuild.mockReset();
+		mockedBuild.mockResolvedValue({ promptVersion: 4, systemPrompt: "You write RCAs.", prompt: "# The RCA prompt" });
+	});
+
+	it("is the prompt the RAG service builds for the transactions", async () => {
+		const result = await rcaReportPrompt.handler({ transactions: "TXN12456791", instructions: " Answer in English. " });
+
+		expect(result).toEqual({
+			description: "RCA for TXN12456791",
+			messages: [{ role: "user", content: { type: "text", text: "# The RCA prompt" } }],
+		});
+		expect(mockedBuild).toHaveBeenCalledWith({
+			transactions: [
+				{
+					Timestamp: "2025-06-27T10:30:00.000Z",
+					TransactionID: "TXN12456791",
+					UserID: "U555123",
+					Channel: "DebitCard",
+					BankCode: "SBI",
+					Status: "FAILED",
+					Amount: "₹1100.00",
+					"Failure Reason": "InsufficientFunds",
+					Component: "CardAuthService",
+					RetryCount: "0",
+					RootCause: "Balance below ₹1100.00 for U555123 at SBI",
+					FinalStatus: "DECLINED",
+					"Source File": "transactions database",
+				},
+			],
+			categories: [],
+			instructions: "Answer in English.",
+		});
+	});
+
+	it("passes the categories on as a list", async () => {
+		await rcaReportPrompt.handler({
+			transactions: "TXN12456791, TXN12456791",
+			categories: "Gateway Timeout, ,card-expired",
+		});
+
+		expect(mockedBuild.mock.calls[0][0]).toMatchObject({ categories: ["Gateway Timeout", "card-expired"] });
+		expect(mockedBuild.mock.calls[0][0].transactions).toHaveLength(2);
+	});
+
+	it("fails when the RAG service can't build it", async () => {
+		mockedBuild.mockRejectedValue(new RcaServiceError("RCA service answered 401 for /rca/prompt"));
+
+		const prompt = rcaReportPrompt.handler({ transactions: "TXN12456791" });
+		await expect(prompt).rejects.toThrow(McpError);
+		await expect(prompt).rejects.toThrow("Could not build the RCA prompt: RCA service answered 401 for /rca/prompt");
+	});
+
+	it("names the transactions it can't find", async () => {
+		await expect(rcaReportPrompt.handler({ transactions: "TXN12456791, TXN0" })).rejects.toThrow(McpError);
+		await expect(rcaReportPrompt.handler({ transactions: "TXN12456791, TXN0" })).rejects.toThrow(
+			"No transaction found for TXN0"
+		);
+		expect(mockedBuild).not.toHaveBeenCalled();
+	});
+});
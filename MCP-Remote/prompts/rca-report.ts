@@ -0,0 +1,87 @@
+import { z } from "zod";
+import { ErrorCode, GetPromptResult, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { findTransaction, TransactionRow } from "../db/transactions";
+import { buildRcaPrompt, RcaServiceError } from "../services/rca-service";
+
+const argsSchema = {
+	transactions: z.string().describe("Comma-separated transaction IDs or references, e.g. TXN12456789,TXN12456791"),
+	categories: z
+		.string()
+		.optional()
+		.describe(
+			"Comma-separated knowledge-base categories to ground every transaction with; " +
+				"by default a transaction gets the category matching its failure reason"
+		),
+	instructions: z.string().optional().describe("Extra instructions, added under the house rules"),
+};
+
+const splitList = (value?: string) =>
+	(value || "")
+		.split(",")
+		.map((item) => item.trim())
+		.filter(Boolean);
+
+// The "Key: Value" fields of a log entry, which is what the RAG service builds prompts from.
+// Values go over raw; the RAG service redacts them before they go into the prompt.
+const toLogFields = (t: TransactionRow) =>
+	Object.fromEntries(
+		(
+			[
+				["Timestamp", new Date(t.timestamp).toISOString()],
+				["TransactionID", t.reference || t.id],
+				["UserID", t.user_id],
+				["Channel", t.channel],
+				["BankCode", t.bank_code],
+				["Status", t.status_name],
+				["Amount", `₹${Number(t.amount).toFixed(2)}`],
+				["Failure Reason", t.failure_reason],
+				["Component", t.component],
+				["RetryCount", t.retry_count],
+				["RootCause", t.root_cause],
+				["ActionTaken", t.action_taken],
+				["FinalStatus", t.final_status],
+				["Source File", "transactions database"],
+			] as [string, unknown][]
+		)
+			.filter(([, value]) => value !== null && value !== undefined && value !== "")
+			.map(([key, value]) => [key, String(value)])
+	);
+
+export const rcaReportPrompt = {
+	name: "rca-report",
+	description:
+		"Root Cause Analysis of transactions in the house format (TransactionID / Details / Root Cause / " +
+		"Corrective Actions), grounded in the knowledge-base runbooks for each failure",
+	argsSchema,
+	handler: async ({ transactions, categories, instructions }: {
+		transactions: string;
+		categories?: string;
+		instructions?: string;
+	}): Promise<GetPromptResult> => {
+		const ids = splitList(transactions);
+		if (!ids.length) throw new McpError(ErrorCode.InvalidParams, "Pass at least one transaction ID or reference");
+
+		const rows = await Promise.all(ids.map((id) => findTransaction(id)));
+		const missing = ids.filter((_, i) => !rows[i]);
+		if (missing.length) throw new McpError(ErrorCode.InvalidParams, `No transaction found for ${missing.join(", ")}`);
+
+		// Template, grounding and redaction all live in the RAG service, so the prompt can't
+		// drift from the one POST /rca sends
+		let prompt: string;
+		try {
+			({ prompt } = await buildRcaPrompt({
+				transactions: rows.map((row) => toLogFields(row!)),
+				categories: splitList(categories),
+				instructions: instructions?.trim() || undefined,
+			}));
+		} catch (err) {
+			if (!(err instanceof RcaServiceError)) throw err;
+			throw new McpError(ErrorCode.InternalError, `Could not build the RCA prompt: ${err.message}`);
+		}
+
+		return {
+			description: `RCA for ${ids.join(", ")}`,
+			messages: [{ role: "user", content: { type: "text", text: prompt } }],
+		};
+	},
+};
@@ -0,0 +1,68 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { InMemoryTransport } from "@modelcontextprotocol/sdk/inMemory.js";
+import { listCategories, listKnowledgeEntries } from "../services/rca-service";
+import { createServer } from "../server";
+
+vi.mock("../db/connection", () => ({ query: vi.fn() }));
+vi.mock("../services/rca-service", async (importOriginal) => ({
+	...(await importOriginal<typeof import("../services/rca-service")>()),
+	listCategories: vi.fn(),
+	listKnowledgeEntries: vi.fn(),
+}));
+
+const ENTRY = {
+	id: "1",
+	category: "gateway timeout",
+	text: "Gateway did not answer.",
+	tags: ["upi"],
+	owner: "ops",
+	createdAt: "2025-01-01",
+	updatedAt: "2025-01-02",
+};
+
+// Goes through a real MCP client, so the template is matched the way it is in production
+const connect = async () => {
+	const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+	const client = new Client({ name: "test", version: "1.0.0" });
+	await Promise.all([createServer().connect(serverTransport), client.connect(clientTransport)]);
+	return client;
+};
+
+describe("kb-category resource", () => {
+	beforeEach(() => {
+		vi.mocked(listCategories).mockResolvedValue(["gateway timeout", "insufficient-funds"]);
+		vi.mocked(listKnowledgeEntries).mockImplementation(async (category) =>
+			category === ENTRY.category ? [ENTRY] : []
+		);
+	});
+
+	it("lists one encoded URI per category", async () => {
+		const { resources } = await (await connect()).listResources();
+		expect(resources.map((r) => r.uri)).toEqual(["kb://category/gateway%20timeout", "kb://category/insufficient-funds"]);
+	});
+
+	it("reads a listed URI back as Markdown", async () => {
+		const client = await connect();
+		const { contents } = await client.readResource({ uri: "kb://category/gateway%20timeout" });
+
+		expect(listKnowledgeEntries).toHaveBeenCalledWith("gateway timeout");
+		expect(contents[0]).toMatchObject({ mimeType: "text/markdown" });
+		expect(contents[0].text).toContain("# gateway timeout\n\nGateway did not answer.");
+		expect(contents[0].text).toContain("_Owner: ops · Tags: upi · Updated: 2025-01-02 · ID: 1_");
+	});
+
+	it("rejects unknown categories", async () => {
+		await expect((await connect()).readResource({ uri: "kb://category/nope" })).rejects.toThrow(
+			"Unknown knowledge-base category nope"
+		);
+	});
+
+	it("completes category names", async () => {
+		const { completion } = await (await connect()).complete({
+			ref: { type: "ref/resource", uri: "kb://category/{name}" },
+			argument: { name: "name", value: "ins" },
+		});
+		expect(completion.values).toEqual(["insufficient-funds"]);
+	});
+});
@@ -0,0 +1,45 @@
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { ErrorCode, McpError, ReadResourceResult } from "@modelcontextprotocol/sdk/types.js";
+import { KnowledgeEntry, listCategories, listKnowledgeEntries } from "../services/rca-service";
+
+// read() decodes the name again
+const categoryUri = (category: string) => `kb://category/${encodeURIComponent(category)}`;
+
+const formatEntry = (entry: KnowledgeEntry) =>
+	[
+		entry.text,
+		"",
+		`_Owner: ${entry.owner}${entry.tags.length ? ` · Tags: ${entry.tags.join(", ")}` : ""} · Updated: ${entry.updatedAt} · ID: ${entry.id}_`,
+	].join("\n");
+
+const formatCategory = (category: string, entries: KnowledgeEntry[]) =>
+	[`# ${category}`, entries.map(formatEntry).join("\n\n---\n\n")].join("\n\n");
+
+export const knowledgeBaseResource = {
+	name: "kb-category",
+	template: new ResourceTemplate("kb://category/{name}", {
+		list: async () => ({
+			resources: (await listCategories()).map((category) => ({
+				uri: categoryUri(category),
+				name: category,
+				description: `Runbooks for ${category} failures`,
+				mimeType: "text/markdown",
+			})),
+		}),
+		complete: {
+			name: async (value) => (await listCategories()).filter((category) => category.startsWith(value)),
+		},
+	}),
+	metadata: {
+		description: "RCA knowledge-base runbooks of one category, as used to ground RCA reports",
+		mimeType: "text/markdown",
+	},
+	read: async (uri: URL, { name }: { name?: string | string[] }): Promise<ReadResourceResult> => {
+		const category = decodeURIComponent(String(name));
+		const entries = await listKnowledgeEntries(category);
+		if (!entries.length) throw new McpError(ErrorCode.InvalidParams, `Unknown knowledge-base category ${category}`);
+		return {
+			contents: [{ uri: uri.href, mimeType: "text/markdown", text: formatCategory(category, entries) }],
+		};
+	},
+};
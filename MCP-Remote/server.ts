@@ -0,0 +1,43 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+
+import { getTransactionDetailsTool } from "./tools/get-transaction-details";
+import { searchTransactionsTool } from "./tools/search-transactions";
+import { knowledgeBaseResource } from "./resources/knowledge-base";
+import { rcaReportPrompt } from "./prompts/rca-report";
+
+// An McpServer serves a single transport, so the HTTP transport creates one per session
+export const createServer = () => {
+	const server = new McpServer({
+		name: "rca-mcp-server",
+		version: "1.0.0",
+	});
+
+	server.tool(
+		getTransactionDetailsTool.name,
+		getTransactionDetailsTool.description,
+		getTransactionDetailsTool.inputSchema.shape,
+		getTransactionDetailsTool.handler
+	);
+
+	// Registered with an output schema so clients get the results as structured content too
+	server.registerTool(
+		searchTransactionsTool.name,
+		{
+			description: searchTransactionsTool.description,
+			inputSchema: searchTransactionsTool.inputSchema.shape,
+			outputSchema: searchTransactionsTool.outputSchema.shape,
+		},
+		searchTransactionsTool.handler
+	);
+
+	server.resource(
+		knowledgeBaseResource.name,
+		knowledgeBaseResource.template,
+		knowledgeBaseResource.metadata,
+		knowledgeBaseResource.read
+	);
+
+	server.prompt(rcaReportPrompt.name, rcaReportPrompt.description, rcaReportPrompt.argsSchema, rcaReportPrompt.handler);
+
+	return server;
+};
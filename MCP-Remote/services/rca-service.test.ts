@@ -0,0 +1,79 @@
+import { createServer, IncomingMessage, Server } from "http";
+import { AddressInfo } from "net";
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+
+type Received = { method?: string; url?: string; apiKey?: string; body: string };
+
+let server: Server;
+let received: Received[] = [];
+let status = 200;
+let rcaService: typeof import("./rca-service");
+
+const readBody = async (req: IncomingMessage) => {
+	let body = "";
+	for await (const chunk of req) body += chunk;
+	return body;
+};
+
+// Stands in for the RAG service; /rca/prompt echoes what it was sent
+beforeAll(async () => {
+	server = createServer(async (req, res) => {
+		const body = await readBody(req);
+		received.push({ method: req.method, url: req.url, apiKey: req.headers["x-api-key"] as string, body });
+		res.statusCode = status;
+		res.setHeader("Content-Type", "application/json");
+		if (req.url === "/rca/prompt") {
+			res.end(JSON.stringify({ promptVersion: 4, systemPrompt: "", prompt: body }));
+			return;
+		}
+		if (req.url?.startsWith("/kb")) {
+			res.end(JSON.stringify([{ category: "b" }, { category: "a" }, { category: "b" }]));
+			return;
+		}
+		res.statusCode = 404;
+		res.end("{}");
+	});
+	await new Promise<void>((resolve) => server.listen(0, "127.0.0.1", resolve));
+	process.env.RCA_API_URL = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+	process.env.RCA_API_KEY = "tenant-key";
+	rcaService = await import("./rca-service");
+});
+
+afterAll(async () => {
+	delete process.env.RCA_API_URL;
+	delete process.env.RCA_API_KEY;
+	await new Promise((resolve) => server.close(resolve));
+});
+
+describe("RCA service client", () => {
+	it("posts the transactions to /rca/prompt with the API key", async () => {
+		received = [];
+		const body = { transactions: [{ TransactionID: "TXN1" }], categories: ["gateway-timeout"] };
+
+		const { prompt } = await rcaService.buildRcaPrompt(body);
+		expect(JSON.parse(prompt)).toEqual(body);
+		expect(received).toMatchObject([{ method: "POST", url: "/rca/prompt", apiKey: "tenant-key" }]);
+	});
+
+	it("reads the knowledge base with the API key", async () => {
+		received = [];
+
+		expect(await rcaService.listCategories()).toEqual(["a", "b"]);
+		await rcaService.listKnowledgeEntries("gateway-timeout");
+		expect(received.map((r) => [r.url, r.apiKey])).toEqual([
+			["/kb", "tenant-key"],
+			["/kb?category=gateway-timeout", "tenant-key"],
+		]);
+	});
+
+	it("fails with the status the RAG service answered", async () => {
+		status = 401;
+		try {
+			const prompt = rcaService.buildRcaPrompt({ transactions: [{ TransactionID: "TXN1" }] });
+			await expect(prompt).rejects.toThrow(rcaService.RcaServiceError);
+			await expect(prompt).rejects.toThrow("RCA service answered 401 for /rca/prompt");
+		} finally {
+			status = 200;
+		}
+	});
+});
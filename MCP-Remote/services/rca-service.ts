@@ -0,0 +1,62 @@
+// Client of the RAG service. The knowledge base is read through its /kb API and the
+// rca-report prompt is built by its /rca/prompt, so the MCP server sees the same runbooks,
+// template and redaction (and, with an API key, the same tenant) as RCA generation
+
+const RCA_API_URL = process.env.RCA_API_URL || "http://localhost:3111";
+const REQUEST_TIMEOUT_MS = Number(process.env.RCA_API_TIMEOUT_MS) || 10000;
+
+export type KnowledgeEntry = {
+	id: string;
+	category: string;
+	text: string;
+	tags: string[];
+	owner: string;
+	createdAt: string;
+	updatedAt: string;
+};
+
+export type RcaPromptRequest = {
+	// Log-style fields, e.g. { TransactionID: "TXN12456789", "Failure Reason": "GatewayTimeout" }
+	transactions: Record<string, string>[];
+	categories?: string[];
+	instructions?: string;
+};
+
+export type RcaPrompt = {
+	promptVersion: number;
+	systemPrompt: string;
+	prompt: string;
+};
+
+export class RcaServiceError extends Error {}
+
+const request = async <T>(url: URL, init: RequestInit = {}): Promise<T> => {
+	let res: globalThis.Response;
+	try {
+		res = await fetch(url, {
+			...init,
+			headers: { ...init.headers, ...(process.env.RCA_API_KEY ? { "X-API-Key": process.env.RCA_API_KEY } : {}) },
+			signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+		});
+	} catch (err: any) {
+		throw new RcaServiceError(`RCA service unreachable at ${RCA_API_URL}: ${err.message}`);
+	}
+	if (!res.ok) throw new RcaServiceError(`RCA service answered ${res.status} for ${url.pathname}`);
+	return (await res.json()) as T;
+};
+
+export const listKnowledgeEntries = async (category?: string) => {
+	const url = new URL("/kb", RCA_API_URL);
+	if (category) url.searchParams.set("category", category);
+	return request<KnowledgeEntry[]>(url);
+};
+
+export const listCategories = async () =>
+	[...new Set((await listKnowledgeEntries()).map((entry) => entry.category))].sort();
+
+export const buildRcaPrompt = (body: RcaPromptRequest) =>
+	request<RcaPrompt>(new URL("/rca/prompt", RCA_API_URL), {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(body),
+	});
@@ -0,0 +1,52 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { findTransaction, TransactionRow } from "../db/transactions";
+import { getTransactionDetailsTool } from "./get-transaction-details";
+
+vi.mock("../db/transactions", () => ({ findTransaction: vi.fn() }));
+
+const mockedFind = vi.mocked(findTransaction);
+
+const ROW: TransactionRow = {
+	id: 7,
+	reference: "TXN12456791",
+	user_id: "U555123",
+	amount: 1100,
+	timestamp: new Date("2025-06-27T10:30:00Z"),
+	status_name: "FAILED",
+	channel: "DebitCard",
+	bank_code: "SBI",
+	component: "CardAuthService",
+	failure_reason: "InsufficientFunds",
+	retry_count: 0,
+	final_status: "DECLINED",
+	root_cause: null,
+	action_taken: null,
+};
+
+const textOf = async (transactionId: string | number) => {
+	const result = await getTransactionDetailsTool.handler(getTransactionDetailsTool.inputSchema.parse({ transactionId }));
+	return (result.content[0] as { text: string }).text;
+};
+
+describe("get-transaction-details", () => {
+	beforeEach(() => {
+		mockedFind.mockReset();
+	});
+
+	it("shows the RCA fields of a transaction found by reference", async () => {
+		mockedFind.mockResolvedValue(ROW);
+		const text = await textOf(" TXN12456791 ");
+
+		expect(mockedFind).toHaveBeenCalledWith("TXN12456791");
+		expect(text).toContain("Reference: TXN12456791");
+		expect(text).toContain("Amount: ₹1100.00");
+		expect(text).toContain("Retry Count: 0");
+		expect(text).toContain("Final Status: DECLINED");
+		expect(text).not.toContain("Root Cause");
+	});
+
+	it("says so when nothing matches", async () => {
+		mockedFind.mockResolvedValue(undefined);
+		expect(await textOf(99)).toBe("No transaction found with ID or reference 99.");
+	});
+});
@@ -1,33 +1,52 @@
 import { z } from "zod";
-import { db } from "../db/connection";
+import { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { findTransaction } from "../db/transactions";
+
+const inputSchema = z.object({
+	transactionId: z
+		.union([z.number().int().positive(), z.string().trim().min(1)])
+		.describe("Numeric transaction ID, or the reference used in logs and RCA reports, e.g. TXN12456789"),
+});
+
+const formatAmount = (amount: number) => `₹${Number(amount).toFixed(2)}`;
 
 export const getTransactionDetailsTool = {
 	name: "get-transaction-details",
-	description: "Fetch details of a specific transaction",
-	inputSchema: z.object({
-		transactionId: z.number().describe("Transaction ID"),
-	}),
-	handler: async ({ transactionId }) => {
-		const [rows] = await db.query(
-			`SELECT t.*, s.name as status_name
-       FROM transactions t
-       JOIN status s ON t.status_id = s.id
-       WHERE t.id = ?`,
-			[transactionId]
-		);
-
-		if ((rows as any[]).length === 0) {
+	description: "Fetch details of a specific transaction by ID or reference (TXN12456789)",
+	inputSchema,
+	handler: async ({ transactionId }: z.infer<typeof inputSchema>): Promise<CallToolResult> => {
+		const t = await findTransaction(transactionId);
+		if (!t) {
 			return {
-				content: [{ type: "text", text: "No transaction found with that ID." }],
+				content: [{ type: "text", text: `No transaction found with ID or reference ${transactionId}.` }],
 			};
 		}
 
-		const t = (rows as any)[0];
+		// Everything the Details section of an RCA report uses, plus what the log said happened
+		const fields: [string, unknown][] = [
+			["Transaction ID", t.id],
+			["Reference", t.reference],
+			["User", t.user_id],
+			["Amount", formatAmount(t.amount)],
+			["Time", new Date(t.timestamp).toISOString()],
+			["Channel", t.channel],
+			["Bank Code", t.bank_code],
+			["Status", t.status_name],
+			["Failure Reason", t.failure_reason],
+			["Component", t.component],
+			["Retry Count", t.retry_count],
+			["Final Status", t.final_status],
+			["Root Cause", t.root_cause],
+			["Action Taken", t.action_taken],
+		];
 		return {
 			content: [
 				{
 					type: "text",
-					text: `Transaction ID: ${t.id}\nUser: ${t.user_id}\nAmount: ₹${t.amount}\nTime: ${t.timestamp}\nStatus: ${t.status_name}`,
+					text: fields
+						.filter(([, value]) => value !== null && value !== undefined && value !== "")
+						.map(([label, value]) => `${label}: ${value}`)
+						.join("\n"),
 				},
 			],
 		};
@@ -0,0 +1,95 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { query } from "../db/connection";
+import { searchTransactionsTool } from "./search-transactions";
+
+vi.mock("../db/connection", () => ({ query: vi.fn() }));
+
+const mockedQuery = vi.mocked(query);
+
+// Two rows share a timestamp, so paging has to break the tie on id
+const ROWS = [
+	{ id: 1, ts: "2025-06-27T10:00:00.000Z" },
+	{ id: 2, ts: "2025-06-27T10:05:00.000Z" },
+	{ id: 3, ts: "2025-06-27T10:05:00.000Z" },
+	{ id: 4, ts: "2025-06-27T10:10:00.000Z" },
+	{ id: 5, ts: "2025-06-27T10:15:00.000Z" },
+].map(({ id, ts }) => ({
+	id,
+	reference: `TXN${id}`,
+	user_id: "U1",
+	amount: "100.00",
+	timestamp: new Date(ts),
+	status_name: "FAILED",
+	channel: "UPI",
+	bank_code: "HDFC",
+}));
+
+// Newest first, applying the keyset condition the way MySQL would
+const fakeDatabase = async (sql: string, values: unknown[] = []) => {
+	const limit = values[values.length - 1] as number;
+	let rows = [...ROWS].sort((a, b) => b.timestamp.getTime() - a.timestamp.getTime() || b.id - a.id);
+	if (sql.includes("t.id < ?")) {
+		const [after, , id] = values.slice(-4, -1) as [Date, Date, number];
+		rows = rows.filter((r) => r.timestamp < after || (r.timestamp.getTime() === after.getTime() && r.id < id));
+	}
+	return rows.slice(0, limit);
+};
+
+const search = (args: Record<string, unknown>) =>
+	searchTransactionsTool.handler(searchTransactionsTool.inputSchema.parse(args));
+
+describe("search-transactions", () => {
+	beforeEach(() => {
+		mockedQuery.mockReset();
+		mockedQuery.mockImplementation(fakeDatabase as typeof query);
+	});
+
+	it("walks every row exactly once, page by page", async () => {
+		const seen: string[] = [];
+		let cursor: string | undefined;
+		let pages = 0;
+		do {
+			const result = await search({ limit: 2, cursor });
+			const page = result.structuredContent as { transactions: { reference: string }[]; nextCursor?: string };
+			seen.push(...page.transactions.map((t) => t.reference));
+			cursor = page.nextCursor;
+			pages++;
+		} while (cursor);
+
+		expect(seen).toEqual(["TXN5", "TXN4", "TXN3", "TXN2", "TXN1"]);
+		expect(pages).toBe(3);
+	});
+
+	it("asks for one row more than the page to know whether there is another", async () => {
+		const result = await search({ limit: 5 });
+		const values = mockedQuery.mock.calls[0][1]!;
+		expect(values[values.length - 1]).toBe(6);
+		expect(result.structuredContent).toMatchObject({ hasMore: false, nextCursor: undefined });
+		expect(result.content[0]).toMatchObject({ text: expect.stringContaining("No more results.") });
+	});
+
+	it("turns filters into placeholders, never into SQL text", async () => {
+		await search({ status: "FAILED' OR 1=1 --", minAmount: 10, from: "2025-06-27T00:00:00Z" });
+		const [sql, values] = mockedQuery.mock.calls[0];
+		expect(sql).toContain("s.name = ?");
+		expect(sql).not.toContain("OR 1=1");
+		expect(values).toEqual(["FAILED' OR 1=1 --", 10, new Date("2025-06-27T00:00:00Z"), 21]);
+	});
+
+	it("rejects a cursor from a search with another sort, and garbage", async () => {
+		const first = await search({ limit: 1 });
+		const { nextCursor } = first.structuredContent as { nextCursor: string };
+
+		const resorted = await search({ limit: 1, cursor: nextCursor, order: "asc" });
+		expect(resorted.isError).toBe(true);
+		expect(resorted.content[0]).toMatchObject({ text: expect.stringContaining("different sort") });
+
+		const garbage = await search({ cursor: "not-a-cursor" });
+		expect(garbage).toMatchObject({ isError: true, content: [{ text: "Invalid cursor" }] });
+		expect(mockedQuery).toHaveBeenCalledTimes(1);
+	});
+
+	it("caps the page size", () => {
+		expect(() => searchTransactionsTool.inputSchema.parse({ limit: 1000 })).toThrow();
+	});
+});
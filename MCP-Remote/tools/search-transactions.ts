@@ -0,0 +1,169 @@
+import { z } from "zod";
+import { CallToolResult } from "@modelcontextprotocol/sdk/types.js";
+import { query } from "../db/connection";
+
+// Hard cap on rows per call, whatever limit the agent asks for
+const MAX_ROWS = Number(process.env.SEARCH_MAX_ROWS) || 100;
+
+const SORT_COLUMNS = { timestamp: "t.timestamp", amount: "t.amount" } as const;
+
+const isoDate = z.string().refine((value) => !Number.isNaN(Date.parse(value)), "must be an ISO date/time");
+
+const inputSchema = z.object({
+	status: z.string().optional().describe("Status name, e.g. FAILED or SUCCESS"),
+	userId: z.string().optional().describe("User ID, e.g. U983274"),
+	channel: z.string().optional().describe("Payment channel, e.g. UPI, NetBanking, DebitCard"),
+	bankCode: z.string().optional().describe("Bank code, e.g. HDFC"),
+	minAmount: z.number().nonnegative().optional().describe("Minimum amount in ₹, inclusive"),
+	maxAmount: z.number().nonnegative().optional().describe("Maximum amount in ₹, inclusive"),
+	from: isoDate.optional().describe("Transactions at or after this ISO date/time"),
+	to: isoDate.optional().describe("Transactions at or before this ISO date/time"),
+	sortBy: z.enum(["timestamp", "amount"]).default("timestamp"),
+	order: z.enum(["asc", "desc"]).default("desc"),
+	limit: z.number().int().min(1).max(MAX_ROWS).default(20).describe(`Rows per page, at most ${MAX_ROWS}`),
+	cursor: z.string().optional().describe("nextCursor from the previous page; keep the other arguments the same"),
+});
+
+const transactionSchema = z.object({
+	id: z.number(),
+	// TXN12456789, as in logs and RCA reports
+	reference: z.string().nullable(),
+	userId: z.string(),
+	amount: z.number(),
+	timestamp: z.string(),
+	status: z.string(),
+	channel: z.string().nullable(),
+	bankCode: z.string().nullable(),
+});
+
+const outputSchema = z.object({
+	transactions: z.array(transactionSchema),
+	hasMore: z.boolean(),
+	nextCursor: z.string().optional(),
+});
+
+type SearchInput = z.infer<typeof inputSchema>;
+type SearchResult = z.infer<typeof outputSchema>;
+
+// Keyset cursor: the sort value and id of the last row, so pages stay stable while rows are added
+type Cursor = { sortBy: SearchInput["sortBy"]; order: SearchInput["order"]; value: string | number; id: number };
+
+class CursorError extends Error {}
+
+const encodeCursor = (cursor: Cursor) => Buffer.from(JSON.stringify(cursor)).toString("base64url");
+
+const decodeCursor = (value: string, { sortBy, order }: SearchInput): Cursor => {
+	let cursor: Cursor;
+	try {
+		cursor = JSON.parse(Buffer.from(value, "base64url").toString("utf8"));
+	} catch {
+		throw new CursorError("Invalid cursor");
+	}
+	if (cursor?.sortBy !== sortBy || cursor.order !== order || typeof cursor.id !== "number") {
+		throw new CursorError("The cursor belongs to a search with a different sort; start again without it");
+	}
+	return cursor;
+};
+
+const buildQuery = (input: SearchInput) => {
+	const where: string[] = [];
+	const values: unknown[] = [];
+	const add = (clause: string, ...params: unknown[]) => {
+		where.push(clause);
+		values.push(...params);
+	};
+
+	if (input.status) add("s.name = ?", input.status);
+	if (input.userId) add("t.user_id = ?", input.userId);
+	if (input.channel) add("t.channel = ?", input.channel);
+	if (input.bankCode) add("t.bank_code = ?", input.bankCode);
+	if (input.minAmount !== undefined) add("t.amount >= ?", input.minAmount);
+	if (input.maxAmount !== undefined) add("t.amount <= ?", input.maxAmount);
+	if (input.from) add("t.timestamp >= ?", new Date(input.from));
+	if (input.to) add("t.timestamp <= ?", new Date(input.to));
+
+	const column = SORT_COLUMNS[input.sortBy];
+	const direction = input.order === "asc" ? "ASC" : "DESC";
+	if (input.cursor) {
+		const cursor = decodeCursor(input.cursor, input);
+		const value = input.sortBy === "timestamp" ? new Date(cursor.value) : cursor.value;
+		const after = input.order === "asc" ? ">" : "<";
+		add(`(${column} ${after} ? OR (${column} = ? AND t.id ${after} ?))`, value, value, cursor.id);
+	}
+
+	// One extra row tells whether there is another page
+	values.push(Math.min(input.limit, MAX_ROWS) + 1);
+	return {
+		sql: `SELECT t.id, t.reference, t.user_id, t.amount, t.timestamp, s.name AS status_name, t.channel, t.bank_code
+			FROM transactions t
+			JOIN status s ON t.status_id = s.id
+			${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+			ORDER BY ${column} ${direction}, t.id ${direction}
+			LIMIT ?`,
+		values,
+	};
+};
+
+const formatResult = ({ transactions, hasMore, nextCursor }: SearchResult) => {
+	if (!transactions.length) return "No transactions match those filters.";
+	const lines = transactions.map((t) =>
+		[
+			t.reference || `#${t.id}`,
+			t.timestamp,
+			t.status,
+			`₹${t.amount.toFixed(2)}`,
+			t.channel || "-",
+			t.bankCode || "-",
+			`user ${t.userId}`,
+		].join("  ")
+	);
+	const footer = hasMore ? `More results: call again with cursor "${nextCursor}".` : "No more results.";
+	return [`${transactions.length} transaction(s):`, ...lines, footer].join("\n");
+};
+
+export const searchTransactionsTool = {
+	name: "search-transactions",
+	description:
+		"Find transactions by status, user, channel, bank code, amount range and time window. " +
+		"Results are paged; pass nextCursor back to get the next page.",
+	inputSchema,
+	outputSchema,
+	handler: async (input: SearchInput): Promise<CallToolResult> => {
+		let sql;
+		try {
+			sql = buildQuery(input);
+		} catch (err) {
+			if (err instanceof CursorError) return { isError: true, content: [{ type: "text", text: err.message }] };
+			throw err;
+		}
+
+		const rows = await query(sql.sql, sql.values);
+		const page = rows.slice(0, input.limit);
+		const transactions = page.map((row) => ({
+			id: Number(row.id),
+			reference: row.reference,
+			userId: row.user_id,
+			amount: Number(row.amount),
+			timestamp: new Date(row.timestamp).toISOString(),
+			status: row.status_name,
+			channel: row.channel,
+			bankCode: row.bank_code,
+		}));
+
+		const hasMore = rows.length > page.length;
+		const last = transactions[transactions.length - 1];
+		const result: SearchResult = {
+			transactions,
+			hasMore,
+			nextCursor:
+				hasMore && last
+					? encodeCursor({ sortBy: input.sortBy, order: input.order, value: last[input.sortBy], id: last.id })
+					: undefined,
+		};
+
+		return {
+			content: [{ type: "text", text: formatResult(result) }],
+			structuredContent: result,
+		};
+	},
+};
@@ -0,0 +1,136 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AddressInfo } from "net";
+import { Server } from "http";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { createApp } from "./app";
+import { getTenant } from "./config/tenants";
+import { toTransactionRecord } from "./parsers/transactionLog";
+import { generateRCA, PreparedRCA } from "./services/rcaService";
+import { recordRCA } from "./services/reportHistory";
+
+vi.mock("./services/knowledgeSync", () => ({ syncKnowledgeVectors: vi.fn() }));
+vi.mock("./services/rcaService", async (importOriginal) => ({
+	...(await importOriginal<typeof import("./services/rcaService")>()),
+	generateRCA: vi.fn(),
+}));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "tenant-isolation-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.RCA_TENANTS = JSON.stringify([
+	{ id: "cards", apiKeys: ["cards-key"] },
+	{ id: "loans", apiKeys: ["loans-key"] },
+]);
+
+const uploadDir = path.join(process.cwd(), "uploads");
+const uploadsBefore = new Set(fs.readdirSync(uploadDir));
+
+let server: Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+	server = await new Promise<Server>((resolve) => {
+		const listening = createApp().listen(0, "127.0.0.1", () => resolve(listening));
+	});
+	baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+	server.closeAllConnections();
+	await new Promise((resolve) => server.close(resolve));
+	fs.rmSync(dataDir, { recursive: true, force: true });
+	// Staged stream uploads that were never streamed
+	for (const file of fs.readdirSync(uploadDir)) {
+		if (!uploadsBefore.has(file)) fs.rmSync(path.join(uploadDir, file), { force: true });
+	}
+});
+
+const as =
+	(key: string) =>
+	(url: string, init: RequestInit = {}) =>
+		fetch(`${baseUrl}${url}`, { ...init, headers: { "X-API-Key": key, ...init.headers } });
+
+const cards = as("cards-key");
+const loans = as("loans-key");
+
+const postJson = (body: unknown): RequestInit => ({
+	method: "POST",
+	headers: { "Content-Type": "application/json" },
+	body: JSON.stringify(body),
+});
+
+const logUpload = () => {
+	const form = new FormData();
+	form.append("logfile", new Blob(["TransactionID: TXN1\nStatus: FAILED\n"]), "app.log");
+	return form;
+};
+
+// A stored report of the cards tenant, as the RCA routes would leave it
+const cardsReport = () =>
+	recordRCA(
+		{
+			tenant: getTenant("cards")!,
+			input: { hash: "h", files: [] },
+			transactions: [toTransactionRecord({ TransactionID: "TXN1", Status: "FAILED" }, 1)],
+			contexts: [],
+			systemPrompt: "",
+			prompt: "",
+			promptVersion: 1,
+		} as PreparedRCA,
+		{ report: "# RCA", engine: "rules" }
+	)!;
+
+describe("tenant isolation", () => {
+	it("hides another tenant's RCA job", async () => {
+		vi.mocked(generateRCA).mockResolvedValue({ report: "# RCA", engine: "rules" });
+		const created = await cards("/rca/jobs", { method: "POST", body: logUpload() });
+		expect(created.status).toBe(202);
+		const { id } = await created.json();
+
+		expect((await cards(`/rca/jobs/${id}`)).status).toBe(200);
+		expect((await loans(`/rca/jobs/${id}`)).status).toBe(404);
+		expect((await loans(`/rca/jobs/${id}/result`)).status).toBe(404);
+	});
+
+	it("hides another tenant's reports", async () => {
+		const id = cardsReport();
+
+		expect((await cards(`/rca/reports/${id}`)).status).toBe(200);
+		expect((await loans(`/rca/reports/${id}`)).status).toBe(404);
+		expect(await (await loans("/rca/reports")).json()).toMatchObject({ total: 0 });
+	});
+
+	it("hides another tenant's knowledge-base entries", async () => {
+		const created = await cards("/kb", postJson({ category: "card-expired", text: "Ask for a new card.", owner: "ops" }));
+		expect(created.status).toBe(201);
+		const { id } = await created.json();
+
+		expect((await loans(`/kb/${id}`)).status).toBe(404);
+		expect((await loans(`/kb/${id}`, { ...postJson({ text: "Changed." }), method: "PUT" })).status).toBe(404);
+		expect((await loans(`/kb/${id}`, { method: "DELETE" })).status).toBe(404);
+		expect((await (await loans("/kb")).json()).map((e: { id: string }) => e.id)).not.toContain(id);
+		expect((await (await cards(`/kb/${id}`)).json()).text).toBe("Ask for a new card.");
+	});
+
+	it("doesn't stream another tenant's staged upload", async () => {
+		const staged = await cards("/rca/stream/uploads", { method: "POST", body: logUpload() });
+		expect(staged.status).toBe(201);
+		const { id } = await staged.json();
+
+		const stolen = await fetch(`${baseUrl}/rca/stream/${id}?access_token=loans-key`);
+		expect(stolen.status).toBe(404);
+		expect(await stolen.json()).toEqual({ error: "Upload not found" });
+	});
+
+	it("keeps feedback to the tenant that owns the report", async () => {
+		const id = cardsReport();
+		const feedback = { transactionId: "TXN1", rating: 2, author: "ops" };
+
+		expect((await cards(`/rca/reports/${id}/feedback`, postJson(feedback))).status).toBe(201);
+		expect((await loans(`/rca/reports/${id}/feedback`, postJson(feedback))).status).toBe(404);
+		expect((await loans(`/rca/reports/${id}/feedback`)).status).toBe(404);
+		expect(await (await loans("/rca/feedback")).json()).toEqual([]);
+		expect(await (await cards("/rca/feedback")).json()).toHaveLength(1);
+	});
+});
@@ -1,17 +1,46 @@
+// First, so .env is loaded before any module below reads its settings at import time
+import "dotenv/config";
 import express from "express";
 import bodyParser from "body-parser";
-import { configDotenv } from "dotenv";
 import rcaRoute from "./routes/rcaRoute";
+import jobRoute from "./routes/jobRoute";
+import streamRoute from "./routes/streamRoute";
+import summaryRoute from "./routes/summaryRoute";
+import kbRoute from "./routes/kbRoute";
+import reportRoute from "./routes/reportRoute";
+import feedbackRoute from "./routes/feedbackRoute";
+import promptRoute from "./routes/promptRoute";
+import { authenticate } from "./middleware/auth";
+import { rateLimit } from "./middleware/rateLimit";
+import { pruneRCAJobs, restoreRCAJobs } from "./services/jobQueue";
 import { setupSwagger } from "./swagger";
 
-configDotenv();
+export const createApp = () => {
+	const app = express();
+	app.use(bodyParser.json());
 
-const app = express();
-app.use(bodyParser.json());
+	setupSwagger(app);
 
-setupSwagger(app);
+	// Every RCA and knowledge-base route runs as the caller's tenant, within its rate limit
+	app.use(["/rca", "/kb"], authenticate, rateLimit);
 
-app.use("/rca", rcaRoute);
+	app.use("/rca/jobs", jobRoute);
+	app.use("/rca/stream", streamRoute);
+	app.use("/rca/summary", summaryRoute);
+	app.use("/rca/reports", reportRoute);
+	app.use("/rca/feedback", feedbackRoute);
+	app.use("/rca/prompt", promptRoute);
+	app.use("/rca", rcaRoute);
+	app.use("/kb", kbRoute);
+	return app;
+};
 
-const PORT = process.env.PORT || 3111;
-app.listen(PORT, () => console.log(`RCA Generator running on port ${PORT}`));
+// Only when run as the server, so tests can import createApp without restoring jobs or listening
+if (require.main === module) {
+	restoreRCAJobs();
+	pruneRCAJobs();
+	setInterval(pruneRCAJobs, 60 * 60 * 1000).unref();
+
+	const PORT = process.env.PORT || 3111;
+	createApp().listen(PORT, () => console.log(`RCA Generator running on port ${PORT}`));
+}
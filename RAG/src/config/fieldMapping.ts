@@ -0,0 +1,69 @@
+import fs from "fs";
+
+// Canonical field names are the keys of the "=== RCA LOG ENTRY ===" format.
+// Each maps to the vendor-specific names it may appear under in other formats.
+export type FieldMapping = Record<string, string[]>;
+
+// Dotted names are nested JSON keys, flattened by the jsonl reader ({"error":{"reason":"x"}})
+export const DEFAULT_FIELD_MAPPING: FieldMapping = {
+	TransactionID: [
+		"transaction_id",
+		"txn_id",
+		"txnid",
+		"txn_ref",
+		"transaction_ref",
+		"rrn",
+		"transaction.id",
+		"txn.id",
+		"payment.id",
+	],
+	Timestamp: ["time", "ts", "datetime", "created_at", "event_time", "@timestamp", "event.time", "event.created"],
+	UserID: ["user_id", "user", "customer_id", "payer_id", "user.id", "customer.id", "payer.id"],
+	Channel: ["channel", "payment_mode", "payment_method", "mode", "payment.channel", "payment.method", "payment.mode"],
+	BankCode: ["bank_code", "bank", "issuer", "issuer_bank", "bank.code", "issuer.code"],
+	Status: ["status", "txn_status", "state", "transaction.status", "txn.status", "payment.status"],
+	Amount: ["amount", "amt", "txn_amount", "amount.value", "transaction.amount", "txn.amount", "payment.amount"],
+	"Failure Reason": [
+		"failure_reason",
+		"reason",
+		"error_reason",
+		"decline_reason",
+		"error",
+		"error.reason",
+		"error.message",
+		"failure.reason",
+		"decline.reason",
+	],
+	Component: ["component", "service", "source", "module", "service.name", "component.name"],
+	RetryCount: ["retry_count", "retries", "attempts", "retry.count"],
+	RootCause: ["root_cause", "error.root_cause"],
+	ActionTaken: ["action_taken", "action"],
+	ResolutionTime: ["resolution_time"],
+	ProcessingTime: ["processing_time", "latency", "latency.ms"],
+	Remarks: ["remarks", "message", "msg"],
+	BalanceBefore: ["balance_before", "balance.before"],
+	BalanceAfter: ["balance_after", "balance.after"],
+	FinalStatus: ["final_status"],
+};
+
+// LOG_FIELD_MAPPING holds extra aliases as JSON, or a path to a JSON file
+const loadConfiguredMapping = (): FieldMapping => {
+	const configured = process.env.LOG_FIELD_MAPPING;
+	if (!configured) return {};
+	const json = configured.trim().startsWith("{") ? configured : fs.readFileSync(configured, "utf-8");
+	return JSON.parse(json);
+};
+
+// Later mappings add aliases on top of the defaults; they never remove any
+export const mergeFieldMappings = (...mappings: (FieldMapping | undefined)[]): FieldMapping => {
+	const merged: FieldMapping = {};
+	for (const mapping of mappings) {
+		for (const [field, aliases] of Object.entries(mapping || {})) {
+			merged[field] = [...new Set([...(merged[field] || []), ...aliases])];
+		}
+	}
+	return merged;
+};
+
+export const getFieldMapping = (overrides?: FieldMapping) =>
+	mergeFieldMappings(DEFAULT_FIELD_MAPPING, loadConfiguredMapping(), overrides);
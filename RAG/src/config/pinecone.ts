@@ -3,8 +3,16 @@ import { configDotenv } from "dotenv";
 
 configDotenv();
 
-const pc = new Pinecone({
-	apiKey: process.env.PINECONE_API_KEY!,
-});
+let index: ReturnType<Pinecone["index"]> | undefined;
 
-export const pineconeIndex = pc.index("rca-rag", process.env.PINECONE_HOST);
+// Created on first use so the service can start without Pinecone credentials
+// when VECTOR_STORE=local
+export const getPineconeIndex = () => {
+	if (!index) {
+		const pc = new Pinecone({
+			apiKey: process.env.PINECONE_API_KEY!,
+		});
+		index = pc.index("rca-rag", process.env.PINECONE_HOST);
+	}
+	return index;
+};
@@ -0,0 +1,69 @@
+import fs from "fs";
+import { FieldMapping, mergeFieldMappings } from "./fieldMapping";
+
+// Knowledge base category -> values of one log field that point at it.
+// Matching ignores case, spaces and punctuation, so "GatewayTimeout" also
+// catches "gateway_timeout" and "Gateway Timeout".
+export type RuleMapping = Record<string, string[]>;
+
+export type RcaRules = {
+	reasons: RuleMapping;
+	components: RuleMapping;
+	bankCodes: RuleMapping;
+};
+
+export const DEFAULT_RCA_RULES: RcaRules = {
+	reasons: {
+		"gateway-timeout": ["GatewayTimeout", "504", "UpstreamTimeout"],
+		"insufficient-funds": ["InsufficientFunds", "InsufficientBalance", "NSF"],
+		"bank-api-failure": ["BankAPIFailure", "BankAPITimeout", "BankUnavailable"],
+		"authentication-failure": ["AuthenticationFailed", "AuthFailure", "OTPExpired", "InvalidOTP", "InvalidPIN"],
+		"network-error": ["NetworkError", "ConnectionReset", "ConnectionRefused"],
+		"payment-processor-error": ["ProcessorError", "PaymentProcessorError", "500"],
+		"invalid-account": ["InvalidAccount", "AccountNotFound", "InvalidIFSC"],
+		"limit-exceeded": ["LimitExceeded", "DailyLimitExceeded", "TransactionLimitExceeded"],
+		"duplicate-transaction": ["DuplicateTransaction", "Duplicate"],
+		"invalid-upi-id": ["InvalidUPIID", "InvalidUPI", "InvalidVPA"],
+		"maintenance-downtime": ["Maintenance", "ScheduledDowntime", "BankMaintenance"],
+		"timeout-client": ["ClientTimeout", "RequestTimeout"],
+		"card-expired": ["CardExpired", "ExpiredCard"],
+		"kyc-pending": ["KYCPending", "KYCIncomplete"],
+		"third-party-failure": ["ThirdPartyFailure", "ExternalServiceFailure"],
+		"chargeback-risk": ["ChargebackRisk", "HighChargebackRisk"],
+		"incomplete-data": ["IncompleteData", "MissingField", "MissingFields"],
+		"expired-session": ["SessionExpired", "ExpiredSession"],
+		"currency-mismatch": ["CurrencyMismatch"],
+		"bank-declined": ["BankDeclined", "IssuerUnavailable", "DoNotHonour"],
+		"fraud-flag": ["FraudSuspected", "FraudFlag", "SuspiciousActivity"],
+		"retry-limit": ["RetryLimitExceeded", "MaxRetriesExceeded"],
+	},
+	components: {
+		"fraud-flag": ["FraudDetectionService", "RiskEngine"],
+		"kyc-pending": ["KYCService"],
+		"authentication-failure": ["AuthService", "OTPService"],
+	},
+	// Empty by default; useful when a specific bank is known to be the culprit
+	bankCodes: {},
+};
+
+// RCA_RULES holds extra mappings as JSON, or a path to a JSON file, e.g.
+// {"reasons": {"gateway-timeout": ["ERR_GW_504"]}, "bankCodes": {"maintenance-downtime": ["SBIN"]}}
+const loadConfiguredRules = (): Partial<RcaRules> => {
+	const configured = process.env.RCA_RULES;
+	if (!configured) return {};
+	const json = configured.trim().startsWith("{") ? configured : fs.readFileSync(configured, "utf-8");
+	return JSON.parse(json);
+};
+
+// Configured values are added to the defaults the same way field aliases are
+export const getRcaRules = (): RcaRules => {
+	const configured = loadConfiguredRules();
+	const merge = (key: keyof RcaRules) =>
+		mergeFieldMappings(DEFAULT_RCA_RULES[key], configured[key] as FieldMapping | undefined);
+
+	return {
+		reasons: merge("reasons"),
+		components: merge("components"),
+		bankCodes: merge("bankCodes"),
+	};
+};
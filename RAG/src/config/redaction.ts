@@ -0,0 +1,61 @@
+import fs from "fs";
+
+// mask:   replaced by a placeholder such as <UserID-1>, restored in the report
+// hash:   replaced by a keyed hash such as <BankCode#3f2a9c1d>, stable across requests
+//         for the same RCA_REDACTION_SECRET, also restored in the report
+// drop:   removed from the entry before anything leaves the service
+// bucket: numeric value replaced by its range, e.g. "₹1,000-₹10,000". Inside free text
+//         (patterns, or the value mentioned elsewhere) it becomes a placeholder with the
+//         range, e.g. <Amount-1 ₹1,000-₹10,000>, restored in the report like a mask
+// keep:   sent as is (useful to switch a default rule off)
+export type RedactionAction = "mask" | "hash" | "drop" | "bucket" | "keep";
+
+export type RedactionRule = {
+	action: RedactionAction;
+	// Upper bounds for "bucket"; values above the last bound become "<last>+"
+	buckets?: number[];
+};
+
+export type RedactionRules = {
+	// Canonical field name -> rule
+	fields: Record<string, RedactionRule>;
+	// Applied to every remaining value, e.g. amounts mentioned inside RootCause
+	patterns: { name: string; pattern: string; action: RedactionAction; buckets?: number[] }[];
+};
+
+const AMOUNT_BUCKETS = [100, 1000, 10000, 100000, 1000000];
+
+export const DEFAULT_REDACTION_RULES: RedactionRules = {
+	fields: {
+		UserID: { action: "mask" },
+		Amount: { action: "bucket", buckets: AMOUNT_BUCKETS },
+		BalanceBefore: { action: "drop" },
+		BalanceAfter: { action: "drop" },
+		BankCode: { action: "hash" },
+	},
+	patterns: [
+		{ name: "Amount", pattern: "₹\\s?\\d[\\d,]*(?:\\.\\d+)?", action: "bucket", buckets: AMOUNT_BUCKETS },
+		{ name: "Email", pattern: "[\\w.+-]+@[\\w-]+\\.[\\w.-]+", action: "mask" },
+		{ name: "Card", pattern: "\\b(?:\\d[ -]?){12,18}\\d\\b", action: "mask" },
+		{ name: "Phone", pattern: "(?<![\\w.])(?:\\+91[ -]?)?[6-9]\\d{9}\\b", action: "mask" },
+	],
+};
+
+// RCA_REDACTION_RULES holds overrides as JSON, or a path to a JSON file. Field rules
+// replace the default for that field; patterns replace the default list when given.
+const loadConfiguredRules = (): Partial<RedactionRules> => {
+	const configured = process.env.RCA_REDACTION_RULES;
+	if (!configured) return {};
+	const json = configured.trim().startsWith("{") ? configured : fs.readFileSync(configured, "utf-8");
+	return JSON.parse(json);
+};
+
+export const redactionEnabled = () => process.env.RCA_REDACTION !== "off";
+
+export const getRedactionRules = (): RedactionRules => {
+	const configured = loadConfiguredRules();
+	return {
+		fields: { ...DEFAULT_REDACTION_RULES.fields, ...configured.fields },
+		patterns: configured.patterns ?? DEFAULT_REDACTION_RULES.patterns,
+	};
+};
@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import fs from "fs";
+import { LLMSelection } from "../services/llm/types";
+import { DEFAULT_NAMESPACE } from "../services/vectorStore";
+
+export type TenantPrompt = {
+	// Replaces the default system message
+	system?: string;
+	// Extra instructions added to the RCA prompt; the report format itself can't be changed
+	instructions?: string;
+};
+
+export type Tenant = {
+	id: string;
+	name?: string;
+	// Plain keys, or "sha256:<hex>" so the config doesn't have to hold the key itself
+	apiKeys: string[];
+	// Vector namespace for this tenant's knowledge base; defaults to "tenant-<id>"
+	namespace: string;
+	// Provider/model used when the request doesn't pick one
+	llm?: LLMSelection;
+	prompt?: TenantPrompt;
+	// Overrides RATE_LIMIT_PER_MINUTE / UPLOAD_DAILY_QUOTA for this tenant's keys; 0 means no limit
+	limits?: { requestsPerMinute?: number; uploadsPerDay?: number };
+};
+
+// Used for every request while no tenants are configured, so a local setup keeps
+// working without keys. Its knowledge base is the original data/knowledge-base.json.
+export const DEFAULT_TENANT: Tenant = {
+	id: "default",
+	apiKeys: [],
+	namespace: DEFAULT_NAMESPACE,
+};
+
+const TENANT_ID = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// RCA_TENANTS holds a JSON array of tenants, or a path to a JSON file
+const loadConfiguredTenants = (): Tenant[] => {
+	const configured = process.env.RCA_TENANTS;
+	if (!configured) return [];
+	const json = configured.trim().startsWith("[") ? configured : fs.readFileSync(configured, "utf-8");
+	const tenants = JSON.parse(json) as Partial<Tenant>[];
+
+	const ids = new Set<string>();
+	// Two tenants sharing a namespace would see each other's runbooks
+	const namespaces = new Set<string>([DEFAULT_NAMESPACE]);
+	return tenants.map((tenant) => {
+		if (!tenant.id || !TENANT_ID.test(tenant.id) || tenant.id === DEFAULT_TENANT.id) {
+			throw new Error(`RCA_TENANTS: tenant id "${tenant.id}" must be kebab-case and not "default", e.g. cards-emea`);
+		}
+		if (ids.has(tenant.id)) throw new Error(`RCA_TENANTS: duplicate tenant id "${tenant.id}"`);
+		const namespace = tenant.namespace || `tenant-${tenant.id}`;
+		if (namespaces.has(namespace)) throw new Error(`RCA_TENANTS: namespace "${namespace}" is already in use`);
+		ids.add(tenant.id);
+		namespaces.add(namespace);
+		return { ...tenant, id: tenant.id, apiKeys: tenant.apiKeys || [], namespace };
+	});
+};
+
+let tenants: Tenant[] | undefined;
+
+export const getTenants = () => (tenants ??= loadConfiguredTenants());
+
+export const getTenant = (id: string) => getTenants().find((tenant) => tenant.id === id);
+
+// Auth is on as soon as there is something to check credentials against
+export const authEnabled = () => getTenants().length > 0 || !!process.env.AUTH_JWT_SECRET;
+
+const sha256 = (value: string) => crypto.createHash("sha256").update(value).digest();
+
+const keyMatches = (presented: Buffer, configured: string) => {
+	const expected = configured.startsWith("sha256:")
+		? Buffer.from(configured.slice("sha256:".length), "hex")
+		: sha256(configured);
+	return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+};
+
+export const findTenantByApiKey = (key: string) => {
+	const presented = sha256(key);
+	return getTenants().find((tenant) => tenant.apiKeys.some((configured) => keyMatches(presented, configured)));
+};
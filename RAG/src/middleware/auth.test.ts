@@ -0,0 +1,175 @@
+import { Request, Response } from "express";
+import jwt from "jsonwebtoken";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { authenticate } from "./auth";
+
+const SECRET = "test-secret";
+
+process.env.RCA_TENANTS = JSON.stringify([
+	{ id: "cards", apiKeys: ["cards-key"] },
+	{ id: "loans", apiKeys: ["loans-key"] },
+]);
+process.env.AUTH_JWT_SECRET = SECRET;
+
+const request = ({
+	method = "GET",
+	url = "/rca/reports",
+	headers = {},
+	query = {},
+}: {
+	method?: string;
+	url?: string;
+	headers?: Record<string, string>;
+	query?: Record<string, string>;
+}) => {
+	// Mounted like app.ts does, on /rca and /kb
+	const [, mount, ...rest] = url.split("/");
+	return {
+		method,
+		baseUrl: `/${mount}`,
+		path: `/${rest.join("/")}`,
+		query,
+		get: (name: string) => headers[Object.keys(headers).find((h) => h.toLowerCase() === name.toLowerCase()) || ""],
+	} as unknown as Request;
+};
+
+const response = () => {
+	const res = {
+		statusCode: 200,
+		headers: {} as Record<string, string>,
+		body: undefined as any,
+		set(name: string, value: string) {
+			res.headers[name] = value;
+			return res;
+		},
+		status(code: number) {
+			res.statusCode = code;
+			return res;
+		},
+		json(body: unknown) {
+			res.body = body;
+			return res;
+		},
+	};
+	return res;
+};
+
+const authenticateWith = (middleware: typeof authenticate, req: Request) => {
+	const res = response();
+	const next = vi.fn();
+	middleware(req, res as unknown as Response, next);
+	return { req, res, passed: next.mock.calls.length === 1 };
+};
+
+const run = (req: Request) => authenticateWith(authenticate, req);
+
+const bearer = (token: string) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+const sign = (payload: object, options: jwt.SignOptions = {}, secret = SECRET) =>
+	jwt.sign(payload, secret, { algorithm: "HS256", ...options });
+
+describe("authenticate", () => {
+	afterEach(() => {
+		delete process.env.AUTH_JWT_ISSUER;
+	});
+
+	describe("API keys", () => {
+		it("answers 401 without a credential", () => {
+			const { res, passed } = run(request({}));
+			expect(passed).toBe(false);
+			expect(res.statusCode).toBe(401);
+			expect(res.headers["WWW-Authenticate"]).toBe("Bearer");
+			expect(res.body).toEqual({ error: "Missing API key or token" });
+		});
+
+		it("answers 401 for a key no tenant has", () => {
+			const { res, passed } = run(request({ headers: { "X-API-Key": "nope" } }));
+			expect(passed).toBe(false);
+			expect(res.statusCode).toBe(401);
+			expect(res.body).toEqual({ error: "Invalid API key" });
+		});
+
+		it("runs as the tenant the key belongs to, from either header", () => {
+			const fromHeader = run(request({ headers: { "X-API-Key": "loans-key" } }));
+			expect(fromHeader.passed).toBe(true);
+			expect(fromHeader.req.tenant?.id).toBe("loans");
+
+			const fromBearer = run(request(bearer("cards-key")));
+			expect(fromBearer.req.tenant?.id).toBe("cards");
+			expect(fromBearer.req.clientId).toMatch(/^key:[0-9a-f]{16}$/);
+			expect(fromBearer.req.clientId).not.toContain("cards-key");
+		});
+	});
+
+	describe("JWTs", () => {
+		it("maps the tenant claim to the tenant", () => {
+			const { req, passed } = run(request(bearer(sign({ tenant: "loans" }))));
+			expect(passed).toBe(true);
+			expect(req.tenant?.id).toBe("loans");
+		});
+
+		it.each([
+			["a bad signature", () => sign({ tenant: "cards" }, {}, "other-secret"), "invalid signature"],
+			["an expired token", () => sign({ tenant: "cards", exp: Math.floor(Date.now() / 1000) - 60 }), "jwt expired"],
+		])("answers 401 for %s", (_name, token, error) => {
+			const { res, passed } = run(request(bearer(token())));
+			expect(passed).toBe(false);
+			expect(res.statusCode).toBe(401);
+			expect(res.body.error).toBe(`Invalid token: ${error}`);
+		});
+
+		it("answers 401 for another issuer once AUTH_JWT_ISSUER is set", () => {
+			process.env.AUTH_JWT_ISSUER = "https://idp.example.com";
+			expect(run(request(bearer(sign({ tenant: "cards" }, { issuer: "https://idp.example.com" })))).passed).toBe(true);
+
+			const { res } = run(request(bearer(sign({ tenant: "cards" }, { issuer: "https://evil.example.com" }))));
+			expect(res.statusCode).toBe(401);
+			expect(res.body.error).toMatch(/^Invalid token: jwt issuer invalid/);
+		});
+
+		it.each([
+			["an unknown tenant", { tenant: "mortgages" }],
+			["no tenant claim", { sub: "someone" }],
+			["a tenant claim that isn't a string", { tenant: ["cards"] }],
+		])("answers 403 for a valid token with %s", (_name, claims) => {
+			const { res, passed } = run(request(bearer(sign(claims))));
+			expect(passed).toBe(false);
+			expect(res.statusCode).toBe(403);
+			expect(res.body).toEqual({ error: 'Token does not name a known tenant in its "tenant" claim' });
+		});
+
+		it("reads the tenant from AUTH_JWT_TENANT_CLAIM", async () => {
+			vi.resetModules();
+			process.env.AUTH_JWT_TENANT_CLAIM = "org";
+			try {
+				const { authenticate: withOrgClaim } = await import("./auth");
+				expect(authenticateWith(withOrgClaim, request(bearer(sign({ org: "cards" })))).req.tenant?.id).toBe("cards");
+				expect(authenticateWith(withOrgClaim, request(bearer(sign({ tenant: "cards" })))).res.statusCode).toBe(403);
+			} finally {
+				delete process.env.AUTH_JWT_TENANT_CLAIM;
+			}
+		});
+	});
+
+	describe("?access_token=", () => {
+		it("is accepted on GET /rca/stream/:id", () => {
+			const { req, passed } = run(request({ url: "/rca/stream/abc", query: { access_token: "cards-key" } }));
+			expect(passed).toBe(true);
+			expect(req.tenant?.id).toBe("cards");
+		});
+
+		it.each([
+			["GET", "/rca/reports"],
+			["GET", "/rca/reports/abc"],
+			["GET", "/kb"],
+			["POST", "/rca/stream/abc"],
+			["POST", "/rca/stream/uploads"],
+			["GET", "/rca/stream/abc/more"],
+		])("answers 401 on %s %s", (method, url) => {
+			const { res, passed } = run(request({ method, url, query: { access_token: "cards-key" } }));
+			expect(passed).toBe(false);
+			expect(res.statusCode).toBe(401);
+			expect(res.body.error).toMatch(/^access_token is only accepted on GET \/rca\/stream\/:id/);
+		});
+	});
+});
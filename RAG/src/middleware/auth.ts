@@ -0,0 +1,92 @@
+import { NextFunction, Request, Response } from "express";
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { authEnabled, DEFAULT_TENANT, findTenantByApiKey, getTenant, Tenant } from "../config/tenants";
+
+declare global {
+	namespace Express {
+		interface Request {
+			tenant?: Tenant;
+			// Identifies the credential for rate limits without keeping the credential itself
+			clientId?: string;
+		}
+	}
+}
+
+const TENANT_CLAIM = process.env.AUTH_JWT_TENANT_CLAIM || "tenant";
+
+const looksLikeJwt = (token: string) => token.split(".").length === 3;
+
+// EventSource can't set headers, so the stream is the one route that takes ?access_token=.
+// Anywhere else the token would only end up in access logs and browser history.
+const STREAM_PATH = /^\/rca\/stream\/[^/]+\/?$/;
+
+const queryTokenAllowed = (req: Request) => req.method === "GET" && STREAM_PATH.test(req.baseUrl + req.path);
+
+const queryTokenOf = (req: Request) => (typeof req.query.access_token === "string" ? req.query.access_token : undefined);
+
+// X-API-Key or "Authorization: Bearer <key or JWT>"; ?access_token= on GET /rca/stream/:id only
+const credentialsOf = (req: Request) => {
+	const header = req.get("Authorization");
+	if (header?.toLowerCase().startsWith("bearer ")) return header.slice("bearer ".length).trim();
+	return req.get("X-API-Key") || (queryTokenAllowed(req) ? queryTokenOf(req) : undefined);
+};
+
+const tenantFromJwt = (token: string) => {
+	const claims = jwt.verify(token, process.env.AUTH_JWT_SECRET!, {
+		algorithms: ["HS256"],
+		issuer: process.env.AUTH_JWT_ISSUER || undefined,
+		audience: process.env.AUTH_JWT_AUDIENCE || undefined,
+	});
+	const id = typeof claims === "object" ? claims[TENANT_CLAIM] : undefined;
+	return typeof id === "string" ? getTenant(id) : undefined;
+};
+
+// Resolves the caller's tenant and stores it on req.tenant. Everything below
+// reads the tenant from there; a request never names its tenant itself.
+export const authenticate = (req: Request, res: Response, next: NextFunction) => {
+	if (!authEnabled()) {
+		req.tenant = DEFAULT_TENANT;
+		next();
+		return;
+	}
+
+	const token = credentialsOf(req);
+	if (!token) {
+		const error = queryTokenOf(req)
+			? "access_token is only accepted on GET /rca/stream/:id; send the X-API-Key or Authorization header"
+			: "Missing API key or token";
+		res.status(401).set("WWW-Authenticate", "Bearer").json({ error });
+		return;
+	}
+
+	let tenant: Tenant | undefined;
+	if (looksLikeJwt(token) && process.env.AUTH_JWT_SECRET) {
+		try {
+			tenant = tenantFromJwt(token);
+		} catch (err: any) {
+			res.status(401).set("WWW-Authenticate", "Bearer").json({ error: `Invalid token: ${err.message}` });
+			return;
+		}
+		if (!tenant) {
+			res.status(403).json({ error: `Token does not name a known tenant in its "${TENANT_CLAIM}" claim` });
+			return;
+		}
+	} else {
+		tenant = findTenantByApiKey(token);
+		if (!tenant) {
+			res.status(401).set("WWW-Authenticate", "Bearer").json({ error: "Invalid API key" });
+			return;
+		}
+	}
+
+	req.tenant = tenant;
+	req.clientId = `key:${crypto.createHash("sha256").update(token).digest("hex").slice(0, 16)}`;
+	next();
+};
+
+// Never falls back to the default tenant: a route mounted without authenticate is a bug
+export const requestTenant = (req: Request) => {
+	if (!req.tenant) throw new Error(`${req.baseUrl} is not behind the authenticate middleware`);
+	return req.tenant;
+};
@@ -0,0 +1,95 @@
+import { Request, Response } from "express";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { rateLimit, uploadQuota } from "./rateLimit";
+
+const request = (changes: Partial<Request> = {}) => ({ ip: "10.0.0.1", ...changes }) as Request;
+
+const response = () => {
+	const res = {
+		statusCode: 200,
+		headers: {} as Record<string, string>,
+		body: undefined as unknown,
+		set(name: string | Record<string, string>, value?: string) {
+			Object.assign(res.headers, typeof name === "string" ? { [name]: value } : name);
+			return res;
+		},
+		status(code: number) {
+			res.statusCode = code;
+			return res;
+		},
+		json(body: unknown) {
+			res.body = body;
+			return res;
+		},
+	};
+	return res;
+};
+
+const hit = (middleware: typeof rateLimit, req: Request) => {
+	const res = response();
+	const next = vi.fn();
+	middleware(req, res as unknown as Response, next);
+	return { res, passed: next.mock.calls.length === 1 };
+};
+
+describe("rateLimit", () => {
+	afterEach(() => {
+		delete process.env.RATE_LIMIT_PER_MINUTE;
+	});
+
+	it("answers 429 with Retry-After once a client's window is used up", () => {
+		process.env.RATE_LIMIT_PER_MINUTE = "2";
+		const req = request({ clientId: "key:a" });
+
+		expect(hit(rateLimit, req).passed).toBe(true);
+		const second = hit(rateLimit, req);
+		expect(second.passed).toBe(true);
+		expect(second.res.headers["RateLimit-Remaining"]).toBe("0");
+
+		const third = hit(rateLimit, req);
+		expect(third.passed).toBe(false);
+		expect(third.res.statusCode).toBe(429);
+		expect(Number(third.res.headers["Retry-After"])).toBeGreaterThan(0);
+	});
+
+	it("counts each API key separately and falls back to the IP", () => {
+		process.env.RATE_LIMIT_PER_MINUTE = "1";
+		expect(hit(rateLimit, request({ clientId: "key:b" })).passed).toBe(true);
+		expect(hit(rateLimit, request({ clientId: "key:c" })).passed).toBe(true);
+		expect(hit(rateLimit, request({ ip: "10.0.0.9" })).passed).toBe(true);
+		expect(hit(rateLimit, request({ ip: "10.0.0.9" })).passed).toBe(false);
+	});
+
+	it.each(["sixty", "-1"])("keeps the default limit of 60 when RATE_LIMIT_PER_MINUTE is %j", (value) => {
+		process.env.RATE_LIMIT_PER_MINUTE = value;
+		vi.spyOn(console, "warn").mockImplementation(() => {});
+		const req = request({ clientId: `key:${value}` });
+
+		const first = hit(rateLimit, req);
+		expect(first.res.headers["RateLimit-Limit"]).toBe("60");
+		for (let i = 1; i < 60; i++) expect(hit(rateLimit, req).passed).toBe(true);
+		expect(hit(rateLimit, req).res.statusCode).toBe(429);
+	});
+
+	it("uses a tenant's own limit, where 0 turns it off", () => {
+		process.env.RATE_LIMIT_PER_MINUTE = "1";
+		const tenant = { id: "acme", limits: { requestsPerMinute: 0 } } as Request["tenant"];
+		for (let i = 0; i < 5; i++) expect(hit(rateLimit, request({ clientId: "key:d", tenant })).passed).toBe(true);
+	});
+});
+
+describe("uploadQuota", () => {
+	afterEach(() => {
+		delete process.env.UPLOAD_DAILY_QUOTA;
+	});
+
+	it("limits uploads per day with its own headers", () => {
+		process.env.UPLOAD_DAILY_QUOTA = "1";
+		const req = request({ clientId: "key:e" });
+
+		expect(hit(uploadQuota, req).res.headers["X-Quota-Limit"]).toBe("1");
+		const { res, passed } = hit(uploadQuota, req);
+		expect(passed).toBe(false);
+		expect(res.body).toMatchObject({ error: "Daily quota of 1 log uploads used up" });
+	});
+});
@@ -0,0 +1,86 @@
+import { NextFunction, Request, Response } from "express";
+import { numberSetting } from "../utils/settings";
+
+type Window = { resetAt: number; count: number };
+
+// Fixed windows kept in memory: counts start over on restart and aren't shared
+// between replicas
+const createCounter = (windowMs: number) => {
+	const windows = new Map<string, Window>();
+	let sweepAt = Date.now() + windowMs;
+
+	return (key: string) => {
+		const now = Date.now();
+		if (now >= sweepAt) {
+			for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+			sweepAt = now + windowMs;
+		}
+
+		let window = windows.get(key);
+		if (!window || window.resetAt <= now) {
+			window = { resetAt: now + windowMs, count: 0 };
+			windows.set(key, window);
+		}
+		window.count++;
+		return window;
+	};
+};
+
+// The API key or token when the request has one (set by authenticate), the IP otherwise
+const clientKey = (req: Request) => req.clientId || `ip:${req.ip}`;
+
+const limiter = ({
+	windowMs,
+	headerPrefix,
+	limitFor,
+	message,
+}: {
+	windowMs: number;
+	headerPrefix: string;
+	// 0 turns the limit off
+	limitFor: (req: Request) => number;
+	message: (limit: number) => string;
+}) => {
+	const hit = createCounter(windowMs);
+
+	return (req: Request, res: Response, next: NextFunction) => {
+		const limit = limitFor(req);
+		if (!limit) {
+			next();
+			return;
+		}
+
+		const window = hit(clientKey(req));
+		const resetSeconds = Math.max(Math.ceil((window.resetAt - Date.now()) / 1000), 0);
+		res.set({
+			[`${headerPrefix}-Limit`]: String(limit),
+			[`${headerPrefix}-Remaining`]: String(Math.max(limit - window.count, 0)),
+			[`${headerPrefix}-Reset`]: String(resetSeconds),
+		});
+
+		if (window.count > limit) {
+			res.status(429).set("Retry-After", String(resetSeconds)).json({ error: message(limit), retryAfter: resetSeconds });
+			return;
+		}
+		next();
+	};
+};
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Every /rca and /kb request; a tenant's "limits" override RATE_LIMIT_PER_MINUTE
+export const rateLimit = limiter({
+	windowMs: MINUTE,
+	headerPrefix: "RateLimit",
+	limitFor: (req) => req.tenant?.limits?.requestsPerMinute ?? numberSetting("RATE_LIMIT_PER_MINUTE", 60),
+	message: (limit) => `Rate limit of ${limit} requests per minute exceeded`,
+});
+
+// Requests that upload logs, counted per day; overridden by a tenant's limits.uploadsPerDay
+export const uploadQuota = limiter({
+	windowMs: DAY,
+	headerPrefix: "X-Quota",
+	limitFor: (req) => req.tenant?.limits?.uploadsPerDay ?? numberSetting("UPLOAD_DAILY_QUOTA", 1000),
+	message: (limit) => `Daily quota of ${limit} log uploads used up`,
+});
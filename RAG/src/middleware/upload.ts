@@ -0,0 +1,76 @@
+import { NextFunction, Request, Response } from "express";
+import multer from "multer";
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { checkUploadedLog, UploadedLog } from "../services/logArchive";
+import { UnsupportedLogError } from "../services/logEncoding";
+import { uploadQuota } from "./rateLimit";
+
+// Read per request, so they follow the environment (and .env) of the running process
+const maxFiles = () => Number(process.env.UPLOAD_MAX_FILES) || 20;
+export const maxFileBytes = () => Number(process.env.UPLOAD_MAX_FILE_BYTES) || 20 * 1024 * 1024;
+
+const getUploadDir = () => {
+  const uploadDir = path.join(process.cwd(), "uploads");
+  if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
+  return uploadDir;
+};
+
+const storage = multer.diskStorage({
+  destination: (req: Request, file: Express.Multer.File, cb) => {
+    cb(null, getUploadDir());
+  },
+  filename: (req, file, cb) => {
+    // Every upload gets its own ID so concurrent requests never share a file
+    cb(null, `${uuidv4()}.log`);
+  },
+});
+
+// multer stops writing and removes the file as soon as it goes over the limit
+const receiveLogs = (req: Request, res: Response, next: NextFunction) => {
+  const limits = { files: maxFiles(), fileSize: maxFileBytes() };
+  multer({ storage, limits: { fileSize: limits.fileSize } }).array("logfile", limits.files)(req, res, (err: unknown) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        res.status(413).json({ error: `Each file must be at most ${limits.fileSize} bytes` });
+        return;
+      }
+      res.status(400).json({ error: `${err.message}; send up to ${limits.files} files in the "logfile" field` });
+      return;
+    }
+    next(err);
+  });
+};
+
+// Archives are checked entry by entry when they are read
+const rejectBinaryLogs = async (req: Request, res: Response, next: NextFunction) => {
+  const files = uploadedLogs(req);
+  try {
+    for (const file of files) await checkUploadedLog(file);
+  } catch (err) {
+    removeUploads(files);
+    if (err instanceof UnsupportedLogError) {
+      res.status(415).json({ error: err.message });
+      return;
+    }
+    next(err);
+    return;
+  }
+  next();
+};
+
+// One or more "logfile" parts, each a plain log or an archive of logs
+export const uploadLogs = [uploadQuota, receiveLogs, rejectBinaryLogs];
+
+export const uploadedLogs = (req: Request): UploadedLog[] =>
+  ((req.files as Express.Multer.File[] | undefined) || []).map((file) => ({
+    path: file.path,
+    name: file.originalname,
+  }));
+
+export const removeUpload = (filePath: string) =>
+  fs.promises.rm(filePath, { force: true }).catch(console.error);
+
+export const removeUploads = (files: UploadedLog[]) =>
+  Promise.all(files.map((file) => removeUpload(file.path)));
@@ -0,0 +1,45 @@
+import { parseCsv } from "../utils/csv";
+import { MalformedEntry, RawLogEntries, RawLogEntry } from "./transactionLog";
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+// The delimiter that splits the header into the most columns
+export const detectCsvDelimiter = (text: string) => {
+	const header = text.split(/\r?\n/).find((line) => line.trim()) || "";
+	return DELIMITERS.reduce((best, d) =>
+		header.split(d).length > header.split(best).length ? d : best
+	);
+};
+
+export const readCsvEntries = (text: string): RawLogEntries => {
+	const entries: RawLogEntry[] = [];
+	const errors: MalformedEntry[] = [];
+
+	const rows = parseCsv(text, detectCsvDelimiter(text));
+	const [header, ...dataRows] = rows;
+	if (!header) return { entries, errors };
+
+	const keys = header.map((h) => h.trim());
+	// parseCsv drops blank lines, so line numbers are approximate for files that contain them
+	dataRows.forEach((row, index) => {
+		const line = index + 2;
+		const raw = row.join(",");
+		if (row.length !== keys.length) {
+			errors.push({
+				line,
+				reason: `Expected ${keys.length} columns, found ${row.length}`,
+				raw,
+			});
+			if (row.length < 2) return;
+		}
+
+		const fields: Record<string, string> = {};
+		keys.forEach((key, i) => {
+			const value = (row[i] ?? "").trim();
+			if (key && value) fields[key] = value;
+		});
+		entries.push({ line, fields, raw });
+	});
+
+	return { entries, errors };
+};
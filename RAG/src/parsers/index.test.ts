@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { detectLogFormat, parseLog, parseLogSources } from ".";
+
+const RCA_BLOCK = `=== RCA LOG ENTRY ===
+Timestamp: 2025-06-27T10:24:15.582Z
+TransactionID: TXN1
+Status: FAILED
+Amount: ₹2500.00
+Failure Reason: GatewayTimeout
+RootCause: Upstream latency from bank server (BankCode: HDFC).`;
+
+describe("detectLogFormat", () => {
+	it("recognises each format from its first lines", () => {
+		expect(detectLogFormat(RCA_BLOCK)).toBe("rca-block");
+		expect(detectLogFormat('{"txn_id":"TXN1","status":"FAILED"}')).toBe("jsonl");
+		expect(detectLogFormat("upi[42]: txn_id=TXN1 status=FAILED")).toBe("kv");
+		expect(detectLogFormat("txn_id;status\nTXN1;FAILED")).toBe("csv");
+	});
+});
+
+describe("parseLog", () => {
+	it("reads RCA blocks, amounts and bank codes mentioned in the root cause", () => {
+		const [record] = parseLog(RCA_BLOCK).records;
+		expect(record).toMatchObject({ transactionId: "TXN1", amount: 2500, failureReason: "GatewayTimeout", bankCode: "HDFC" });
+	});
+
+	it("maps nested JSON keys onto the canonical fields", () => {
+		const log = JSON.stringify({
+			transaction: { id: "TXN2", status: "DECLINED", amount: 99.5 },
+			user: { id: "U1" },
+			bank: { code: "SBI" },
+			payment: { channel: "UPI" },
+			error: { reason: "InsufficientFunds" },
+			service: { name: "UPIProcessorService" },
+			retry: { count: 2 },
+		});
+
+		const { records, errors } = parseLog(log);
+		expect(errors).toEqual([]);
+		expect(records[0]).toMatchObject({
+			transactionId: "TXN2",
+			status: "DECLINED",
+			amount: 99.5,
+			userId: "U1",
+			bankCode: "SBI",
+			channel: "UPI",
+			failureReason: "InsufficientFunds",
+			component: "UPIProcessorService",
+			retryCount: 2,
+		});
+	});
+
+	it("applies per-request field mappings and reports entries without a TransactionID", () => {
+		const { records, errors } = parseLog("rrn_no,status\nR1,FAILED\n,FAILED", {
+			fieldMapping: { TransactionID: ["rrn_no"] },
+		});
+		expect(records.map((r) => r.transactionId)).toEqual(["R1"]);
+		expect(errors[0].reason).toBe("Entry has no TransactionID");
+	});
+});
+
+describe("parseLogSources", () => {
+	it("merges a transaction's entries across files, latest value winning", () => {
+		const { records, formats } = parseLogSources([
+			{ name: "gateway.log", text: "ts=2025-06-27T10:00:00Z txn_id=TXN3 status=PENDING" },
+			{ name: "bank.jsonl", text: '{"ts":"2025-06-27T10:00:05Z","txn_id":"TXN3","status":"FAILED"}' },
+		]);
+
+		expect(formats.map((f) => f.format)).toEqual(["kv", "jsonl"]);
+		expect(records).toHaveLength(1);
+		expect(records[0]).toMatchObject({ status: "FAILED", sourceFile: "gateway.log, bank.jsonl" });
+	});
+});
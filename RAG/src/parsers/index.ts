@@ -0,0 +1,149 @@
+import { FieldMapping, getFieldMapping } from "../config/fieldMapping";
+import { readCsvEntries } from "./csvLog";
+import { readJsonLinesEntries } from "./jsonLinesLog";
+import { readKeyValueEntries } from "./keyValueLog";
+import {
+	ParsedTransactionLog,
+	RawLogEntries,
+	RawLogEntry,
+	readRcaBlockEntries,
+	toTransactionRecords,
+} from "./transactionLog";
+
+export type LogFormat = "rca-block" | "jsonl" | "csv" | "kv";
+
+export const LOG_FORMATS: LogFormat[] = ["rca-block", "jsonl", "csv", "kv"];
+
+export type ParseLogOptions = {
+	// Skip detection and parse as this format
+	format?: LogFormat;
+	// Extra vendor column names on top of the defaults and LOG_FIELD_MAPPING
+	fieldMapping?: FieldMapping;
+};
+
+const readers: Record<LogFormat, (text: string) => RawLogEntries> = {
+	"rca-block": readRcaBlockEntries,
+	jsonl: readJsonLinesEntries,
+	csv: readCsvEntries,
+	kv: readKeyValueEntries,
+};
+
+// Looks at the first few non-empty lines only
+export const detectLogFormat = (text: string): LogFormat => {
+	const lines = text
+		.split(/\r?\n/)
+		.map((l) => l.trim())
+		.filter(Boolean)
+		.slice(0, 5);
+	const first = lines[0] || "";
+
+	if (first.startsWith("{")) return "jsonl";
+	if (/RCA LOG ENTRY/i.test(first) || lines.some((l) => /^[A-Za-z][\w -]*:\s/.test(l) && !/=/.test(l))) {
+		return "rca-block";
+	}
+	if (lines.every((l) => (l.match(/[A-Za-z_][\w.@-]*=/g) || []).length >= 2)) return "kv";
+	return "csv";
+};
+
+const normalizeKey = (key: string) => key.toLowerCase().replace(/[^a-z0-9@.]/g, "");
+
+// Renames vendor-specific keys to the canonical field names; unknown keys are kept as they are
+export const applyFieldMapping = (fields: Record<string, string>, mapping: FieldMapping) => {
+	const lookup = new Map<string, string>();
+	for (const [canonical, aliases] of Object.entries(mapping)) {
+		lookup.set(normalizeKey(canonical), canonical);
+		aliases.forEach((alias) => lookup.set(normalizeKey(alias), canonical));
+	}
+
+	const mapped: Record<string, string> = {};
+	for (const [key, value] of Object.entries(fields)) {
+		const canonical = lookup.get(normalizeKey(key)) || key;
+		// The first column that maps onto a canonical field wins
+		if (!(canonical in mapped)) mapped[canonical] = value;
+	}
+	return mapped;
+};
+
+const readMappedEntries = (text: string, format: LogFormat, mapping: FieldMapping): RawLogEntries => {
+	const { entries, errors } = readers[format](text);
+	return {
+		entries: entries.map((entry) => ({ ...entry, fields: applyFieldMapping(entry.fields, mapping) })),
+		errors,
+	};
+};
+
+export const parseLog = (
+	text: string,
+	{ format, fieldMapping }: ParseLogOptions = {}
+): ParsedTransactionLog & { format: LogFormat } => {
+	const detected = format || detectLogFormat(text);
+	const parsed = toTransactionRecords(readMappedEntries(text, detected, getFieldMapping(fieldMapping)));
+	return { ...parsed, format: detected };
+};
+
+export type LogSourceText = {
+	name: string;
+	text: string;
+};
+
+const timeOf = (entry: RawLogEntry) => {
+	const time = Date.parse(entry.fields["Timestamp"] || "");
+	return Number.isNaN(time) ? Infinity : time;
+};
+
+// The same transaction usually shows up in several services' logs. Its entries
+// are folded together oldest first, so the latest value of a field wins, and
+// SourceFile lists every file it appeared in.
+const mergeByTransaction = (entries: RawLogEntry[]): RawLogEntry[] => {
+	const groups = new Map<string, RawLogEntry[]>();
+	const merged: RawLogEntry[] = [];
+
+	for (const entry of entries) {
+		const id = entry.fields["TransactionID"];
+		if (!id) {
+			merged.push(entry);
+			continue;
+		}
+		if (!groups.has(id)) groups.set(id, []);
+		groups.get(id)!.push(entry);
+	}
+
+	for (const group of groups.values()) {
+		// sort() is stable, so entries without a usable timestamp keep their file order
+		const ordered = [...group].sort((a, b) => timeOf(a) - timeOf(b));
+		const sourceFile = [...new Set(ordered.map((e) => e.sourceFile).filter(Boolean))].join(", ");
+		const first = ordered[0];
+
+		merged.push({
+			line: first.line,
+			sourceFile: first.sourceFile,
+			raw: ordered.map((e) => e.raw).join("\n"),
+			fields: { ...Object.assign({}, ...ordered.map((e) => e.fields)), SourceFile: sourceFile },
+		});
+	}
+
+	return merged.sort((a, b) => timeOf(a) - timeOf(b));
+};
+
+// Parses every file of a multi-file upload (each with its own detected format)
+// and merges their entries into one log
+export const parseLogSources = (
+	sources: LogSourceText[],
+	{ format, fieldMapping }: ParseLogOptions = {}
+): ParsedTransactionLog & { formats: { name: string; format: LogFormat }[] } => {
+	const mapping = getFieldMapping(fieldMapping);
+	const formats: { name: string; format: LogFormat }[] = [];
+	const entries: RawLogEntry[] = [];
+	const errors: RawLogEntries["errors"] = [];
+
+	for (const { name, text } of sources) {
+		const detected = format || detectLogFormat(text);
+		const read = readMappedEntries(text, detected, mapping);
+
+		formats.push({ name, format: detected });
+		entries.push(...read.entries.map((entry) => ({ ...entry, sourceFile: name })));
+		errors.push(...read.errors.map((error) => ({ ...error, sourceFile: name })));
+	}
+
+	return { ...toTransactionRecords({ entries: mergeByTransaction(entries), errors }), formats };
+};
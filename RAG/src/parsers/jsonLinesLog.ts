@@ -0,0 +1,36 @@
+import { MalformedEntry, RawLogEntries, RawLogEntry } from "./transactionLog";
+
+// Nested objects become dotted keys, e.g. {"error":{"reason":"x"}} -> "error.reason"
+const flatten = (value: unknown, prefix = "", out: Record<string, string> = {}) => {
+	if (value && typeof value === "object" && !Array.isArray(value)) {
+		for (const [key, child] of Object.entries(value)) {
+			flatten(child, prefix ? `${prefix}.${key}` : key, out);
+		}
+	} else if (value !== null && value !== undefined && prefix) {
+		out[prefix] = Array.isArray(value) ? value.join(", ") : String(value);
+	}
+	return out;
+};
+
+export const readJsonLinesEntries = (text: string): RawLogEntries => {
+	const entries: RawLogEntry[] = [];
+	const errors: MalformedEntry[] = [];
+
+	text.split(/\r?\n/).forEach((line, index) => {
+		const raw = line.trim();
+		if (!raw) return;
+
+		try {
+			const data = JSON.parse(raw);
+			if (!data || typeof data !== "object" || Array.isArray(data)) {
+				errors.push({ line: index + 1, reason: "JSON line is not an object", raw });
+				return;
+			}
+			entries.push({ line: index + 1, fields: flatten(data), raw });
+		} catch (err: any) {
+			errors.push({ line: index + 1, reason: `Invalid JSON: ${err.message}`, raw });
+		}
+	});
+
+	return { entries, errors };
+};
@@ -0,0 +1,32 @@
+import { MalformedEntry, RawLogEntries, RawLogEntry } from "./transactionLog";
+
+// key=value, key="quoted value" or key='quoted value'
+const PAIR = /([A-Za-z_][\w.@-]*)=("(?:[^"\\]|\\.)*"|'[^']*'|\S*)/g;
+
+const unquote = (value: string) =>
+	/^(["']).*\1$/.test(value) ? value.slice(1, -1).replace(/\\(.)/g, "$1") : value;
+
+// One transaction per line; any syslog prefix before the first pair
+// ("Jun 27 10:24:15 upi-adapter[42]:") is ignored
+export const readKeyValueEntries = (text: string): RawLogEntries => {
+	const entries: RawLogEntry[] = [];
+	const errors: MalformedEntry[] = [];
+
+	text.split(/\r?\n/).forEach((line, index) => {
+		const raw = line.trim();
+		if (!raw) return;
+
+		const fields: Record<string, string> = {};
+		for (const [, key, value] of raw.matchAll(PAIR)) {
+			fields[key] = unquote(value);
+		}
+
+		if (!Object.keys(fields).length) {
+			errors.push({ line: index + 1, reason: "Line has no key=value pairs", raw });
+			return;
+		}
+		entries.push({ line: index + 1, fields, raw });
+	});
+
+	return { entries, errors };
+};
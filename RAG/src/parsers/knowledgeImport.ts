@@ -0,0 +1,90 @@
+import { KnowledgeEntryInput } from "../services/knowledgeBase";
+import { parseCsvRecords } from "../utils/csv";
+
+export type KnowledgeImportFormat = "json" | "markdown" | "csv";
+
+export const KNOWLEDGE_IMPORT_FORMATS: KnowledgeImportFormat[] = ["json", "markdown", "csv"];
+
+export class KnowledgeImportError extends Error {}
+
+const splitTags = (value?: string) =>
+	(value || "")
+		.split(/[;,|]/)
+		.map((tag) => tag.trim())
+		.filter(Boolean);
+
+// Accepts an array of entries or { entries: [...] }. Only the shape is checked here;
+// the fields themselves are validated with the entry schema on import.
+const parseJson = (content: string): Partial<KnowledgeEntryInput>[] => {
+	const data = JSON.parse(content);
+	const items = Array.isArray(data) ? data : data?.entries;
+	if (!Array.isArray(items)) {
+		throw new KnowledgeImportError("JSON import must be an array of entries or { entries: [...] }");
+	}
+
+	return items.map((item, i) => {
+		if (!item || typeof item !== "object" || Array.isArray(item)) {
+			throw new KnowledgeImportError(`Entry ${i + 1} must be an object`);
+		}
+		const { tags } = item;
+		if (tags === undefined || tags === null || typeof tags === "string") return { ...item, tags: splitTags(tags) };
+		if (Array.isArray(tags) && tags.every((tag) => typeof tag === "string")) return item;
+		throw new KnowledgeImportError(`Entry ${i + 1}: tags must be a string or an array of strings`);
+	});
+};
+
+// ## <category>
+// Tags: a, b        (optional)
+// Owner: sre-team   (optional)
+// <runbook text>
+const parseMarkdown = (content: string): Partial<KnowledgeEntryInput>[] =>
+	content
+		.split(/^##\s+/m)
+		.slice(1)
+		.map((section) => {
+			const [heading, ...lines] = section.split(/\r?\n/);
+			const entry: Partial<KnowledgeEntryInput> = { category: heading.trim(), tags: [] };
+			const body: string[] = [];
+
+			for (const line of lines) {
+				const meta = !body.length && line.match(/^(Tags|Owner)\s*:\s*(.*)$/i);
+				if (meta && meta[1].toLowerCase() === "tags") entry.tags = splitTags(meta[2]);
+				else if (meta) entry.owner = meta[2].trim();
+				else if (body.length || line.trim()) body.push(line);
+			}
+
+			entry.text = body.join("\n").trim();
+			return entry;
+		});
+
+// Header row: category,text,tags,owner. Tags are separated by ";" or "|".
+const parseCsv = (content: string): Partial<KnowledgeEntryInput>[] =>
+	parseCsvRecords(content).map((row) => ({
+		category: row.category,
+		text: row.text,
+		tags: splitTags(row.tags),
+		owner: row.owner || undefined,
+	}));
+
+export const detectKnowledgeImportFormat = (
+	fileName = "",
+	contentType = ""
+): KnowledgeImportFormat | undefined => {
+	if (/\.json$/i.test(fileName) || contentType.includes("json")) return "json";
+	if (/\.(md|markdown)$/i.test(fileName) || contentType.includes("markdown")) return "markdown";
+	if (/\.csv$/i.test(fileName) || contentType.includes("csv")) return "csv";
+	return undefined;
+};
+
+// Entries without an owner get the importer's default owner
+export const parseKnowledgeImport = (
+	content: string,
+	format: KnowledgeImportFormat,
+	defaultOwner: string
+): KnowledgeEntryInput[] => {
+	const parsers = { json: parseJson, markdown: parseMarkdown, csv: parseCsv };
+	return parsers[format](content).map((entry) => ({
+		...entry,
+		owner: entry.owner || defaultOwner,
+	})) as KnowledgeEntryInput[];
+};
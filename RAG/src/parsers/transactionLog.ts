@@ -0,0 +1,195 @@
+// Parser for the "=== RCA LOG ENTRY ===" / "---" separated Key: Value log format
+
+export type TransactionRecord = {
+	transactionId: string;
+	timestamp?: string;
+	userId?: string;
+	channel?: string;
+	bankCode?: string;
+	status?: string;
+	amount?: number;
+	failureReason?: string;
+	component?: string;
+	retryCount?: number;
+	rootCause?: string;
+	actionTaken?: string;
+	resolutionTime?: string;
+	processingTime?: string;
+	remarks?: string;
+	balanceBefore?: number;
+	balanceAfter?: number;
+	finalStatus?: string;
+	// Log file(s) the entry was read from, when the upload had several
+	sourceFile?: string;
+	// Every Key: Value pair in the order it appeared, including unknown keys
+	fields: Record<string, string>;
+	// 1-based line number where the entry starts
+	line: number;
+};
+
+export type MalformedEntry = {
+	line: number;
+	reason: string;
+	raw: string;
+	sourceFile?: string;
+};
+
+export type ParsedTransactionLog = {
+	records: TransactionRecord[];
+	errors: MalformedEntry[];
+};
+
+// One entry as read from any log format, before it becomes a TransactionRecord
+export type RawLogEntry = {
+	line: number;
+	fields: Record<string, string>;
+	raw: string;
+	sourceFile?: string;
+};
+
+export type RawLogEntries = {
+	entries: RawLogEntry[];
+	errors: MalformedEntry[];
+};
+
+const ENTRY_HEADER = /^=+\s*RCA LOG ENTRY\s*=+$/i;
+const ENTRY_SEPARATOR = /^-{3,}$/;
+const KEY_VALUE = /^([A-Za-z][A-Za-z0-9 _-]*?)\s*:\s*(.*)$/;
+const FAILED_STATUS = /\b(FAILED|DECLINED)\b/i;
+
+// "₹10,000.00" -> 10000
+const parseAmount = (value?: string): number | undefined => {
+	if (!value) return undefined;
+	const amount = Number(value.replace(/[^0-9.-]/g, ""));
+	return Number.isFinite(amount) ? amount : undefined;
+};
+
+const parseInteger = (value?: string): number | undefined => {
+	if (!value) return undefined;
+	const parsed = Number.parseInt(value, 10);
+	return Number.isNaN(parsed) ? undefined : parsed;
+};
+
+export const toTransactionRecord = (
+	fields: Record<string, string>,
+	line: number
+): TransactionRecord => {
+	// Older entries only mention the bank inside RootCause, e.g. "(BankCode: HDFC)"
+	const bankCode =
+		fields["BankCode"] ||
+		Object.values(fields)
+			.map((value) => value.match(/BankCode:\s*([A-Za-z0-9]+)/)?.[1])
+			.find(Boolean);
+
+	return {
+		transactionId: fields["TransactionID"],
+		timestamp: fields["Timestamp"],
+		userId: fields["UserID"],
+		channel: fields["Channel"],
+		bankCode,
+		status: fields["Status"],
+		amount: parseAmount(fields["Amount"]),
+		failureReason: fields["Failure Reason"],
+		component: fields["Component"],
+		retryCount: parseInteger(fields["RetryCount"]),
+		rootCause: fields["RootCause"],
+		actionTaken: fields["ActionTaken"],
+		resolutionTime: fields["ResolutionTime"],
+		processingTime: fields["ProcessingTime"],
+		remarks: fields["Remarks"],
+		balanceBefore: parseAmount(fields["BalanceBefore"]),
+		balanceAfter: parseAmount(fields["BalanceAfter"]),
+		finalStatus: fields["FinalStatus"],
+		sourceFile: fields["SourceFile"],
+		fields,
+		line,
+	};
+};
+
+type RawEntry = { line: number; lines: { number: number; text: string }[] };
+
+const splitEntries = (text: string): RawEntry[] => {
+	const entries: RawEntry[] = [];
+	let current: RawEntry | null = null;
+
+	text.split(/\r?\n/).forEach((rawLine, index) => {
+		const lineText = rawLine.trim();
+		const lineNumber = index + 1;
+
+		if (ENTRY_HEADER.test(lineText) || ENTRY_SEPARATOR.test(lineText)) {
+			if (current) entries.push(current);
+			current = null;
+			return;
+		}
+		if (!lineText) return;
+
+		if (!current) current = { line: lineNumber, lines: [] };
+		current.lines.push({ number: lineNumber, text: lineText });
+	});
+
+	if (current) entries.push(current);
+	return entries;
+};
+
+export const readRcaBlockEntries = (text: string): RawLogEntries => {
+	const entries: RawLogEntry[] = [];
+	const errors: MalformedEntry[] = [];
+
+	for (const entry of splitEntries(text)) {
+		const fields: Record<string, string> = {};
+		const raw = entry.lines.map((l) => l.text).join("\n");
+
+		for (const { number, text: lineText } of entry.lines) {
+			const match = lineText.match(KEY_VALUE);
+			if (!match) {
+				errors.push({ line: number, reason: "Line is not in 'Key: Value' format", raw: lineText });
+				continue;
+			}
+			fields[match[1].trim()] = match[2].trim();
+		}
+
+		entries.push({ line: entry.line, fields, raw });
+	}
+
+	return { entries, errors };
+};
+
+// Shared by every log format once its fields carry the canonical names
+export const toTransactionRecords = ({ entries, errors }: RawLogEntries): ParsedTransactionLog => {
+	const records: TransactionRecord[] = [];
+	const allErrors = [...errors];
+
+	for (const { line, fields, raw, sourceFile } of entries) {
+		if (!fields["TransactionID"]) {
+			allErrors.push({ line, reason: "Entry has no TransactionID", raw, sourceFile });
+			continue;
+		}
+		if (fields["Timestamp"] && Number.isNaN(Date.parse(fields["Timestamp"]))) {
+			allErrors.push({
+				line,
+				reason: `Invalid Timestamp "${fields["Timestamp"]}"`,
+				raw,
+				sourceFile,
+			});
+		}
+
+		// Partially malformed entries are kept; the errors above still report them
+		records.push(toTransactionRecord(fields, line));
+	}
+
+	allErrors.sort((a, b) => (a.sourceFile || "").localeCompare(b.sourceFile || "") || a.line - b.line);
+	return { records, errors: allErrors };
+};
+
+export const parseTransactionLog = (text: string): ParsedTransactionLog =>
+	toTransactionRecords(readRcaBlockEntries(text));
+
+export const isFailedTransaction = (record: TransactionRecord) =>
+	FAILED_STATUS.test(record.status || "") ||
+	FAILED_STATUS.test(record.finalStatus || "");
+
+// Renders a record back into the Key: Value block the prompt expects
+export const formatTransaction = (record: TransactionRecord) =>
+	Object.entries(record.fields)
+		.map(([key, value]) => `${key}: ${value}`)
+		.join("\n");
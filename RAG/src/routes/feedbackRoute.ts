@@ -0,0 +1,78 @@
+import express, { Request, Response } from "express";
+import { requestTenant } from "../middleware/auth";
+import { feedbackStats, listFeedback } from "../services/feedback";
+
+const router = express.Router();
+
+const queryString = (value: unknown) => (typeof value === "string" && value ? value : undefined);
+
+/**
+ * @openapi
+ * /rca/feedback:
+ *   get:
+ *     summary: List analyst feedback across reports
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reportId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Feedback, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Feedback'
+ *
+ * /rca/feedback/stats:
+ *   get:
+ *     summary: Feedback per knowledge-base category, weakest runbooks first
+ *     description: |
+ *       Sorted by average rating, then by number of corrections. Feedback on findings that
+ *       drew on no category is grouped under "(none)".
+ *     responses:
+ *       200:
+ *         description: Stats per category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   category:
+ *                     type: string
+ *                   feedback:
+ *                     type: integer
+ *                   averageRating:
+ *                     type: number
+ *                   lowRatings:
+ *                     type: integer
+ *                     description: Ratings of 1 or 2
+ *                   corrections:
+ *                     type: integer
+ *                   promoted:
+ *                     type: integer
+ *                   knowledgeEntries:
+ *                     type: integer
+ */
+router.get("/", (req: Request, res: Response) => {
+	res.json(
+		listFeedback(requestTenant(req), {
+			category: queryString(req.query.category),
+			reportId: queryString(req.query.reportId),
+		})
+	);
+});
+
+router.get("/stats", (req: Request, res: Response) => {
+	res.json(feedbackStats(requestTenant(req)));
+});
+
+export default router;
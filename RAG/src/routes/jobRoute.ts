@@ -0,0 +1,214 @@
+import express, { Request, Response } from "express";
+import { removeUploads, uploadedLogs, uploadLogs } from "../middleware/upload";
+import { enqueueRCAJob, getRCAJob, JobQueueFullError, RcaJobErrorKind } from "../services/jobQueue";
+import { getRcaRequestOptions, RequestOptionError } from "../utils/requestOptions";
+import { sendRcaReport } from "../utils/sendRcaReport";
+import { requestTenant } from "../middleware/auth";
+
+const router = express.Router();
+
+// Same statuses as POST /rca gives for these errors
+const FAILED_JOB_STATUS: Record<RcaJobErrorKind, number> = {
+	"archive-limit": 413,
+	"unsupported-log": 415,
+	"unreadable-log": 422,
+};
+
+/**
+ * @openapi
+ * /rca/jobs:
+ *   post:
+ *     summary: Upload transaction logs and queue an RCA job
+ *     parameters:
+ *       - $ref: '#/components/parameters/LLMProvider'
+ *       - $ref: '#/components/parameters/LLMModel'
+ *       - $ref: '#/components/parameters/LogFormat'
+ *       - $ref: '#/components/parameters/FieldMapping'
+ *       - $ref: '#/components/parameters/Verify'
+ *       - $ref: '#/components/parameters/Strict'
+ *       - $ref: '#/components/parameters/Mode'
+ *       - $ref: '#/components/parameters/Dimensions'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logfile:
+ *                 type: array
+ *                 description: Log files or .zip/.tar/.tar.gz/.gz archives of logs
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       202:
+ *         description: Job accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: queued
+ *       400:
+ *         description: No log file was uploaded, or an option is invalid
+ *       413:
+ *         $ref: '#/components/responses/UploadTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedLog'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       503:
+ *         description: Job queue is full
+ */
+router.post("/", uploadLogs, async (req: Request, res: Response) => {
+	const logFiles = uploadedLogs(req);
+	if (!logFiles.length) {
+		res.status(400).json({ error: "No file uploaded" });
+		return;
+	}
+
+	try {
+		const job = enqueueRCAJob(logFiles, getRcaRequestOptions(req));
+		res.status(202).location(`${req.baseUrl}/${job.id}`).json({ id: job.id, status: job.status });
+	} catch (err) {
+		if (err instanceof RequestOptionError) {
+			res.status(400).json({ error: err.message });
+			return;
+		}
+		if (err instanceof JobQueueFullError) {
+			res.status(503).json({ error: err.message });
+			return;
+		}
+		console.error(err);
+		res.status(500).json({ error: "Could not queue RCA job" });
+	} finally {
+		removeUploads(logFiles);
+	}
+});
+
+/**
+ * @openapi
+ * /rca/jobs/{id}:
+ *   get:
+ *     summary: Get the status and progress of an RCA job
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [queued, running, done, failed]
+ *                 progress:
+ *                   type: object
+ *                   properties:
+ *                     stage:
+ *                       type: string
+ *                     percent:
+ *                       type: number
+ *                 reportId:
+ *                   type: string
+ *                   description: ID of the finished report in /rca/reports
+ *       404:
+ *         description: Unknown job, or a job of another tenant
+ */
+router.get("/:id", (req: Request, res: Response) => {
+	const job = getRCAJob(requestTenant(req), req.params.id);
+	if (!job) {
+		res.status(404).json({ error: "Job not found" });
+		return;
+	}
+
+	const { id, status, progress, createdAt, updatedAt, error, verification, reportId } = job;
+	res.json({ id, status, progress, createdAt, updatedAt, error, verification, reportId });
+});
+
+/**
+ * @openapi
+ * /rca/jobs/{id}/result:
+ *   get:
+ *     summary: Get the RCA report of a finished job
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: RCA report in the format requested by the Accept header
+ *         content:
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RcaReport'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown job, or a job of another tenant
+ *       409:
+ *         description: Job has not finished yet
+ *       413:
+ *         $ref: '#/components/responses/UploadTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedLog'
+ *       422:
+ *         description: The report failed verification in strict mode, or the upload could not be read
+ *       500:
+ *         description: Job failed
+ */
+router.get("/:id/result", (req: Request, res: Response) => {
+	const job = getRCAJob(requestTenant(req), req.params.id);
+	if (!job) {
+		res.status(404).json({ error: "Job not found" });
+		return;
+	}
+	if (job.status === "failed") {
+		// A strict-mode verification failure is reported with what was found
+		if (job.verification) {
+			res.status(422).json({ error: job.error, verification: job.verification });
+			return;
+		}
+		if (job.errorKind) {
+			res.status(FAILED_JOB_STATUS[job.errorKind]).json({ error: job.error });
+			return;
+		}
+		res.status(500).json({ error: job.error || "RCA generation failed" });
+		return;
+	}
+	if (job.status !== "done") {
+		res.status(409).json({ error: "Job has not finished yet", status: job.status, progress: job.progress });
+		return;
+	}
+
+	sendRcaReport(res, {
+		report: job.result!,
+		verification: job.verification,
+		engine: job.engine,
+		reportId: job.reportId,
+	});
+});
+
+export default router;
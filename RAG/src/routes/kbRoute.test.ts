@@ -0,0 +1,95 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AddressInfo } from "net";
+import { Server } from "http";
+import express from "express";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { DEFAULT_TENANT } from "../config/tenants";
+import kbRoute from "./kbRoute";
+
+vi.mock("../services/knowledgeSync", () => ({ syncKnowledgeVectors: vi.fn() }));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kb-route-test-"));
+process.env.DATA_DIR = dataDir;
+
+let server: Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+	const app = express();
+	app.use(express.json());
+	app.use((req, _res, next) => {
+		req.tenant = DEFAULT_TENANT;
+		next();
+	});
+	app.use("/kb", kbRoute);
+	server = await new Promise<Server>((resolve) => {
+		const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+	});
+	baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+	server.closeAllConnections();
+	await new Promise((resolve) => server.close(resolve));
+	fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const importJson = (body: string) =>
+	fetch(`${baseUrl}/kb/import?owner=ops`, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+
+const entryCount = async () => ((await (await fetch(`${baseUrl}/kb`)).json()) as unknown[]).length;
+
+describe("POST /kb/import", () => {
+	it("imports well-formed entries, with tags as a list or a string", async () => {
+		const res = await importJson(
+			JSON.stringify([
+				{ category: "card-expired", text: "Ask for a new card.", tags: ["cards"] },
+				{ category: "limit-exceeded", text: "Raise the limit.", tags: "cards; limits" },
+			])
+		);
+		expect(res.status).toBe(201);
+		expect((await res.json()).map((e: { tags: string[] }) => e.tags)).toEqual([["cards"], ["cards", "limits"]]);
+	});
+
+	it.each([
+		["an object without entries", '{"foo":1}', "JSON import must be an array of entries or { entries: [...] }"],
+		["a null entry", "[null]", "Entry 1 must be an object"],
+		["a non-object entry", '[{"category":"a","text":"b"}, "c"]', "Entry 2 must be an object"],
+		["numeric tags", '[{"category":"a","text":"b","tags":5}]', "Entry 1: tags must be a string or an array of strings"],
+		["non-string tags", '{"entries":[{"category":"a","text":"b","tags":[1]}]}', "Entry 1: tags must be"],
+	])("answers 400 for %s and stores nothing", async (_name, body, error) => {
+		const before = await entryCount();
+		const res = await importJson(body);
+
+		expect(res.status).toBe(400);
+		expect((await res.json()).error).toContain(error);
+		expect(await entryCount()).toBe(before);
+	});
+
+	it("answers 400 for invalid entry fields", async () => {
+		const res = await importJson('[{"category":"Not Kebab","text":"b"}]');
+		expect(res.status).toBe(400);
+		expect(await res.json()).toMatchObject({ error: "Invalid knowledge entry" });
+	});
+
+	it("answers 400 for JSON that doesn't parse", async () => {
+		const res = await fetch(`${baseUrl}/kb/import?format=json`, {
+			method: "POST",
+			headers: { "Content-Type": "text/plain" },
+			body: "[{",
+		});
+		expect(res.status).toBe(400);
+		expect((await res.json()).error).toMatch(/^Could not parse json import/);
+	});
+
+	it("answers 400 when the file comes in another multipart field", async () => {
+		const form = new FormData();
+		form.append("upload", new Blob(["## card-expired\nAsk for a new card."]), "kb.md");
+		const res = await fetch(`${baseUrl}/kb/import?owner=ops`, { method: "POST", body: form });
+
+		expect(res.status).toBe(400);
+		expect((await res.json()).error).toContain('send one file in the "file" field');
+	});
+});
@@ -0,0 +1,307 @@
+import express, { NextFunction, Request, Response } from "express";
+import multer from "multer";
+import { ZodError } from "zod";
+import {
+	createEntry,
+	deleteEntry,
+	getEntry,
+	importEntries,
+	KnowledgeEntryNotFoundError,
+	listEntries,
+	updateEntry,
+} from "../services/knowledgeBase";
+import {
+	detectKnowledgeImportFormat,
+	KNOWLEDGE_IMPORT_FORMATS,
+	KnowledgeImportError,
+	KnowledgeImportFormat,
+	parseKnowledgeImport,
+} from "../parsers/knowledgeImport";
+import { requestTenant } from "../middleware/auth";
+import { maxFileBytes } from "../middleware/upload";
+
+const router = express.Router();
+
+// Import files are small text documents; keep them in memory
+const receiveImport = (req: Request, res: Response, next: NextFunction) => {
+	const fileSize = maxFileBytes();
+	multer({ storage: multer.memoryStorage(), limits: { fileSize } }).single("file")(req, res, (err: unknown) => {
+		if (err instanceof multer.MulterError) {
+			if (err.code === "LIMIT_FILE_SIZE") {
+				res.status(413).json({ error: `Import file must be at most ${fileSize} bytes` });
+				return;
+			}
+			res.status(400).json({ error: `${err.message}; send one file in the "file" field` });
+			return;
+		}
+		next(err);
+	});
+};
+
+const sendError = (res: Response, err: unknown) => {
+	if (err instanceof ZodError) {
+		res.status(400).json({ error: "Invalid knowledge entry", issues: err.issues });
+		return;
+	}
+	if (err instanceof KnowledgeEntryNotFoundError) {
+		res.status(404).json({ error: err.message });
+		return;
+	}
+	console.error(err);
+	res.status(500).json({ error: "Knowledge base update failed" });
+};
+
+const queryString = (value: unknown) => (typeof value === "string" && value ? value : undefined);
+
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     KnowledgeEntryInput:
+ *       type: object
+ *       required: [category, text, owner]
+ *       properties:
+ *         category:
+ *           type: string
+ *           example: gateway-timeout
+ *         text:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         owner:
+ *           type: string
+ *           example: sre-payments
+ *     KnowledgeEntry:
+ *       allOf:
+ *         - $ref: '#/components/schemas/KnowledgeEntryInput'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             createdAt:
+ *               type: string
+ *             updatedAt:
+ *               type: string
+ *
+ * /kb:
+ *   get:
+ *     summary: List knowledge base entries
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/KnowledgeEntry'
+ *   post:
+ *     summary: Create an entry and embed it into the vector store
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KnowledgeEntryInput'
+ *     responses:
+ *       201:
+ *         description: Created entry
+ *       400:
+ *         description: Invalid entry
+ */
+router.get("/", (req: Request, res: Response) => {
+	const entries = listEntries(requestTenant(req), {
+		category: queryString(req.query.category),
+		tag: queryString(req.query.tag),
+		owner: queryString(req.query.owner),
+	});
+	res.json(entries);
+});
+
+router.post("/", async (req: Request, res: Response) => {
+	try {
+		const entry = await createEntry(requestTenant(req), req.body);
+		res.status(201).location(`${req.baseUrl}/${entry.id}`).json(entry);
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+/**
+ * @openapi
+ * /kb/import:
+ *   post:
+ *     summary: Bulk-import entries from JSON, Markdown or CSV
+ *     description: |
+ *       Send a multipart `file` or the document itself as the request body. The format comes
+ *       from `?format=`, the file extension or the Content-Type.
+ *       JSON is an array of entries. Markdown uses one `## <category>` section per entry with
+ *       optional `Tags:` / `Owner:` lines. CSV has a `category,text,tags,owner` header.
+ *       Entries without an owner get `?owner=`.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, markdown, csv]
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         text/markdown:
+ *           schema:
+ *             type: string
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/KnowledgeEntryInput'
+ *     responses:
+ *       201:
+ *         description: Imported entries
+ *       400:
+ *         description: Unknown format or invalid entries; nothing is imported
+ *       413:
+ *         description: The import file is larger than UPLOAD_MAX_FILE_BYTES
+ */
+router.post(
+	"/import",
+	receiveImport,
+	express.text({ type: ["text/*"] }),
+	async (req: Request, res: Response) => {
+		const format = (queryString(req.query.format) ||
+			detectKnowledgeImportFormat(req.file?.originalname, req.file?.mimetype || req.get("Content-Type"))) as
+			| KnowledgeImportFormat
+			| undefined;
+
+		if (!format || !KNOWLEDGE_IMPORT_FORMATS.includes(format)) {
+			res.status(400).json({ error: `Import format must be one of: ${KNOWLEDGE_IMPORT_FORMATS.join(", ")}` });
+			return;
+		}
+
+		// JSON bodies have already been parsed by bodyParser.json()
+		const content = req.file
+			? req.file.buffer.toString("utf-8")
+			: typeof req.body === "string"
+				? req.body
+				: JSON.stringify(req.body);
+
+		try {
+			const inputs = parseKnowledgeImport(content, format, queryString(req.query.owner) || "");
+			const created = await importEntries(requestTenant(req), inputs);
+			res.status(201).json(created);
+		} catch (err) {
+			if (err instanceof SyntaxError || err instanceof KnowledgeImportError) {
+				res.status(400).json({ error: `Could not parse ${format} import: ${err.message}` });
+				return;
+			}
+			sendError(res, err);
+		}
+	}
+);
+
+/**
+ * @openapi
+ * /kb/{id}:
+ *   get:
+ *     summary: Get a knowledge base entry
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The entry
+ *       404:
+ *         description: Unknown entry
+ *   put:
+ *     summary: Update an entry and re-embed it
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KnowledgeEntryInput'
+ *     responses:
+ *       200:
+ *         description: Updated entry
+ *       400:
+ *         description: Invalid entry
+ *       404:
+ *         description: Unknown entry
+ *   delete:
+ *     summary: Delete an entry and its vectors
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Unknown entry
+ */
+router.get("/:id", (req: Request, res: Response) => {
+	try {
+		res.json(getEntry(requestTenant(req), req.params.id));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+router.put("/:id", async (req: Request, res: Response) => {
+	try {
+		res.json(await updateEntry(requestTenant(req), req.params.id, req.body));
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+router.delete("/:id", async (req: Request, res: Response) => {
+	try {
+		await deleteEntry(requestTenant(req), req.params.id);
+		res.status(204).end();
+	} catch (err) {
+		sendError(res, err);
+	}
+});
+
+export default router;
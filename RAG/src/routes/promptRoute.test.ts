@@ -0,0 +1,141 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AddressInfo } from "net";
+import { Server } from "http";
+import express from "express";
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { Tenant } from "../config/tenants";
+import { RCA_PROMPT_VERSION } from "../services/rcaService";
+import promptRoute from "./promptRoute";
+
+vi.mock("../services/knowledgeSync", () => ({ syncKnowledgeVectors: vi.fn() }));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "prompt-route-test-"));
+process.env.DATA_DIR = dataDir;
+
+const TENANT: Tenant = {
+	id: "cards",
+	apiKeys: [],
+	namespace: "tenant-cards",
+	prompt: { system: "You write RCAs for the cards team.", instructions: "Mention the acquirer." },
+};
+
+let server: Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+	const app = express();
+	app.use(express.json());
+	app.use((req, _res, next) => {
+		req.tenant = TENANT;
+		next();
+	});
+	app.use("/rca/prompt", promptRoute);
+	server = await new Promise<Server>((resolve) => {
+		const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+	});
+	baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+	server.closeAllConnections();
+	await new Promise((resolve) => server.close(resolve));
+	fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const TRANSACTION = {
+	TransactionID: "TXN12456791",
+	UserID: "U555123",
+	BankCode: "SBI",
+	Status: "FAILED",
+	Amount: "₹1100.00",
+	"Failure Reason": "GatewayTimeout",
+	RetryCount: 0,
+	RootCause: "No answer for U555123 within 30s, mail ops@bank.example",
+};
+
+const buildPrompt = (body: unknown) =>
+	fetch(`${baseUrl}/rca/prompt`, {
+		method: "POST",
+		headers: { "Content-Type": "application/json" },
+		body: JSON.stringify(body),
+	});
+
+const promptFor = async (body: object) => {
+	const res = await buildPrompt(body);
+	expect(res.status).toBe(200);
+	return res.json() as Promise<{ promptVersion: number; systemPrompt: string; prompt: string }>;
+};
+
+describe("POST /rca/prompt", () => {
+	afterEach(() => {
+		delete process.env.RCA_REDACTION_RULES;
+	});
+
+	it("builds the versioned RCA prompt with the tenant's system prompt and instructions", async () => {
+		const result = await promptFor({ transactions: [TRANSACTION], instructions: "Answer in English." });
+
+		expect(result).toMatchObject({
+			promptVersion: RCA_PROMPT_VERSION,
+			systemPrompt: "You write RCAs for the cards team.",
+		});
+		expect(result.prompt).toContain("#### TransactionID: <transaction_id>");
+		expect(result.prompt).toContain("\nMention the acquirer.\nAnswer in English.\n");
+		expect(result.prompt).toContain("TransactionID: TXN12456791\n");
+		expect(result.prompt).toContain("RetryCount: 0\n");
+	});
+
+	it("grounds each transaction in the runbooks of the category its failure matches", async () => {
+		const { prompt } = await promptFor({
+			transactions: [TRANSACTION, { ...TRANSACTION, TransactionID: "TXN2", "Failure Reason": "InsufficientFunds" }],
+		});
+		const [first, second] = prompt.split("#### Transaction 2");
+
+		expect(first).toContain("Relevant Knowledge Base for TXN12456791:\n- [gateway-timeout] ");
+		expect(first).not.toContain("[insufficient-funds]");
+		expect(second).toContain("- [insufficient-funds] ");
+		expect(second).not.toContain("[gateway-timeout]");
+	});
+
+	it("uses the categories it is given instead, in any spelling", async () => {
+		const { prompt } = await promptFor({ transactions: [TRANSACTION], categories: ["Card Expired"] });
+		expect(prompt).toContain("- [card-expired] ");
+		expect(prompt).not.toContain("[gateway-timeout]");
+	});
+
+	it("says so when no runbook matches", async () => {
+		const { prompt } = await promptFor({ transactions: [{ TransactionID: "TXN3", "Failure Reason": "Mystery" }] });
+		expect(prompt).toContain("Relevant Knowledge Base for TXN3:\nNo relevant documentation found.");
+	});
+
+	it("redacts the transactions like a generated report", async () => {
+		const { prompt } = await promptFor({ transactions: [TRANSACTION] });
+
+		expect(prompt).toContain("UserID: <UserID-1>");
+		expect(prompt).toMatch(/BankCode: <BankCode#[0-9a-f]{8}>/);
+		expect(prompt).toContain("Amount: ₹1,000-₹10,000");
+		expect(prompt).toContain("No answer for <UserID-1> within 30s, mail <Email-1>");
+		for (const value of ["U555123", "SBI", "1100", "ops@bank.example"]) expect(prompt).not.toContain(value);
+	});
+
+	it("follows RCA_REDACTION_RULES", async () => {
+		process.env.RCA_REDACTION_RULES = JSON.stringify({
+			fields: { UserID: { action: "keep" }, BankCode: { action: "drop" } },
+		});
+		const { prompt } = await promptFor({ transactions: [TRANSACTION] });
+
+		expect(prompt).toContain("UserID: U555123");
+		expect(prompt).not.toContain("BankCode");
+	});
+
+	it.each([
+		["no transactions", { transactions: [] }],
+		["a transaction without a TransactionID", { transactions: [{ Status: "FAILED" }] }],
+		["fields that aren't text", { transactions: [{ TransactionID: "TXN1", Status: { code: 1 } }] }],
+	])("answers 400 for %s", async (_name, body) => {
+		const res = await buildPrompt(body);
+		expect(res.status).toBe(400);
+		expect(await res.json()).toMatchObject({ error: "Invalid prompt request" });
+	});
+});
@@ -0,0 +1,94 @@
+import express, { Request, Response } from "express";
+import { z, ZodError } from "zod";
+import { requestTenant } from "../middleware/auth";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { buildRCAPromptFor } from "../services/rcaService";
+
+const router = express.Router();
+
+const PromptRequestSchema = z.object({
+	// Log-style fields, e.g. { "TransactionID": "TXN12456789", "Failure Reason": "GatewayTimeout" }
+	transactions: z
+		.array(
+			z
+				.record(z.string(), z.union([z.string(), z.number()]).transform(String))
+				.refine((fields) => fields.TransactionID, { message: "Every transaction needs a TransactionID" })
+		)
+		.min(1),
+	categories: z.array(z.string().trim().min(1)).default([]),
+	instructions: z.string().trim().min(1).optional(),
+});
+
+/**
+ * @openapi
+ * /rca/prompt:
+ *   post:
+ *     summary: Build the RCA prompt for transactions the caller already has
+ *     description: |
+ *       Returns the prompt `POST /rca` would send to the model, for clients that run their own
+ *       model, such as the MCP server's rca-report prompt. The transactions are redacted with
+ *       `RCA_REDACTION_RULES` and grounded in the caller's knowledge base: every runbook of
+ *       `categories`, or else of the category the rule engine matches for each transaction.
+ *       Nothing is stored, and redacted values aren't restored.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transactions]
+ *             properties:
+ *               transactions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: string
+ *                 example:
+ *                   - TransactionID: TXN12456789
+ *                     Status: FAILED
+ *                     Failure Reason: GatewayTimeout
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               instructions:
+ *                 type: string
+ *                 description: Added after the tenant's own instructions
+ *     responses:
+ *       200:
+ *         description: The prompt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 promptVersion:
+ *                   type: integer
+ *                 systemPrompt:
+ *                   type: string
+ *                 prompt:
+ *                   type: string
+ *       400:
+ *         description: No transactions, or a transaction without a TransactionID
+ */
+router.post("/", (req: Request, res: Response) => {
+	try {
+		const { transactions, categories, instructions } = PromptRequestSchema.parse(req.body);
+		res.json(
+			buildRCAPromptFor(
+				requestTenant(req),
+				transactions.map((fields, i) => toTransactionRecord(fields, i + 1)),
+				{ categories, instructions }
+			)
+		);
+	} catch (err) {
+		if (err instanceof ZodError) {
+			res.status(400).json({ error: "Invalid prompt request", issues: err.issues });
+			return;
+		}
+		throw err;
+	}
+});
+
+export default router;
@@ -1,8 +1,11 @@
 import express, { Request, Response } from "express";
-import multer from "multer";
-import fs from "fs";
-import path from "path";
+import { removeUploads, uploadedLogs, uploadLogs } from "../middleware/upload";
 import { generateRCA } from "../services/rcaService";
+import { ArchiveLimitError, LogReadError } from "../services/logArchive";
+import { UnsupportedLogError } from "../services/logEncoding";
+import { RcaVerificationError } from "../services/rcaVerification";
+import { getRcaRequestOptions, RcaRequestOptions } from "../utils/requestOptions";
+import { sendRcaReport } from "../utils/sendRcaReport";
 
 const router = express.Router();
 
@@ -10,9 +13,22 @@ const router = express.Router();
  * @openapi
  * /rca:
  *   post:
- *     summary: Upload transaction log and generate RCA
+ *     summary: Upload transaction logs and generate RCA
+ *     description: |
+ *       Send one or more `logfile` parts. Each may be a plain log or a .zip, .tar, .tar.gz or
+ *       .gz archive of logs. Entries from all files are merged by TransactionID in timestamp
+ *       order, and every finding names the file(s) it came from.
  *     consumes:
  *       - multipart/form-data
+ *     parameters:
+ *       - $ref: '#/components/parameters/LLMProvider'
+ *       - $ref: '#/components/parameters/LLMModel'
+ *       - $ref: '#/components/parameters/LogFormat'
+ *       - $ref: '#/components/parameters/FieldMapping'
+ *       - $ref: '#/components/parameters/Verify'
+ *       - $ref: '#/components/parameters/Strict'
+ *       - $ref: '#/components/parameters/Mode'
+ *       - $ref: '#/components/parameters/Dimensions'
  *     requestBody:
  *       required: true
  *       content:
@@ -21,56 +37,243 @@ const router = express.Router();
  *             type: object
  *             properties:
  *               logfile:
- *                 type: string
- *                 format: binary
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
+ *       400:
+ *         description: No log file was uploaded, too many files, or an option is invalid
+ *       413:
+ *         $ref: '#/components/responses/UploadTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedLog'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
  *       200:
- *         description: Successfully generated RCA
+ *         description: |
+ *           Successfully generated RCA. The format follows the Accept header. The
+ *           `X-RCA-Verification` header carries the verification outcome, and Markdown
+ *           reports end with a "Verification Summary" section. `X-RCA-Report-Id` is the
+ *           ID of the stored run in `/rca/reports`.
+ *         headers:
+ *           X-RCA-Report-Id:
+ *             schema:
+ *               type: string
+ *           X-RCA-Verification:
+ *             schema:
+ *               type: string
+ *               example: repaired; mismatches=1; unknown=0; skipped=0
  *         content:
  *           text/markdown:
  *             schema:
+ *               type: string
+ *               example: |
+ *                 #### TransactionID: TXN12456789
+ *                 **Details:**
+ *                 - Timestamp: 2025-06-27T10:24:15.582Z
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RcaReport'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       406:
+ *         description: None of the requested formats is supported
+ *       422:
+ *         description: |
+ *           The report failed verification in strict mode (with `verification`), or an uploaded
+ *           log could not be read, e.g. a corrupt archive (with only `error`)
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
- *                 rca:
+ *                 error:
  *                   type: string
- *                   description: Markdown-formatted RCA report
- *                   example: |
- *                     ### Root Cause Analysis (RCA)
- *                     - TransactionID: TXN123...
+ *                 verification:
+ *                   $ref: '#/components/schemas/VerificationSummary'
+ *       502:
+ *         description: The generated RCA could not be converted to the requested format
+ *
+ * components:
+ *   responses:
+ *     UploadTooLarge:
+ *       description: A file is larger than UPLOAD_MAX_FILE_BYTES, or an archive exceeds the extraction limits
+ *     UnsupportedLog:
+ *       description: An uploaded file is binary rather than a text log or archive
+ *     RateLimited:
+ *       description: |
+ *         The per-minute rate limit or the daily upload quota of this API key (or IP) is used up.
+ *         `Retry-After` says when to try again; `RateLimit-*` and `X-Quota-*` headers show what is left.
+ *       headers:
+ *         Retry-After:
+ *           schema:
+ *             type: integer
+ *   parameters:
+ *     LLMProvider:
+ *       in: query
+ *       name: provider
+ *       schema:
+ *         type: string
+ *         enum: [openrouter, ollama, mock]
+ *       description: LLM provider for this request (defaults to LLM_PROVIDER)
+ *     LLMModel:
+ *       in: query
+ *       name: model
+ *       schema:
+ *         type: string
+ *       description: Model name understood by the chosen provider
+ *     LogFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [rca-block, jsonl, csv, kv]
+ *       description: Log format of the upload; detected from the contents when omitted
+ *     FieldMapping:
+ *       in: query
+ *       name: fieldMapping
+ *       schema:
+ *         type: string
+ *       description: JSON object of extra vendor field names per canonical field
+ *       example: '{"TransactionID":["rrn"],"Failure Reason":["resp_desc"]}'
+ *     Verify:
+ *       in: query
+ *       name: verify
+ *       schema:
+ *         type: string
+ *         enum: [repair, flag]
+ *       description: |
+ *         How the report is checked against the log. `repair` (default) rewrites mismatched
+ *         details and drops transactions that are not in the log; `flag` only reports them.
+ *     Mode:
+ *       in: query
+ *       name: mode
+ *       schema:
+ *         type: string
+ *         enum: [llm, rules]
+ *       description: |
+ *         `llm` (default) asks the model and falls back to the rule engine when every provider
+ *         fails; `rules` builds the report from knowledge-base runbooks without calling a model.
+ *         The `X-RCA-Engine` response header says which one wrote the report.
+ *     Strict:
+ *       in: query
+ *       name: strict
+ *       schema:
+ *         type: boolean
+ *       description: Fail with 422 instead of returning a report that did not pass verification
+ *   schemas:
+ *     RcaFinding:
+ *       type: object
+ *       properties:
+ *         transactionId:
+ *           type: string
+ *         details:
+ *           type: object
+ *           properties:
+ *             timestamp:
+ *               type: string
+ *             channel:
+ *               type: string
+ *             status:
+ *               type: string
+ *             failureReason:
+ *               type: string
+ *             component:
+ *               type: string
+ *             finalStatus:
+ *               type: string
+ *             sourceFile:
+ *               type: string
+ *         rootCause:
+ *           type: string
+ *         correctiveActions:
+ *           type: array
+ *           items:
+ *             type: string
+ *     RcaReport:
+ *       type: array
+ *       items:
+ *         $ref: '#/components/schemas/RcaFinding'
+ *     VerificationSummary:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [passed, repaired, flagged]
+ *         mode:
+ *           type: string
+ *           enum: [repair, flag]
+ *         expected:
+ *           type: integer
+ *         checked:
+ *           type: integer
+ *         unknownTransactions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         skippedTransactions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         mismatches:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *               field:
+ *                 type: string
+ *               reported:
+ *                 type: string
+ *               expected:
+ *                 type: string
  */
-const storage = multer.diskStorage({
-  destination: (req: Request, file: Express.Multer.File, cb) => {
-    const uploadDir = path.join(process.cwd(), "uploads");
-    if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    // Timestamped filename to avoid overwriting (optional)
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    cb(null, `transaction.log`);
-  },
-});
-
-const upload = multer({ storage });
+router.post("/", uploadLogs, async (req: Request, res: Response) => {
+  const logFiles = uploadedLogs(req);
+  if (!logFiles.length) {
+    res.status(400).json({ error: "No file uploaded" });
+    return;
+  }
 
-router.post("/", upload.single("logfile"), async (req: Request, res: Response) => {
+  let options: RcaRequestOptions;
   try {
-    //if (!req.file) {
-      // res.status(400).json({ error: "No file uploaded" });
-	  // return;
-    //}
-
-    // const filePath = req.file.path;
-
-    // You could pass filePath if needed
-    const rca = await generateRCA();
+    options = getRcaRequestOptions(req);
+  } catch (err: any) {
+    removeUploads(logFiles);
+    res.status(400).json({ error: err.message });
+    return;
+  }
 
-    // res.json({ rca });
-	res.setHeader("Content-Type", "text/markdown");
-res.send(rca); // not res.json
+  try {
+    const rca = await generateRCA(logFiles, options);
+    sendRcaReport(res, rca);
   } catch (err) {
+    if (err instanceof ArchiveLimitError) {
+      res.status(413).json({ error: err.message });
+      return;
+    }
+    if (err instanceof UnsupportedLogError) {
+      res.status(415).json({ error: err.message });
+      return;
+    }
+    if (err instanceof LogReadError) {
+      res.status(422).json({ error: err.message });
+      return;
+    }
+    if (err instanceof RcaVerificationError) {
+      res.status(422).json({ error: err.message, verification: err.summary });
+      return;
+    }
     console.error(err);
     res.status(500).json({ error: "RCA generation failed" });
+  } finally {
+    removeUploads(logFiles);
   }
 });
 
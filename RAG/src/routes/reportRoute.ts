@@ -0,0 +1,379 @@
+import express, { Request, Response } from "express";
+import { ZodError } from "zod";
+import { requestTenant } from "../middleware/auth";
+import { getReport, listReports, ReportNotFoundError } from "../services/reportHistory";
+import { FeedbackError, listFeedback, submitFeedback } from "../services/feedback";
+import { RCA_MODES, RcaMode } from "../services/rcaService";
+import { sendRcaReport } from "../utils/sendRcaReport";
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+const queryString = (value: unknown) => (typeof value === "string" && value.trim() ? value.trim() : undefined);
+
+const parseDate = (name: string, value?: string) => {
+	if (value && Number.isNaN(Date.parse(value))) throw new RangeError(`${name} must be an ISO date, e.g. 2025-06-27`);
+	return value;
+};
+
+const parseEngine = (value?: string) => {
+	if (value && !RCA_MODES.includes(value as RcaMode)) throw new RangeError(`engine must be one of: ${RCA_MODES.join(", ")}`);
+	return value as RcaMode | undefined;
+};
+
+const parseCount = (name: string, value: string | undefined, fallback: number) => {
+	if (value === undefined) return fallback;
+	const count = Number(value);
+	if (!Number.isInteger(count) || count < 0) throw new RangeError(`${name} must be a non-negative integer`);
+	return count;
+};
+
+/**
+ * @openapi
+ * /rca/reports:
+ *   get:
+ *     summary: List and search stored RCA reports
+ *     description: |
+ *       Every generated report is stored with its input hash, parsed transactions, retrieved
+ *       context, model and prompt version. Filters are combined; `q` is a full-text search
+ *       over the report and its transactions, where every word has to match.
+ *       Results are newest first, or best match first for a search.
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Reports created at or after this ISO date/time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Reports created up to this ISO date/time; a date includes the whole day
+ *       - in: query
+ *         name: transactionId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Knowledge-base category (gateway-timeout) or Failure Reason (GatewayTimeout)
+ *       - in: query
+ *         name: bankCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: engine
+ *         schema:
+ *           type: string
+ *           enum: [llm, rules]
+ *         description: Only reports written by the model, or by the rule engine
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         example: razorpay 504
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *                 reports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReportListItem'
+ *       400:
+ *         description: Invalid date, engine or paging parameter
+ *
+ * components:
+ *   schemas:
+ *     ReportListItem:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *         engine:
+ *           type: string
+ *           enum: [llm, rules]
+ *         generatedBy:
+ *           type: object
+ *           properties:
+ *             provider:
+ *               type: string
+ *             model:
+ *               type: string
+ *         promptVersion:
+ *           type: integer
+ *         inputHash:
+ *           type: string
+ *         files:
+ *           type: array
+ *           items:
+ *             type: string
+ *         transactionIds:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         failureReasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *         bankCodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         verification:
+ *           type: string
+ *           enum: [passed, repaired, flagged]
+ *         score:
+ *           type: integer
+ *           description: Number of matched words, for a search
+ *         snippet:
+ *           type: string
+ *           description: Text around the first match, for a search
+ */
+router.get("/", (req: Request, res: Response) => {
+	try {
+		const limit = parseCount("limit", queryString(req.query.limit), 20);
+		res.json(
+			listReports(requestTenant(req), {
+				from: parseDate("from", queryString(req.query.from)),
+				to: parseDate("to", queryString(req.query.to)),
+				transactionId: queryString(req.query.transactionId),
+				category: queryString(req.query.category),
+				bankCode: queryString(req.query.bankCode),
+				engine: parseEngine(queryString(req.query.engine)),
+				q: queryString(req.query.q),
+				limit: Math.min(limit, MAX_LIMIT),
+				offset: parseCount("offset", queryString(req.query.offset), 0),
+			})
+		);
+	} catch (err) {
+		if (err instanceof RangeError) {
+			res.status(400).json({ error: err.message });
+			return;
+		}
+		throw err;
+	}
+});
+
+/**
+ * @openapi
+ * /rca/reports/{id}:
+ *   get:
+ *     summary: Get a stored RCA run
+ *     description: |
+ *       With `Accept: application/json` (the default) the whole run is returned: input hash and
+ *       files, parsed transactions, retrieved context per transaction, model, prompt version,
+ *       the prompt as sent (with redacted values), verification and the report. `text/markdown`,
+ *       `text/html` and `text/csv` return just the report, as `POST /rca` would.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The stored run, or its report
+ *       404:
+ *         description: Unknown report, or a report of another tenant
+ */
+router.get("/:id", (req: Request, res: Response) => {
+	let report;
+	try {
+		report = getReport(requestTenant(req), req.params.id);
+	} catch (err) {
+		if (err instanceof ReportNotFoundError) {
+			res.status(404).json({ error: err.message });
+			return;
+		}
+		throw err;
+	}
+
+	if (req.accepts(["application/json", "text/markdown", "text/html", "text/csv"]) === "application/json") {
+		res.json(report);
+		return;
+	}
+	sendRcaReport(res, { ...report, reportId: report.id });
+});
+
+/**
+ * @openapi
+ * /rca/reports/{id}/feedback:
+ *   post:
+ *     summary: Rate a finding of a report and optionally correct it
+ *     description: |
+ *       Feedback is per transaction. A corrected root cause and corrective actions can be
+ *       promoted into the knowledge base with `promote: true`: the correction becomes a new
+ *       entry (root cause first, then one action per line) in `category`, or in the category
+ *       the finding drew on, and is embedded like any other entry.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FeedbackInput'
+ *     responses:
+ *       201:
+ *         description: Stored feedback, with `promotedEntryId` when the correction was promoted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Feedback'
+ *       400:
+ *         description: Invalid feedback, unknown transaction, or nothing to promote
+ *       404:
+ *         description: Unknown report
+ *   get:
+ *     summary: List the feedback given on a report
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Feedback, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Feedback'
+ *       404:
+ *         description: Unknown report
+ *
+ * components:
+ *   schemas:
+ *     FeedbackInput:
+ *       type: object
+ *       required: [transactionId, rating, author]
+ *       properties:
+ *         transactionId:
+ *           type: string
+ *           example: TXN12456789
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         correctedRootCause:
+ *           type: string
+ *         correctedActions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         comment:
+ *           type: string
+ *         author:
+ *           type: string
+ *           example: sre-payments
+ *         promote:
+ *           type: boolean
+ *           default: false
+ *         category:
+ *           type: string
+ *           example: gateway-timeout
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *     Feedback:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         reportId:
+ *           type: string
+ *         transactionId:
+ *           type: string
+ *         rating:
+ *           type: integer
+ *         correctedRootCause:
+ *           type: string
+ *         correctedActions:
+ *           type: array
+ *           items:
+ *             type: string
+ *         comment:
+ *           type: string
+ *         author:
+ *           type: string
+ *         category:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *         promotedEntryId:
+ *           type: string
+ */
+router.post("/:id/feedback", async (req: Request, res: Response) => {
+	try {
+		const feedback = await submitFeedback(requestTenant(req), req.params.id, req.body);
+		res.status(201).json(feedback);
+	} catch (err) {
+		if (err instanceof ZodError) {
+			res.status(400).json({ error: "Invalid feedback", issues: err.issues });
+			return;
+		}
+		if (err instanceof FeedbackError) {
+			res.status(400).json({ error: err.message });
+			return;
+		}
+		if (err instanceof ReportNotFoundError) {
+			res.status(404).json({ error: err.message });
+			return;
+		}
+		console.error(err);
+		res.status(500).json({ error: "Could not store feedback" });
+	}
+});
+
+router.get("/:id/feedback", (req: Request, res: Response) => {
+	const tenant = requestTenant(req);
+	try {
+		getReport(tenant, req.params.id);
+	} catch (err) {
+		if (err instanceof ReportNotFoundError) {
+			res.status(404).json({ error: err.message });
+			return;
+		}
+		throw err;
+	}
+	res.json(listFeedback(tenant, { reportId: req.params.id }));
+});
+
+export default router;
@@ -0,0 +1,206 @@
+import fs from "fs";
+import path from "path";
+import { AddressInfo } from "net";
+import { Server } from "http";
+import express from "express";
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+	finalizeRCA,
+	generateRuleBasedResult,
+	prepareRCA,
+	RcaResult,
+	streamRCACompletion,
+	verifyPreparedRCA,
+} from "../services/rcaService";
+import { VerificationSummary } from "../services/rcaVerification";
+import streamRoute from "./streamRoute";
+
+vi.mock("../services/rcaService", async (importOriginal) => ({
+	...(await importOriginal<typeof import("../services/rcaService")>()),
+	prepareRCA: vi.fn(),
+	streamRCACompletion: vi.fn(),
+	verifyPreparedRCA: vi.fn(),
+	generateRuleBasedResult: vi.fn(),
+	finalizeRCA: vi.fn(),
+	rulesFallbackEnabled: () => true,
+}));
+
+const streamCompletion = vi.mocked(streamRCACompletion);
+const finalize = vi.mocked(finalizeRCA);
+
+const VERIFICATION: VerificationSummary = {
+	status: "flagged",
+	mode: "flag",
+	expected: 1,
+	checked: 1,
+	unknownTransactions: [],
+	skippedTransactions: [],
+	mismatches: [{ transactionId: "TXN1", field: "failureReason", reported: "<UserID-1>", expected: "<UserID-2>" }],
+};
+
+let server: Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+	const app = express();
+	// Stands in for authenticate: the tenant comes from a test header
+	app.use((req, _res, next) => {
+		req.tenant = { id: req.get("X-Tenant") || "acme", apiKeys: [], namespace: "ns" };
+		next();
+	});
+	app.use("/rca/stream", streamRoute);
+	server = await new Promise<Server>((resolve) => {
+		const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+	});
+	baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(async () => {
+	server.closeAllConnections();
+	await new Promise((resolve) => server.close(resolve));
+});
+
+const UPLOAD_DIR = path.join(process.cwd(), "uploads");
+const uploadedFiles = () => (fs.existsSync(UPLOAD_DIR) ? fs.readdirSync(UPLOAD_DIR).sort() : []);
+
+const upload = (url: string, tenant = "acme", signal?: AbortSignal) => {
+	const form = new FormData();
+	form.append("logfile", new Blob(["ts=2025-06-27T10:00:00Z txn_id=TXN1 status=FAILED\n"]), "app.log");
+	return fetch(`${baseUrl}${url}`, { method: "POST", body: form, headers: { "X-Tenant": tenant }, signal });
+};
+
+const open = (url: string, tenant = "acme") => fetch(`${baseUrl}${url}`, { headers: { "X-Tenant": tenant } });
+
+const events = async (res: Response) =>
+	(await res.text())
+		.split("\n\n")
+		.filter((block) => block.startsWith("event: "))
+		.map((block) => {
+			const [event, data] = block.split("\n");
+			return { event: event.slice("event: ".length), data: JSON.parse(data.slice("data: ".length)) };
+		});
+
+const tokens = (...parts: string[]) =>
+	async function* () {
+		for (const part of parts) yield part;
+	};
+
+describe("rca stream", () => {
+	beforeEach(() => {
+		vi.clearAllMocks();
+		vi.mocked(prepareRCA).mockResolvedValue({
+			contexts: [{ transaction: { transactionId: "TXN1" }, hits: [] }],
+		} as never);
+		vi.mocked(verifyPreparedRCA).mockImplementation((_prepared, report) => ({ report, verification: VERIFICATION }));
+		vi.mocked(generateRuleBasedResult).mockReturnValue({ report: "# Rules", engine: "rules", verification: VERIFICATION });
+		// Restores the placeholders like the real finalizeRCA does
+		finalize.mockImplementation((_prepared, result: RcaResult) => ({
+			...result,
+			verification: JSON.parse(JSON.stringify(result.verification).replace(/<UserID-(\d)>/g, "U$1")),
+			reportId: "r1",
+		}));
+		streamCompletion.mockImplementation(tokens("# RCA", " report"));
+	});
+
+	it("sends the verification with the values restored, same as in done", async () => {
+		const sent = await events(await upload("/rca/stream"));
+
+		expect(sent.filter((e) => e.event === "token").map((e) => e.data.text)).toEqual(["# RCA", " report"]);
+		const verification = sent.find((e) => e.event === "verification")!.data;
+		const done = sent.find((e) => e.event === "done")!.data;
+		expect(verification.mismatches[0]).toMatchObject({ reported: "U1", expected: "U2" });
+		expect(verification).toEqual(done.verification);
+		expect(done).toMatchObject({ report: "# RCA report", engine: "llm", reportId: "r1" });
+	});
+
+	it("falls back to rules when the model fails before its first token", async () => {
+		streamCompletion.mockImplementation(async function* () {
+			throw new Error("provider down");
+		});
+		vi.spyOn(console, "error").mockImplementation(() => {});
+
+		const done = (await events(await upload("/rca/stream"))).find((e) => e.event === "done")!.data;
+		expect(done).toMatchObject({ report: "# Rules", engine: "rules" });
+	});
+
+	it("doesn't fall back to rules once tokens were sent", async () => {
+		streamCompletion.mockImplementation(async function* () {
+			yield "# Partial";
+			throw new Error("connection reset");
+		});
+		vi.spyOn(console, "error").mockImplementation(() => {});
+
+		const sent = await events(await upload("/rca/stream"));
+		expect(sent.map((e) => e.event)).toContain("token");
+		expect(sent[sent.length - 1]).toEqual({ event: "error", data: { error: "RCA generation failed" } });
+		expect(generateRuleBasedResult).not.toHaveBeenCalled();
+		expect(finalize).not.toHaveBeenCalled();
+	});
+
+	it("aborts generation when the client goes away", async () => {
+		let signal: AbortSignal | undefined;
+		streamCompletion.mockImplementation(async function* (_prepared, _llm, abortSignal) {
+			signal = abortSignal;
+			yield "# RCA";
+			await new Promise((resolve) => abortSignal!.addEventListener("abort", resolve));
+			throw new Error("aborted");
+		});
+
+		const client = new AbortController();
+		const res = await upload("/rca/stream", "acme", client.signal);
+		const reader = res.body!.getReader();
+		let received = "";
+		while (!received.includes("event: token")) {
+			const { value, done } = await reader.read();
+			if (done) break;
+			received += new TextDecoder().decode(value);
+		}
+		expect(received).toContain("event: token");
+		client.abort();
+
+		await vi.waitFor(() => expect(signal?.aborted).toBe(true));
+		expect(finalize).not.toHaveBeenCalled();
+	});
+});
+
+describe("staged uploads", () => {
+	beforeEach(() => {
+		vi.mocked(prepareRCA).mockResolvedValue({ emptyReport: "No failed transactions" } as never);
+		finalize.mockImplementation((_prepared, result) => result);
+	});
+	afterEach(() => {
+		delete process.env.RCA_STREAM_UPLOAD_TTL_MS;
+	});
+
+	it("streams an upload once, by its Location", async () => {
+		const res = await upload("/rca/stream/uploads");
+		expect(res.status).toBe(201);
+		const { id, expiresAt } = await res.json();
+		expect(res.headers.get("location")).toBe(`/rca/stream/${id}`);
+		expect(Date.parse(expiresAt)).toBeGreaterThan(Date.now());
+
+		const first = await open(`/rca/stream/${id}`);
+		expect(first.headers.get("content-type")).toBe("text/event-stream");
+		expect((await events(first)).pop()).toEqual({ event: "done", data: { report: "No failed transactions" } });
+		expect((await open(`/rca/stream/${id}`)).status).toBe(404);
+	});
+
+	it("is not found for another tenant, and stays available to its own", async () => {
+		const { id } = await (await upload("/rca/stream/uploads", "acme")).json();
+
+		expect((await open(`/rca/stream/${id}`, "globex")).status).toBe(404);
+		expect((await open(`/rca/stream/${id}`, "acme")).status).toBe(200);
+	});
+
+	it("is removed with its files when nobody streams it in time", async () => {
+		process.env.RCA_STREAM_UPLOAD_TTL_MS = "50";
+		const before = uploadedFiles();
+		const { id } = await (await upload("/rca/stream/uploads")).json();
+		const staged = uploadedFiles().filter((file) => !before.includes(file));
+		expect(staged).toHaveLength(1);
+
+		await new Promise((resolve) => setTimeout(resolve, 100));
+		expect((await open(`/rca/stream/${id}`)).status).toBe(404);
+		await vi.waitFor(() => expect(fs.existsSync(path.join(UPLOAD_DIR, staged[0]))).toBe(false));
+	});
+});
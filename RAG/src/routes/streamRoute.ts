@@ -0,0 +1,331 @@
+import express, { Request, Response } from "express";
+import { v4 as uuidv4 } from "uuid";
+import { removeUploads, uploadedLogs, uploadLogs } from "../middleware/upload";
+import {
+	finalizeRCA,
+	generateRuleBasedResult,
+	prepareRCA,
+	RcaResult,
+	rulesFallbackEnabled,
+	streamRCACompletion,
+	verifyPreparedRCA,
+} from "../services/rcaService";
+import { RcaVerificationError } from "../services/rcaVerification";
+import { ArchiveLimitError, LogReadError, UploadedLog } from "../services/logArchive";
+import { UnsupportedLogError } from "../services/logEncoding";
+import { requestTenant } from "../middleware/auth";
+import { getRcaRequestOptions, RcaRequestOptions } from "../utils/requestOptions";
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15000;
+const STAGED_UPLOAD_TTL_MS = () => Number(process.env.RCA_STREAM_UPLOAD_TTL_MS) || 5 * 60 * 1000;
+
+// Logs uploaded for an EventSource client, waiting for it to open GET /rca/stream/{id}.
+// Each is streamed once; the files are removed if nobody picks them up in time.
+type StagedUpload = { tenantId: string; logFiles: UploadedLog[]; options: RcaRequestOptions; expiry: NodeJS.Timeout };
+const staged = new Map<string, StagedUpload>();
+
+const stageUpload = (logFiles: UploadedLog[], options: RcaRequestOptions) => {
+	const id = uuidv4();
+	const ttl = STAGED_UPLOAD_TTL_MS();
+	const expiry = setTimeout(() => {
+		staged.delete(id);
+		removeUploads(logFiles);
+	}, ttl).unref();
+	staged.set(id, { tenantId: options.tenant!.id, logFiles, options, expiry });
+	return { id, expiresAt: new Date(Date.now() + ttl).toISOString() };
+};
+
+const takeStagedUpload = (tenantId: string, id: string) => {
+	const upload = staged.get(id);
+	if (!upload || upload.tenantId !== tenantId) return undefined;
+	staged.delete(id);
+	clearTimeout(upload.expiry);
+	return upload;
+};
+
+const openEventStream = (res: Response) => {
+	res.status(200);
+	res.setHeader("Content-Type", "text/event-stream");
+	res.setHeader("Cache-Control", "no-cache");
+	res.setHeader("Connection", "keep-alive");
+	// Stop nginx-style proxies from buffering the stream
+	res.setHeader("X-Accel-Buffering", "no");
+	res.flushHeaders();
+
+	return (event: string, data: unknown) => {
+		if (res.writableEnded) return;
+		res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+	};
+};
+
+const streamRCA = async (res: Response, logFiles: UploadedLog[], options: RcaRequestOptions) => {
+	const controller = new AbortController();
+	res.on("close", () => {
+		if (!res.writableEnded) controller.abort();
+	});
+
+	const send = openEventStream(res);
+	const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_MS);
+
+	try {
+		const prepared = await prepareRCA(logFiles, {
+			...options,
+			onProgress: (stage, percent) => send("progress", { stage, percent }),
+		});
+
+		if (prepared.summary) send("summary", prepared.summary);
+		if (prepared.emptyReport !== undefined) {
+			send("done", finalizeRCA(prepared, { report: prepared.emptyReport }));
+			return;
+		}
+
+		send("retrieval", {
+			transactions: prepared.contexts.map(({ transaction, hits }) => ({
+				transactionId: transaction.transactionId,
+				hits: hits.map(({ category, score }) => ({ category, score })),
+			})),
+		});
+		send("progress", { stage: "generating", percent: 50 });
+
+		let report: string | undefined;
+		let generatedBy: RcaResult["generatedBy"];
+		if (options.mode !== "rules") {
+			let streamed = "";
+			// Tokens carry placeholders for redacted values; the client gets the real ones
+			const restorer = prepared.redactor?.streamRestorer();
+			const sendToken = (text: string) => text && send("token", { text });
+			try {
+				for await (const token of streamRCACompletion(
+					prepared,
+					options.llm,
+					controller.signal,
+					(provider, model) => (generatedBy = { provider, model })
+				)) {
+					streamed += token;
+					sendToken(restorer ? restorer.push(token) : token);
+				}
+				if (restorer) sendToken(restorer.flush());
+				report = streamed;
+			} catch (err) {
+				// Once tokens are out the client already has part of the model's report
+				if (streamed || controller.signal.aborted || !rulesFallbackEnabled()) throw err;
+				console.error("LLM stream failed, falling back to rules:", err);
+			}
+		}
+
+		// Tokens are already out, so a repaired report only shows up in "done"
+		const result: RcaResult =
+			report === undefined
+				? generateRuleBasedResult(prepared, options.verify)
+				: { ...verifyPreparedRCA(prepared, report, options.verify), engine: "llm", generatedBy };
+		// Finalized first, so "verification" carries the restored values just like "done"
+		const final = finalizeRCA(prepared, result);
+		send("verification", final.verification);
+		send("progress", { stage: "done", percent: 100 });
+		send("done", final);
+	} catch (err: any) {
+		// The client went away; there is nobody left to tell
+		if (controller.signal.aborted) return;
+		if (err instanceof ArchiveLimitError || err instanceof UnsupportedLogError || err instanceof LogReadError) {
+			send("error", { error: err.message });
+			return;
+		}
+		if (err instanceof RcaVerificationError) {
+			send("error", { error: err.message, verification: err.summary });
+			return;
+		}
+		console.error(err);
+		send("error", { error: "RCA generation failed" });
+	} finally {
+		clearInterval(heartbeat);
+		res.end();
+		removeUploads(logFiles);
+	}
+};
+
+/**
+ * @openapi
+ * /rca/stream:
+ *   post:
+ *     summary: Upload transaction logs and stream the RCA as Server-Sent Events
+ *     description: |
+ *       Emits `progress` ({stage, percent}), `summary` (failure counts and rates), `retrieval`
+ *       (knowledge-base categories and scores per transaction), `token` ({text}) as the report
+ *       is generated, `verification` (the checks of the report against the log), then `done`
+ *       ({report, engine, generatedBy, verification, summary, reportId}) where `report` is the
+ *       verified, possibly repaired, report with the failure summary on top, `engine` is `llm`
+ *       or `rules` and `reportId` identifies the stored run in `/rca/reports`.
+ *       With `mode=rules`, or when the model fails before its first token, no `token` events
+ *       are sent and the rule-based report arrives in `done`.
+ *       Failures are reported as an `error` event. Closing the connection aborts generation.
+ *     parameters:
+ *       - $ref: '#/components/parameters/LLMProvider'
+ *       - $ref: '#/components/parameters/LLMModel'
+ *       - $ref: '#/components/parameters/LogFormat'
+ *       - $ref: '#/components/parameters/FieldMapping'
+ *       - $ref: '#/components/parameters/Verify'
+ *       - $ref: '#/components/parameters/Strict'
+ *       - $ref: '#/components/parameters/Mode'
+ *       - $ref: '#/components/parameters/Dimensions'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logfile:
+ *                 type: array
+ *                 description: Log files or .zip/.tar/.tar.gz/.gz archives of logs
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: No log file was uploaded, or an option is invalid
+ *       413:
+ *         $ref: '#/components/responses/UploadTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedLog'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ */
+router.post("/", uploadLogs, async (req: Request, res: Response) => {
+	const logFiles = uploadedLogs(req);
+	if (!logFiles.length) {
+		res.status(400).json({ error: "No file uploaded" });
+		return;
+	}
+
+	let options: RcaRequestOptions;
+	try {
+		options = getRcaRequestOptions(req);
+	} catch (err: any) {
+		removeUploads(logFiles);
+		res.status(400).json({ error: err.message });
+		return;
+	}
+
+	await streamRCA(res, logFiles, options);
+});
+
+/**
+ * @openapi
+ * /rca/stream/uploads:
+ *   post:
+ *     summary: Upload transaction logs to stream later with GET /rca/stream/{id} (for EventSource clients)
+ *     description: |
+ *       EventSource can only issue GET requests, so the logs are uploaded here first and the
+ *       stream is opened by ID; the log itself never travels in a URL. Options are taken from
+ *       this request. An upload can be streamed once and is discarded after
+ *       `RCA_STREAM_UPLOAD_TTL_MS` (5 minutes) if it is not.
+ *     parameters:
+ *       - $ref: '#/components/parameters/LLMProvider'
+ *       - $ref: '#/components/parameters/LLMModel'
+ *       - $ref: '#/components/parameters/LogFormat'
+ *       - $ref: '#/components/parameters/FieldMapping'
+ *       - $ref: '#/components/parameters/Verify'
+ *       - $ref: '#/components/parameters/Strict'
+ *       - $ref: '#/components/parameters/Mode'
+ *       - $ref: '#/components/parameters/Dimensions'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logfile:
+ *                 type: array
+ *                 description: Log files or .zip/.tar/.tar.gz/.gz archives of logs
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Upload staged; open the stream at the Location header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: No log file was uploaded, or an option is invalid
+ *       413:
+ *         $ref: '#/components/responses/UploadTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedLog'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ */
+router.post("/uploads", uploadLogs, (req: Request, res: Response) => {
+	const logFiles = uploadedLogs(req);
+	if (!logFiles.length) {
+		res.status(400).json({ error: "No file uploaded" });
+		return;
+	}
+
+	let options: RcaRequestOptions;
+	try {
+		options = getRcaRequestOptions(req);
+	} catch (err: any) {
+		removeUploads(logFiles);
+		res.status(400).json({ error: err.message });
+		return;
+	}
+
+	const upload = stageUpload(logFiles, options);
+	res.status(201).location(`${req.baseUrl}/${upload.id}`).json(upload);
+});
+
+/**
+ * @openapi
+ * /rca/stream/{id}:
+ *   get:
+ *     summary: Stream the RCA of logs uploaded with POST /rca/stream/uploads
+ *     description: Sends the same events as `POST /rca/stream`.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: API key or JWT, since EventSource can't send an Authorization header. Only this route accepts it.
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown, expired or already streamed upload, or an upload of another tenant
+ */
+router.get("/:id", async (req: Request, res: Response) => {
+	const upload = takeStagedUpload(requestTenant(req).id, req.params.id);
+	if (!upload) {
+		res.status(404).json({ error: "Upload not found" });
+		return;
+	}
+
+	await streamRCA(res, upload.logFiles, upload.options);
+});
+
+export default router;
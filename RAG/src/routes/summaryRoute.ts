@@ -0,0 +1,160 @@
+import express, { Request, Response } from "express";
+import { removeUploads, uploadedLogs, uploadLogs } from "../middleware/upload";
+import { getFailedTransactionsTool } from "../tools/mcpTools";
+import { ArchiveLimitError } from "../services/logArchive";
+import { UnsupportedLogError } from "../services/logEncoding";
+import { formatFailureStats } from "../services/failureStats";
+import { getRcaRequestOptions, RcaRequestOptions } from "../utils/requestOptions";
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /rca/summary:
+ *   post:
+ *     summary: Failure counts, rates and totals for uploaded logs, without calling the LLM
+ *     description: |
+ *       Accepts the same uploads as `POST /rca` (several files and archives). Every parsed
+ *       entry is counted; failure rates are failed / total per value of each dimension.
+ *     parameters:
+ *       - $ref: '#/components/parameters/LogFormat'
+ *       - $ref: '#/components/parameters/FieldMapping'
+ *       - $ref: '#/components/parameters/Dimensions'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logfile:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       200:
+ *         description: Failure statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FailureStats'
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: No log file was uploaded, or an option is invalid
+ *       413:
+ *         $ref: '#/components/responses/UploadTooLarge'
+ *       415:
+ *         $ref: '#/components/responses/UnsupportedLog'
+ *       422:
+ *         description: An uploaded log could not be read, e.g. a corrupt archive
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *
+ * components:
+ *   parameters:
+ *     Dimensions:
+ *       in: query
+ *       name: dimensions
+ *       schema:
+ *         type: string
+ *       description: Comma-separated fields to group failures by (defaults to RCA_SUMMARY_DIMENSIONS)
+ *       example: Failure Reason,Component,Channel,BankCode
+ *   schemas:
+ *     FailureStats:
+ *       type: object
+ *       properties:
+ *         transactions:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         failureRate:
+ *           type: number
+ *         failedAmount:
+ *           type: number
+ *         retries:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           example: { "0": 4, "3": 1, "unknown": 2 }
+ *         resolutionTime:
+ *           type: object
+ *           properties:
+ *             medianSeconds:
+ *               type: number
+ *             samples:
+ *               type: integer
+ *         dimensions:
+ *           type: object
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: object
+ *               properties:
+ *                 value:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 failureRate:
+ *                   type: number
+ */
+router.post("/", uploadLogs, async (req: Request, res: Response) => {
+	const logFiles = uploadedLogs(req);
+	if (!logFiles.length) {
+		res.status(400).json({ error: "No file uploaded" });
+		return;
+	}
+
+	let options: RcaRequestOptions;
+	try {
+		options = getRcaRequestOptions(req);
+	} catch (err: any) {
+		removeUploads(logFiles);
+		res.status(400).json({ error: err.message });
+		return;
+	}
+
+	try {
+		const result = await getFailedTransactionsTool.handler({
+			logFiles,
+			...options.ingest,
+			dimensions: options.dimensions,
+		});
+		const summary = result.structuredContent?.summary;
+		if (result.isError || !summary) {
+			res.status(422).json({ error: result.content[0].text });
+			return;
+		}
+
+		res.format({
+			"application/json": () => {
+				res.json(summary);
+			},
+			"text/markdown": () => {
+				res.send(formatFailureStats(summary));
+			},
+			default: () => {
+				res.status(406).json({ error: "Not acceptable", supported: ["application/json", "text/markdown"] });
+			},
+		});
+	} catch (err) {
+		if (err instanceof ArchiveLimitError) {
+			res.status(413).json({ error: err.message });
+			return;
+		}
+		if (err instanceof UnsupportedLogError) {
+			res.status(415).json({ error: err.message });
+			return;
+		}
+		console.error(err);
+		res.status(500).json({ error: "Could not summarize logs" });
+	} finally {
+		removeUploads(logFiles);
+	}
+});
+
+export default router;
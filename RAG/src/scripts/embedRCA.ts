@@ -0,0 +1,18 @@
+// First, so .env is loaded before any module below reads its settings at import time
+import "dotenv/config";
+import { embedAndUploadRCA } from "../services/embedRCA";
+
+// npm run embed -- [options]
+//   --store=local   override the backend
+//   --tenant=<id>   sync a tenant's knowledge base into its own namespace
+//   --dry-run       print the diff without changing anything
+const storeArg = process.argv.find((arg) => arg.startsWith("--store="));
+const tenantArg = process.argv.find((arg) => arg.startsWith("--tenant="));
+embedAndUploadRCA({
+  storeName: storeArg?.split("=")[1],
+  tenantId: tenantArg?.split("=")[1],
+  dryRun: process.argv.includes("--dry-run"),
+}).catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,15 @@
+// transformers.js (and its native deps) is only loaded once something
+// actually needs an embedding, so Pinecone-only deployments never pay for it
+const loadExtractor = async () => {
+	const { pipeline } = await import("@xenova/transformers");
+	return pipeline("feature-extraction", process.env.EMBEDDING_MODEL || "Xenova/bge-base-en");
+};
+
+let extractor: ReturnType<typeof loadExtractor> | undefined;
+
+// Loads the model once and reuses it for every embedding
+export const embedText = async (text: string): Promise<number[]> => {
+	extractor ??= loadExtractor();
+	const output = await (await extractor)(text, { pooling: "mean", normalize: true });
+	return Array.from(output.data as Float32Array);
+};
@@ -0,0 +1,111 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { computeFailureStats, getSummaryDimensions, parseDurationSeconds } from "./failureStats";
+
+const record = (fields: Record<string, string>) => toTransactionRecord({ TransactionID: "TXN", ...fields }, 1);
+
+describe("parseDurationSeconds", () => {
+	it.each([
+		["32 seconds", 32],
+		["3.2s", 3.2],
+		["1m 30s", 90],
+		["2 minutes", 120],
+		["1500ms", 1.5],
+		["1h", 3600],
+		["00:01:30", 90],
+		["01:30", 90],
+		["45", 45],
+	])("reads %s", (value, seconds) => {
+		expect(parseDurationSeconds(value)).toBeCloseTo(seconds);
+	});
+
+	it.each([undefined, "", "   ", "soon", "N/A"])("has no value for %j", (value) => {
+		expect(parseDurationSeconds(value)).toBeUndefined();
+	});
+});
+
+describe("computeFailureStats", () => {
+	afterEach(() => {
+		delete process.env.RCA_SUMMARY_DIMENSIONS;
+	});
+
+	it("is all zeros for an empty log", () => {
+		expect(computeFailureStats([], ["Channel"])).toEqual({
+			transactions: 0,
+			failed: 0,
+			failureRate: 0,
+			failedAmount: 0,
+			retries: {},
+			resolutionTime: { medianSeconds: undefined, samples: 0 },
+			dimensions: { Channel: [] },
+		});
+	});
+
+	it("sums failed amounts and counts retries of failed transactions only", () => {
+		const stats = computeFailureStats(
+			[
+				record({ Status: "FAILED", Amount: "₹2,500.00", RetryCount: "3" }),
+				record({ Status: "DECLINED", Amount: "₹100.50", RetryCount: "0" }),
+				record({ Status: "FAILED" }),
+				record({ Status: "SUCCESS", Amount: "₹10,000.00", RetryCount: "1" }),
+			],
+			[]
+		);
+
+		expect(stats).toMatchObject({ transactions: 4, failed: 3, failureRate: 0.75, failedAmount: 2600.5 });
+		expect(stats.retries).toEqual({ "3": 1, "0": 1, unknown: 1 });
+	});
+
+	it("takes the median over the resolution times it can read and counts only those", () => {
+		const stats = computeFailureStats(
+			[
+				record({ Status: "FAILED", ResolutionTime: "30 seconds" }),
+				record({ Status: "FAILED", ResolutionTime: "1m" }),
+				record({ Status: "FAILED", ResolutionTime: "2m" }),
+				record({ Status: "FAILED", ResolutionTime: "1h" }),
+				record({ Status: "FAILED", ResolutionTime: "pending" }),
+				record({ Status: "FAILED" }),
+				record({ Status: "SUCCESS", ResolutionTime: "1s" }),
+			],
+			[]
+		);
+		expect(stats.resolutionTime).toEqual({ medianSeconds: 90, samples: 4 });
+	});
+
+	it("breaks down by any field, with (none) for entries that don't have it", () => {
+		const stats = computeFailureStats(
+			[
+				record({ Status: "FAILED", Channel: "UPI", Region: "south" }),
+				record({ Status: "FAILED", Channel: "UPI" }),
+				record({ Status: "SUCCESS", Channel: "UPI" }),
+				record({ Status: "SUCCESS", Channel: "Card" }),
+			],
+			["Channel", "Region", "NoSuchField"]
+		);
+
+		expect(stats.dimensions.Channel).toEqual([
+			{ value: "UPI", total: 3, failed: 2, failureRate: 2 / 3 },
+			{ value: "Card", total: 1, failed: 0, failureRate: 0 },
+		]);
+		expect(stats.dimensions.Region.map((b) => [b.value, b.failed, b.total])).toEqual([
+			["(none)", 1, 3],
+			["south", 1, 1],
+		]);
+		expect(stats.dimensions.NoSuchField).toEqual([{ value: "(none)", total: 4, failed: 2, failureRate: 0.5 }]);
+	});
+
+	it("reads the bank from the root cause when there is no BankCode field", () => {
+		const stats = computeFailureStats(
+			[record({ Status: "FAILED", RootCause: "Timeout from bank server (BankCode: HDFC)." })],
+			["BankCode"]
+		);
+		expect(stats.dimensions.BankCode[0]).toMatchObject({ value: "HDFC", failed: 1 });
+	});
+
+	it("groups by RCA_SUMMARY_DIMENSIONS unless the request names its own", () => {
+		process.env.RCA_SUMMARY_DIMENSIONS = " Channel , Component,";
+		expect(getSummaryDimensions()).toEqual(["Channel", "Component"]);
+		expect(getSummaryDimensions(["BankCode"])).toEqual(["BankCode"]);
+		expect(Object.keys(computeFailureStats([record({ Status: "FAILED" })]).dimensions)).toEqual(["Channel", "Component"]);
+	});
+});
@@ -0,0 +1,145 @@
+import { isFailedTransaction, TransactionRecord } from "../parsers/transactionLog";
+
+// Canonical field names to group by; RCA_SUMMARY_DIMENSIONS overrides the default list
+export const DEFAULT_SUMMARY_DIMENSIONS = ["Failure Reason", "Component", "Channel", "BankCode"];
+
+export const getSummaryDimensions = (requested?: string[]) => {
+	if (requested?.length) return requested;
+	const configured = (process.env.RCA_SUMMARY_DIMENSIONS || "")
+		.split(",")
+		.map((d) => d.trim())
+		.filter(Boolean);
+	return configured.length ? configured : DEFAULT_SUMMARY_DIMENSIONS;
+};
+
+export type DimensionBucket = {
+	value: string;
+	total: number;
+	failed: number;
+	failureRate: number;
+};
+
+export type FailureStats = {
+	transactions: number;
+	failed: number;
+	failureRate: number;
+	failedAmount: number;
+	// Failed transactions per RetryCount; "unknown" when the entry has none
+	retries: Record<string, number>;
+	resolutionTime: {
+		medianSeconds?: number;
+		samples: number;
+	};
+	dimensions: Record<string, DimensionBucket[]>;
+};
+
+const NO_VALUE = "(none)";
+
+const unitSeconds = (unit = "s") => {
+	if (unit === "ms" || unit.startsWith("milli")) return 0.001;
+	if (unit.startsWith("h")) return 3600;
+	if (unit.startsWith("d")) return 86400;
+	if (unit.startsWith("m")) return 60;
+	return 1;
+};
+
+// "32 seconds", "3.2s", "1m 30s", "1500ms", "00:01:30"
+export const parseDurationSeconds = (value?: string): number | undefined => {
+	if (!value) return undefined;
+	const text = value.trim().toLowerCase();
+
+	const clock = text.match(/^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/);
+	if (clock) return Number(clock[1] || 0) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+
+	const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(ms|milli\w*|s|sec\w*|m|min\w*|h|hours?|hrs?|d|days?)?\b/g)];
+	if (!parts.length) return undefined;
+	return parts.reduce((total, [, amount, unit]) => total + Number(amount) * unitSeconds(unit), 0);
+};
+
+const median = (values: number[]) => {
+	if (!values.length) return undefined;
+	const sorted = [...values].sort((a, b) => a - b);
+	const mid = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const rate = (failed: number, total: number) => (total ? failed / total : 0);
+
+// BankCode is also recovered from RootCause text, so it comes from the record
+const dimensionValue = (record: TransactionRecord, dimension: string) =>
+	(dimension === "BankCode" ? record.bankCode : record.fields[dimension]) || NO_VALUE;
+
+// Plain counting over the parsed entries; nothing here depends on the model
+export const computeFailureStats = (
+	records: TransactionRecord[],
+	dimensions: string[] = getSummaryDimensions()
+): FailureStats => {
+	const failed = records.filter(isFailedTransaction);
+
+	const retries: Record<string, number> = {};
+	for (const record of failed) {
+		const key = record.retryCount === undefined ? "unknown" : String(record.retryCount);
+		retries[key] = (retries[key] || 0) + 1;
+	}
+
+	const resolutionTimes = failed
+		.map((r) => parseDurationSeconds(r.resolutionTime))
+		.filter((s): s is number => s !== undefined);
+
+	const byDimension: Record<string, DimensionBucket[]> = {};
+	for (const dimension of dimensions) {
+		const buckets = new Map<string, DimensionBucket>();
+		for (const record of records) {
+			const value = dimensionValue(record, dimension);
+			const bucket = buckets.get(value) || { value, total: 0, failed: 0, failureRate: 0 };
+			bucket.total++;
+			if (isFailedTransaction(record)) bucket.failed++;
+			buckets.set(value, bucket);
+		}
+		byDimension[dimension] = [...buckets.values()]
+			.map((b) => ({ ...b, failureRate: rate(b.failed, b.total) }))
+			.sort((a, b) => b.failed - a.failed || b.total - a.total || a.value.localeCompare(b.value));
+	}
+
+	return {
+		transactions: records.length,
+		failed: failed.length,
+		failureRate: rate(failed.length, records.length),
+		failedAmount: failed.reduce((sum, r) => sum + (r.amount || 0), 0),
+		retries,
+		resolutionTime: { medianSeconds: median(resolutionTimes), samples: resolutionTimes.length },
+		dimensions: byDimension,
+	};
+};
+
+const percent = (value: number) => `${(value * 100).toFixed(1)}%`;
+
+// Rendered at the top of the RCA report
+export const formatFailureStats = (stats: FailureStats) => {
+	const retries = Object.entries(stats.retries)
+		.sort(([a], [b]) => (a === "unknown" ? 1 : b === "unknown" ? -1 : Number(a) - Number(b)))
+		.map(([count, n]) => `${count === "unknown" ? "not logged" : `${count} retries`}: ${n}`)
+		.join(", ");
+	const { medianSeconds, samples } = stats.resolutionTime;
+
+	const lines = [
+		"## Failure Summary",
+		"",
+		`- Transactions: ${stats.transactions}, failed: ${stats.failed} (${percent(stats.failureRate)})`,
+		`- Total failed amount: ${stats.failedAmount.toLocaleString("en-IN", { minimumFractionDigits: 2 })}`,
+		`- Median resolution time: ${medianSeconds === undefined ? "N/A" : `${medianSeconds}s`} (${samples} with ResolutionTime)`,
+		`- Retries of failed transactions: ${retries || "N/A"}`,
+	];
+
+	for (const [dimension, buckets] of Object.entries(stats.dimensions)) {
+		lines.push(
+			"",
+			`### By ${dimension}`,
+			"",
+			`| ${dimension} | Failed | Total | Failure rate |`,
+			"|---|---|---|---|",
+			...buckets.map((b) => `| ${b.value.replace(/\|/g, "\\|")} | ${b.failed} | ${b.total} | ${percent(b.failureRate)} |`)
+		);
+	}
+	return lines.join("\n");
+};
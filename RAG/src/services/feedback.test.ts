@@ -0,0 +1,237 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ZodError } from "zod";
+import { afterAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { Tenant } from "../config/tenants";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { FeedbackError, feedbackStats, listFeedback, submitFeedback } from "./feedback";
+import { getEntry, listEntries } from "./knowledgeBase";
+import { syncKnowledgeVectors } from "./knowledgeSync";
+import { PreparedRCA } from "./rcaService";
+import { recordRCA, ReportNotFoundError } from "./reportHistory";
+
+vi.mock("./knowledgeSync", () => ({ syncKnowledgeVectors: vi.fn() }));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-test-"));
+process.env.DATA_DIR = dataDir;
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const sync = vi.mocked(syncKnowledgeVectors);
+
+let tenants = 0;
+// A fresh tenant per test, so feedback and knowledge entries don't carry over
+const newTenant = (): Tenant => {
+	const id = `team-${++tenants}`;
+	return { id, apiKeys: [], namespace: `tenant-${id}` };
+};
+
+const hit = (category: string, score: number) => ({ id: `${category}#0`, score, category, text: "" });
+
+// TXN1 drew on two runbooks, TXN2 only matches a rule, TXN3 matches nothing
+const storeReport = (tenant: Tenant) => {
+	const transactions = [
+		toTransactionRecord({ TransactionID: "TXN1", Status: "FAILED", "Failure Reason": "GatewayTimeout" }, 1),
+		toTransactionRecord({ TransactionID: "TXN2", Status: "FAILED", "Failure Reason": "InsufficientFunds" }, 2),
+		toTransactionRecord({ TransactionID: "TXN3", Status: "FAILED", "Failure Reason": "Mystery" }, 3),
+	];
+	return recordRCA(
+		{
+			tenant,
+			input: { hash: "h", files: [] },
+			transactions,
+			contexts: [
+				{ transaction: transactions[0], query: "", hits: [hit("gateway-timeout", 0.8), hit("bank-api-failure", 0.9)] },
+				{ transaction: transactions[1], query: "", hits: [] },
+			],
+			systemPrompt: "",
+			prompt: "",
+			promptVersion: 1,
+		} as PreparedRCA,
+		{ report: "# RCA", engine: "llm" }
+	)!;
+};
+
+const CORRECTION = {
+	transactionId: "TXN1",
+	rating: 1,
+	correctedRootCause: "The acquirer throttled us",
+	correctedActions: ["Raise the acquirer rate limit", "Retry with backoff"],
+	author: "sre-payments",
+	promote: true,
+};
+
+describe("submitFeedback", () => {
+	beforeEach(() => {
+		sync.mockReset();
+	});
+
+	it("files the feedback under the best retrieved runbook, else the rule match", async () => {
+		const tenant = newTenant();
+		const reportId = storeReport(tenant);
+
+		const retrieved = await submitFeedback(tenant, reportId, { transactionId: "TXN1", rating: 4, author: "ops" });
+		const matched = await submitFeedback(tenant, reportId, { transactionId: "TXN2", rating: 4, author: "ops" });
+		const chosen = await submitFeedback(tenant, reportId, {
+			transactionId: "TXN1",
+			rating: 4,
+			author: "ops",
+			category: "network-error",
+		});
+		const unknown = await submitFeedback(tenant, reportId, { transactionId: "TXN3", rating: 4, author: "ops" });
+
+		expect([retrieved, matched, chosen, unknown].map((f) => f.category)).toEqual([
+			"bank-api-failure",
+			"insufficient-funds",
+			"network-error",
+			undefined,
+		]);
+		expect(retrieved).toMatchObject({ reportId, transactionId: "TXN1", rating: 4, correctedActions: [] });
+		expect(retrieved.promotedEntryId).toBeUndefined();
+		expect(sync).not.toHaveBeenCalled();
+	});
+
+	it("rejects a transaction the report doesn't have, and invalid input", async () => {
+		const tenant = newTenant();
+		const reportId = storeReport(tenant);
+
+		await expect(submitFeedback(tenant, reportId, { transactionId: "TXN9", rating: 3, author: "ops" })).rejects.toThrow(
+			new FeedbackError(`Report ${reportId} has no transaction TXN9`)
+		);
+		await expect(submitFeedback(tenant, reportId, { transactionId: "TXN1", rating: 6, author: "ops" })).rejects.toThrow(
+			ZodError
+		);
+		await expect(
+			submitFeedback(tenant, reportId, { transactionId: "TXN1", rating: 1, author: "ops", promote: true })
+		).rejects.toThrow("promote needs a correctedRootCause");
+		expect(listFeedback(tenant)).toEqual([]);
+	});
+
+	it("promotes a correction into the knowledge base as a runbook", async () => {
+		const tenant = newTenant();
+		const reportId = storeReport(tenant);
+		const before = listEntries(tenant, { category: "bank-api-failure" }).length;
+
+		const feedback = await submitFeedback(tenant, reportId, { ...CORRECTION, tags: ["acquirer"] });
+
+		expect(getEntry(tenant, feedback.promotedEntryId!)).toMatchObject({
+			category: "bank-api-failure",
+			text: "The acquirer throttled us.\nRaise the acquirer rate limit\nRetry with backoff",
+			tags: ["analyst-feedback", "acquirer"],
+			owner: "sre-payments",
+		});
+		expect(listEntries(tenant, { category: "bank-api-failure" })).toHaveLength(before + 1);
+		expect(sync).toHaveBeenCalledOnce();
+		expect(sync.mock.calls[0][1]).toMatchObject({ namespace: tenant.namespace, categories: ["bank-api-failure"] });
+	});
+
+	it("links a correction promoted again to the entry it already created", async () => {
+		const tenant = newTenant();
+		const reportId = storeReport(tenant);
+		const before = listEntries(tenant).length;
+
+		const first = await submitFeedback(tenant, reportId, CORRECTION);
+		const again = await submitFeedback(tenant, reportId, { ...CORRECTION, author: "another-analyst" });
+		expect(again.promotedEntryId).toBe(first.promotedEntryId);
+		expect(listEntries(tenant)).toHaveLength(before + 1);
+		expect(sync).toHaveBeenCalledOnce();
+
+		// Another correction, or the same one in another category, is a new entry
+		const other = await submitFeedback(tenant, reportId, { ...CORRECTION, correctedActions: ["Page the acquirer"] });
+		const elsewhere = await submitFeedback(tenant, reportId, { ...CORRECTION, category: "network-error" });
+		expect(new Set([first, other, elsewhere].map((f) => f.promotedEntryId)).size).toBe(3);
+		expect(listEntries(tenant)).toHaveLength(before + 3);
+		expect(listFeedback(tenant)).toHaveLength(4);
+	});
+
+	it("can't promote a correction without a category", async () => {
+		const tenant = newTenant();
+		const reportId = storeReport(tenant);
+
+		await expect(submitFeedback(tenant, reportId, { ...CORRECTION, transactionId: "TXN3" })).rejects.toThrow(
+			"No category is known for TXN3; pass one to promote the correction"
+		);
+		expect(sync).not.toHaveBeenCalled();
+	});
+
+	it("stays within the tenant that owns the report", async () => {
+		const owner = newTenant();
+		const other = newTenant();
+		const reportId = storeReport(owner);
+		const otherEntries = listEntries(other).length;
+
+		await expect(submitFeedback(other, reportId, CORRECTION)).rejects.toThrow(ReportNotFoundError);
+		const feedback = await submitFeedback(owner, reportId, CORRECTION);
+
+		expect(listFeedback(owner)).toEqual([feedback]);
+		expect(listFeedback(other)).toEqual([]);
+		expect(feedbackStats(other)).toEqual([]);
+		expect(listEntries(other)).toHaveLength(otherEntries);
+		expect(() => getEntry(other, feedback.promotedEntryId!)).toThrow();
+	});
+});
+
+describe("listFeedback", () => {
+	it("filters by report and by category, with (none) for feedback without one", async () => {
+		const tenant = newTenant();
+		const first = storeReport(tenant);
+		const second = storeReport(tenant);
+		await submitFeedback(tenant, first, { transactionId: "TXN1", rating: 5, author: "ops" });
+		await submitFeedback(tenant, second, { transactionId: "TXN2", rating: 3, author: "ops" });
+		await submitFeedback(tenant, second, { transactionId: "TXN3", rating: 2, author: "ops" });
+
+		expect(listFeedback(tenant, { reportId: second }).map((f) => f.transactionId)).toEqual(["TXN2", "TXN3"]);
+		expect(listFeedback(tenant, { category: "bank-api-failure" }).map((f) => f.reportId)).toEqual([first]);
+		expect(listFeedback(tenant, { category: "(none)" }).map((f) => f.transactionId)).toEqual(["TXN3"]);
+	});
+});
+
+describe("feedbackStats", () => {
+	it("aggregates per category, weakest runbooks first", async () => {
+		const tenant = newTenant();
+		const reportId = storeReport(tenant);
+		const submit = (input: Partial<typeof CORRECTION> & { transactionId: string; rating: number }) =>
+			submitFeedback(tenant, reportId, { author: "ops", ...input });
+
+		// bank-api-failure: 1 (promoted correction), 2 (correction), 5
+		await submit(CORRECTION);
+		await submit({ transactionId: "TXN1", rating: 2, correctedRootCause: "Throttled" });
+		await submit({ transactionId: "TXN1", rating: 5 });
+		// insufficient-funds: 3, 2 -> same average as the one above, but no corrections
+		await submit({ transactionId: "TXN2", rating: 3 });
+		await submit({ transactionId: "TXN2", rating: 3 });
+		await submit({ transactionId: "TXN2", rating: 2 });
+		// (none): 4
+		await submit({ transactionId: "TXN3", rating: 4 });
+
+		expect(feedbackStats(tenant)).toEqual([
+			{
+				category: "bank-api-failure",
+				feedback: 3,
+				averageRating: 2.67,
+				lowRatings: 2,
+				corrections: 2,
+				promoted: 1,
+				knowledgeEntries: listEntries(tenant, { category: "bank-api-failure" }).length,
+			},
+			{
+				category: "insufficient-funds",
+				feedback: 3,
+				averageRating: 2.67,
+				lowRatings: 1,
+				corrections: 0,
+				promoted: 0,
+				knowledgeEntries: listEntries(tenant, { category: "insufficient-funds" }).length,
+			},
+			{
+				category: "(none)",
+				feedback: 1,
+				averageRating: 4,
+				lowRatings: 0,
+				corrections: 0,
+				promoted: 0,
+				knowledgeEntries: 0,
+			},
+		]);
+	});
+});
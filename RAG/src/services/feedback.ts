@@ -0,0 +1,157 @@
+import { z } from "zod";
+import { v4 as uuidv4 } from "uuid";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/fileStore";
+import { Tenant } from "../config/tenants";
+import { getRcaRules } from "../config/rcaRules";
+import { createEntry, KnowledgeEntryInputSchema, listEntries } from "./knowledgeBase";
+import { getReport, StoredReport } from "./reportHistory";
+import { matchRule } from "./ruleEngine";
+
+export const FeedbackInputSchema = z
+	.object({
+		transactionId: z.string().trim().min(1),
+		// 1 = wrong, 5 = spot on
+		rating: z.number().int().min(1).max(5),
+		correctedRootCause: z.string().trim().min(1).optional(),
+		correctedActions: z.array(z.string().trim().min(1)).default([]),
+		comment: z.string().trim().min(1).optional(),
+		author: z.string().trim().min(1),
+		// Adds the correction to the knowledge base as a new entry
+		promote: z.boolean().default(false),
+		// Defaults to the category the finding drew on
+		category: KnowledgeEntryInputSchema.shape.category.optional(),
+		tags: z.array(z.string().trim().min(1)).default([]),
+	})
+	.refine((input) => !input.promote || input.correctedRootCause, {
+		message: "promote needs a correctedRootCause",
+		path: ["correctedRootCause"],
+	});
+
+export type FeedbackInput = z.input<typeof FeedbackInputSchema>;
+
+export type Feedback = Omit<z.output<typeof FeedbackInputSchema>, "promote" | "tags" | "category"> & {
+	id: string;
+	reportId: string;
+	category?: string;
+	createdAt: string;
+	// The knowledge-base entry created from the correction
+	promotedEntryId?: string;
+};
+
+export type CategoryFeedbackStats = {
+	category: string;
+	feedback: number;
+	averageRating: number;
+	// Ratings of 1 or 2
+	lowRatings: number;
+	corrections: number;
+	promoted: number;
+	// Entries the category currently has in the knowledge base
+	knowledgeEntries: number;
+};
+
+export class FeedbackError extends Error {}
+
+const UNCATEGORIZED = "(none)";
+
+const feedbackFile = (tenant: Tenant) => dataPath("feedback", `${tenant.id}.json`);
+
+const stores = new Map<string, Feedback[]>();
+
+const load = (tenant: Tenant) => {
+	let feedback = stores.get(tenant.id);
+	if (!feedback) {
+		feedback = readJsonFile<Feedback[]>(feedbackFile(tenant), []);
+		stores.set(tenant.id, feedback);
+	}
+	return feedback;
+};
+
+// The best-scoring runbook retrieved for the transaction, or the rule match for a
+// rule-based report (which retrieves nothing)
+const findingCategory = (report: StoredReport, transactionId: string) => {
+	const hits = report.contexts.find((c) => c.transactionId === transactionId)?.hits || [];
+	if (hits.length) return [...hits].sort((a, b) => b.score - a.score)[0].category;
+	const transaction = report.transactions.find((t) => t.transactionId === transactionId);
+	return transaction && matchRule(transaction, getRcaRules())?.category;
+};
+
+// Same "<cause>\n<actions>" shape as the built-in runbooks, so the rule engine can use it too
+const toRunbookText = (rootCause: string, actions: string[]) =>
+	[/[.?!]$/.test(rootCause) ? rootCause : `${rootCause}.`, ...actions].join("\n");
+
+export const submitFeedback = async (tenant: Tenant, reportId: string, input: FeedbackInput) => {
+	const report = getReport(tenant, reportId);
+	const parsed = FeedbackInputSchema.parse(input);
+
+	if (!report.transactions.some((t) => t.transactionId === parsed.transactionId)) {
+		throw new FeedbackError(`Report ${reportId} has no transaction ${parsed.transactionId}`);
+	}
+
+	const category = parsed.category || findingCategory(report, parsed.transactionId);
+
+	let promotedEntryId: string | undefined;
+	if (parsed.promote) {
+		if (!category) {
+			throw new FeedbackError(`No category is known for ${parsed.transactionId}; pass one to promote the correction`);
+		}
+		const text = toRunbookText(parsed.correctedRootCause!, parsed.correctedActions);
+		// The same correction promoted again (a resent form, a second analyst) points at the
+		// entry that is already there instead of adding a copy retrieval would return twice
+		const existing = listEntries(tenant, { category }).find((entry) => entry.text === text);
+		// Embedded and synced like any other entry
+		const entry =
+			existing ||
+			(await createEntry(tenant, {
+				category,
+				text,
+				tags: [...new Set(["analyst-feedback", ...parsed.tags])],
+				owner: parsed.author,
+			}));
+		promotedEntryId = entry.id;
+	}
+
+	const feedback: Feedback = {
+		id: uuidv4(),
+		reportId,
+		transactionId: parsed.transactionId,
+		rating: parsed.rating,
+		correctedRootCause: parsed.correctedRootCause,
+		correctedActions: parsed.correctedActions,
+		comment: parsed.comment,
+		author: parsed.author,
+		category,
+		createdAt: new Date().toISOString(),
+		promotedEntryId,
+	};
+	const all = load(tenant);
+	all.push(feedback);
+	writeJsonFile(feedbackFile(tenant), all);
+	return feedback;
+};
+
+export const listFeedback = (tenant: Tenant, { reportId, category }: { reportId?: string; category?: string } = {}) =>
+	load(tenant).filter(
+		(f) => (!reportId || f.reportId === reportId) && (!category || (f.category || UNCATEGORIZED) === category)
+	);
+
+// Weakest runbooks first: lowest average rating, then the most corrections
+export const feedbackStats = (tenant: Tenant): CategoryFeedbackStats[] => {
+	const byCategory = new Map<string, Feedback[]>();
+	for (const f of load(tenant)) {
+		const key = f.category || UNCATEGORIZED;
+		byCategory.set(key, [...(byCategory.get(key) || []), f]);
+	}
+
+	return [...byCategory.entries()]
+		.map(([category, feedback]) => ({
+			category,
+			feedback: feedback.length,
+			averageRating: Math.round((feedback.reduce((sum, f) => sum + f.rating, 0) / feedback.length) * 100) / 100,
+			lowRatings: feedback.filter((f) => f.rating <= 2).length,
+			corrections: feedback.filter((f) => f.correctedRootCause).length,
+			promoted: feedback.filter((f) => f.promotedEntryId).length,
+			knowledgeEntries: category === UNCATEGORIZED ? 0 : listEntries(tenant, { category }).length,
+		}))
+		.sort((a, b) => a.averageRating - b.averageRating || b.corrections - a.corrections);
+};
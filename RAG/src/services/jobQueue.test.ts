@@ -0,0 +1,139 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_TENANT, Tenant } from "../config/tenants";
+import { enqueueRCAJob, getRCAJob, pruneRCAJobs, RcaJob, restoreRCAJobs } from "./jobQueue";
+import { ArchiveLimitError } from "./logArchive";
+import { generateRCA } from "./rcaService";
+
+vi.mock("./rcaService", () => ({ generateRCA: vi.fn() }));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-test-"));
+process.env.DATA_DIR = dataDir;
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const generate = vi.mocked(generateRCA);
+const OTHER_TENANT: Tenant = { id: "acme", apiKeys: [], namespace: "tenant-acme" };
+
+const jobPath = (id: string) => path.join(dataDir, "jobs", `${id}.json`);
+
+const upload = () => {
+	const filePath = path.join(dataDir, `${Math.random().toString(36).slice(2)}.log`);
+	fs.writeFileSync(filePath, "ts=2025-06-27T10:00:00Z txn_id=TXN1 status=FAILED\n");
+	return { path: filePath, name: "app.log" };
+};
+
+const writeJob = (changes: Partial<RcaJob>) => {
+	const job: RcaJob = {
+		id: crypto.randomUUID(),
+		status: "queued",
+		progress: { stage: "queued", percent: 0 },
+		createdAt: "2025-06-27T10:00:00.000Z",
+		updatedAt: "2025-06-27T10:00:00.000Z",
+		logFiles: [],
+		...changes,
+	};
+	fs.mkdirSync(path.dirname(jobPath(job.id)), { recursive: true });
+	fs.writeFileSync(jobPath(job.id), JSON.stringify(job));
+	return job;
+};
+
+// Lets the worker pick the job up and finish it
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("enqueueRCAJob", () => {
+	beforeEach(() => {
+		generate.mockReset();
+		generate.mockResolvedValue({ report: "# RCA", engine: "llm", reportId: "r1" } as never);
+	});
+
+	it("runs the job and only shows it to its own tenant", async () => {
+		const job = enqueueRCAJob([upload()]);
+		await settle();
+
+		expect(getRCAJob(DEFAULT_TENANT, job.id)).toMatchObject({ status: "done", result: "# RCA", reportId: "r1" });
+		expect(getRCAJob(OTHER_TENANT, job.id)).toBeUndefined();
+		expect(getRCAJob(DEFAULT_TENANT, "../knowledge-base")).toBeUndefined();
+	});
+
+	it("keeps the kind of upload errors so the result answers like POST /rca", async () => {
+		generate.mockRejectedValue(new ArchiveLimitError("Upload contains more than 2 log files"));
+		const job = enqueueRCAJob([upload()]);
+		await settle();
+
+		expect(getRCAJob(DEFAULT_TENANT, job.id)).toMatchObject({
+			status: "failed",
+			error: "Upload contains more than 2 log files",
+			errorKind: "archive-limit",
+		});
+	});
+});
+
+describe("finished jobs", () => {
+	beforeEach(() => {
+		generate.mockReset();
+		generate.mockResolvedValue({ report: "# RCA", engine: "rules" } as never);
+	});
+	afterEach(() => {
+		vi.useRealTimers();
+		delete process.env.RCA_JOB_RETENTION_MS;
+	});
+
+	it("leave memory after the cache TTL and are read back from disk", async () => {
+		vi.useFakeTimers({ toFake: ["setTimeout"] });
+		const job = enqueueRCAJob([upload()]);
+		await vi.waitFor(() => expect(job.status).toBe("done"));
+
+		// Still served from memory while cached, even without its file
+		const saved = fs.readFileSync(jobPath(job.id));
+		fs.rmSync(jobPath(job.id));
+		expect(getRCAJob(DEFAULT_TENANT, job.id)).toBe(job);
+
+		fs.writeFileSync(jobPath(job.id), saved);
+		vi.advanceTimersByTime(10 * 60 * 1000);
+		expect(getRCAJob(DEFAULT_TENANT, job.id)).not.toBe(job);
+		expect(getRCAJob(DEFAULT_TENANT, job.id)).toMatchObject({ id: job.id, status: "done" });
+	});
+
+	it("are deleted from disk once they are older than the retention", () => {
+		process.env.RCA_JOB_RETENTION_MS = String(60 * 60 * 1000);
+		const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+		const expired = writeJob({ status: "done", updatedAt: old });
+		const recent = writeJob({ status: "failed", updatedAt: new Date().toISOString() });
+		const waiting = writeJob({ status: "queued", updatedAt: old });
+
+		expect(pruneRCAJobs()).toBe(1);
+		expect(fs.existsSync(jobPath(expired.id))).toBe(false);
+		expect(fs.existsSync(jobPath(recent.id))).toBe(true);
+		expect(fs.existsSync(jobPath(waiting.id))).toBe(true);
+		fs.rmSync(jobPath(waiting.id));
+	});
+});
+
+describe("restoreRCAJobs", () => {
+	beforeEach(() => {
+		generate.mockReset();
+		generate.mockResolvedValue({ report: "# RCA", engine: "rules" } as never);
+	});
+
+	it("re-queues interrupted jobs and fails those whose upload is gone", async () => {
+		const log = upload();
+		const interrupted = writeJob({ status: "running", tenantId: DEFAULT_TENANT.id, logFiles: [log] });
+		const lost = writeJob({ logFiles: [{ path: path.join(dataDir, "missing.log"), name: "missing.log" }] });
+		const finished = writeJob({ status: "done", result: "# Old" });
+		vi.spyOn(console, "error").mockImplementation(() => {});
+
+		restoreRCAJobs();
+		await settle();
+
+		expect(generate).toHaveBeenCalledTimes(1);
+		expect(generate.mock.calls[0][0]).toEqual([log]);
+		expect(getRCAJob(DEFAULT_TENANT, interrupted.id)).toMatchObject({ status: "done", result: "# RCA" });
+		expect(getRCAJob(DEFAULT_TENANT, lost.id)).toMatchObject({
+			status: "failed",
+			error: "Uploaded log was lost before the job could run",
+		});
+		expect(getRCAJob(DEFAULT_TENANT, finished.id)).toMatchObject({ result: "# Old" });
+	});
+});
@@ -0,0 +1,234 @@
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { generateRCA, RcaMode, RcaStage } from "./rcaService";
+import { LLMSelection } from "./llm";
+import { ParseLogOptions } from "../parsers";
+import { ArchiveLimitError, LogReadError, UploadedLog } from "./logArchive";
+import { UnsupportedLogError } from "./logEncoding";
+import { RcaVerificationError, VerificationSummary, VerifyOptions } from "./rcaVerification";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/fileStore";
+import { DEFAULT_TENANT, getTenant, Tenant } from "../config/tenants";
+
+export type RcaJobStatus = "queued" | "running" | "done" | "failed";
+
+// Why a failed job failed, for errors the caller caused rather than the service
+export type RcaJobErrorKind = "archive-limit" | "unsupported-log" | "unreadable-log";
+
+export type RcaJob = {
+	id: string;
+	// Only this tenant can see the job; jobs from before tenants existed belong to "default"
+	tenantId?: string;
+	status: RcaJobStatus;
+	progress: { stage: RcaStage | "queued"; percent: number };
+	createdAt: string;
+	updatedAt: string;
+	// Copies of the uploaded logs/archives, kept until the job finishes
+	logFiles: UploadedLog[];
+	llm?: LLMSelection;
+	ingest?: ParseLogOptions;
+	verify?: VerifyOptions;
+	mode?: RcaMode;
+	dimensions?: string[];
+	result?: string;
+	engine?: RcaMode;
+	verification?: VerificationSummary;
+	// Where the finished report is kept in the report history
+	reportId?: string;
+	error?: string;
+	errorKind?: RcaJobErrorKind;
+};
+
+export class JobQueueFullError extends Error {}
+
+const CONCURRENCY = Number(process.env.RCA_JOB_CONCURRENCY) || 2;
+const MAX_QUEUED = Number(process.env.RCA_JOB_QUEUE_LIMIT) || 100;
+// Finished jobs stay in memory this long for polling clients; after that they are read from disk
+const FINISHED_JOB_TTL_MS = Number(process.env.RCA_JOB_CACHE_TTL_MS) || 10 * 60 * 1000;
+// Finished jobs are deleted from disk after this long; their reports stay in the report history
+const jobRetentionMs = () => Number(process.env.RCA_JOB_RETENTION_MS) || 7 * 24 * 60 * 60 * 1000;
+
+// Queued and running jobs, plus recently finished ones
+const jobs = new Map<string, RcaJob>();
+const pending: string[] = [];
+let running = 0;
+
+const JOB_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const jobFile = (id: string) => dataPath("jobs", `${id}.json`);
+const jobDir = () => path.dirname(jobFile("_"));
+const jobUploadDir = (id: string) => path.dirname(dataPath("jobs", id, "_"));
+
+const saveJob = (job: RcaJob, changes: Partial<RcaJob>) => {
+	Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+	writeJsonFile(jobFile(job.id), job);
+};
+
+const jobTenantId = (job: RcaJob) => job.tenantId || DEFAULT_TENANT.id;
+
+const isFinished = (job: RcaJob) => job.status === "done" || job.status === "failed";
+
+const readJobFiles = () =>
+	fs
+		.readdirSync(jobDir())
+		.filter((file) => file.endsWith(".json"))
+		.map((file) => readJsonFile<RcaJob | undefined>(path.join(jobDir(), file), undefined))
+		.filter((job): job is RcaJob => !!job);
+
+const errorKindOf = (err: unknown): RcaJobErrorKind | undefined => {
+	if (err instanceof ArchiveLimitError) return "archive-limit";
+	if (err instanceof UnsupportedLogError) return "unsupported-log";
+	if (err instanceof LogReadError) return "unreadable-log";
+	return undefined;
+};
+
+const forgetLater = (job: RcaJob) => {
+	setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+};
+
+const runJob = async (job: RcaJob) => {
+	saveJob(job, { status: "running", progress: { stage: "parsing", percent: 0 } });
+
+	try {
+		const tenantId = jobTenantId(job);
+		// Settings are looked up again so a restored job runs with the current config
+		const tenant = tenantId === DEFAULT_TENANT.id ? DEFAULT_TENANT : getTenant(tenantId);
+		if (!tenant) throw new Error(`Tenant ${tenantId} is no longer configured`);
+
+		const { report, verification, engine, reportId } = await generateRCA(job.logFiles, {
+			tenant,
+			llm: job.llm,
+			ingest: job.ingest,
+			verify: job.verify,
+			mode: job.mode,
+			dimensions: job.dimensions,
+			onProgress: (stage, percent) => saveJob(job, { progress: { stage, percent } }),
+		});
+		saveJob(job, {
+			status: "done",
+			result: report,
+			verification,
+			engine,
+			reportId,
+			progress: { stage: "done", percent: 100 },
+		});
+	} catch (err: any) {
+		if (err instanceof RcaVerificationError) {
+			saveJob(job, { status: "failed", error: err.message, verification: err.summary });
+			return;
+		}
+		const errorKind = errorKindOf(err);
+		if (!errorKind) console.error(`RCA job ${job.id} failed:`, err);
+		saveJob(job, { status: "failed", error: err.message || "RCA generation failed", errorKind });
+	} finally {
+		forgetLater(job);
+		fs.promises.rm(jobUploadDir(job.id), { recursive: true, force: true }).catch(console.error);
+	}
+};
+
+const drain = () => {
+	while (running < CONCURRENCY && pending.length) {
+		const job = jobs.get(pending.shift()!);
+		if (!job) continue;
+
+		running++;
+		runJob(job).finally(() => {
+			running--;
+			drain();
+		});
+	}
+};
+
+export const enqueueRCAJob = (
+	uploads: UploadedLog[],
+	{
+		tenant = DEFAULT_TENANT,
+		llm,
+		ingest,
+		verify,
+		mode,
+		dimensions,
+	}: {
+		tenant?: Tenant;
+		llm?: LLMSelection;
+		ingest?: ParseLogOptions;
+		verify?: VerifyOptions;
+		mode?: RcaMode;
+		dimensions?: string[];
+	} = {}
+): RcaJob => {
+	if (pending.length >= MAX_QUEUED) {
+		throw new JobQueueFullError(`RCA job queue is full (${MAX_QUEUED} pending jobs)`);
+	}
+
+	const id = uuidv4();
+	const now = new Date().toISOString();
+	// Copy the uploads out of uploads/ so they outlive the request that created them
+	const logFiles = uploads.map((file, i) => {
+		const copy = path.join(jobUploadDir(id), `${i}.log`);
+		fs.copyFileSync(file.path, copy);
+		return { path: copy, name: file.name };
+	});
+
+	const job: RcaJob = {
+		id,
+		tenantId: tenant.id,
+		status: "queued",
+		progress: { stage: "queued", percent: 0 },
+		createdAt: now,
+		updatedAt: now,
+		logFiles,
+		llm,
+		ingest,
+		verify,
+		mode,
+		dimensions,
+	};
+	jobs.set(id, job);
+	writeJsonFile(jobFile(id), job);
+
+	pending.push(id);
+	drain();
+	return job;
+};
+
+// Another tenant's job is reported as missing, not forbidden, so IDs can't be probed
+export const getRCAJob = (tenant: Tenant, id: string) => {
+	// IDs end up in a file path; anything but a UUID could reach outside data/jobs
+	if (!JOB_ID.test(id)) return undefined;
+
+	// Finished jobs that have left memory are read from disk, without caching them again
+	const job = jobs.get(id) || readJsonFile<RcaJob | undefined>(jobFile(id), undefined);
+	return job && jobTenantId(job) === tenant.id ? job : undefined;
+};
+
+// Re-queue work that was queued or in flight when the service last stopped
+export const restoreRCAJobs = () => {
+	const restored = readJobFiles()
+		.filter((job) => !isFinished(job))
+		.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+	for (const job of restored) {
+		jobs.set(job.id, job);
+		if (!job.logFiles.every((file) => fs.existsSync(file.path))) {
+			saveJob(job, { status: "failed", error: "Uploaded log was lost before the job could run" });
+			forgetLater(job);
+			continue;
+		}
+		saveJob(job, { status: "queued", progress: { stage: "queued", percent: 0 } });
+		pending.push(job.id);
+	}
+
+	if (restored.length) console.error(`Restored ${restored.length} RCA job(s)`);
+	drain();
+};
+
+// Deletes finished jobs older than RCA_JOB_RETENTION_MS, so data/jobs doesn't grow forever
+export const pruneRCAJobs = () => {
+	const cutoff = Date.now() - jobRetentionMs();
+	const expired = readJobFiles().filter(
+		(job) => isFinished(job) && !jobs.has(job.id) && Date.parse(job.updatedAt) < cutoff
+	);
+	for (const job of expired) fs.rmSync(jobFile(job.id), { force: true });
+	return expired.length;
+};
@@ -0,0 +1,54 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_TENANT } from "../config/tenants";
+import { importEntries, listEntries } from "./knowledgeBase";
+import { syncKnowledgeVectors } from "./knowledgeSync";
+
+vi.mock("./knowledgeSync", () => ({ syncKnowledgeVectors: vi.fn() }));
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kb-test-"));
+process.env.DATA_DIR = dataDir;
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const sync = vi.mocked(syncKnowledgeVectors);
+const stored = () => JSON.parse(fs.readFileSync(path.join(dataDir, "knowledge-base.json"), "utf-8"));
+
+const entry = (category: string) => ({ category, text: `Runbook for ${category}`, owner: "ops" });
+
+describe("importEntries", () => {
+	beforeEach(() => {
+		sync.mockReset();
+	});
+
+	it("embeds and stores the whole batch in one commit", async () => {
+		const before = listEntries(DEFAULT_TENANT).length;
+		const created = await importEntries(DEFAULT_TENANT, [entry("card-expired"), entry("limit-exceeded")]);
+
+		expect(created).toHaveLength(2);
+		expect(sync).toHaveBeenCalledTimes(1);
+		expect(sync.mock.calls[0][1]).toMatchObject({ categories: ["card-expired", "limit-exceeded"] });
+		expect(listEntries(DEFAULT_TENANT)).toHaveLength(before + 2);
+		expect(stored()).toHaveLength(before + 2);
+	});
+
+	it("stores nothing when one entry is invalid", async () => {
+		const before = stored();
+		await expect(importEntries(DEFAULT_TENANT, [entry("fraud-check"), entry("Not Kebab")])).rejects.toThrow();
+
+		expect(sync).not.toHaveBeenCalled();
+		expect(stored()).toEqual(before);
+	});
+
+	it("stores nothing when the vector sync fails", async () => {
+		const before = stored();
+		sync.mockRejectedValueOnce(new Error("vector store down"));
+		await expect(importEntries(DEFAULT_TENANT, [entry("fraud-check"), entry("otp-timeout")])).rejects.toThrow(
+			"vector store down"
+		);
+
+		expect(listEntries(DEFAULT_TENANT)).toHaveLength(before.length);
+		expect(stored()).toEqual(before);
+	});
+});
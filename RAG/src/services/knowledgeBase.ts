@@ -0,0 +1,154 @@
+import { z } from "zod";
+import { v4 as uuidv4 } from "uuid";
+import { RCA_KNOWLEDGE_BASE } from "../knowledge/defaultKnowledgeBase";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/fileStore";
+import { DEFAULT_TENANT, Tenant } from "../config/tenants";
+import { syncKnowledgeVectors } from "./knowledgeSync";
+
+export const KnowledgeEntryInputSchema = z.object({
+	category: z
+		.string()
+		.trim()
+		.regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "category must be kebab-case, e.g. gateway-timeout"),
+	text: z.string().trim().min(1),
+	tags: z.array(z.string().trim().min(1)).default([]),
+	owner: z.string().trim().min(1),
+});
+
+export type KnowledgeEntryInput = z.input<typeof KnowledgeEntryInputSchema>;
+
+export type KnowledgeEntry = z.output<typeof KnowledgeEntryInputSchema> & {
+	id: string;
+	createdAt: string;
+	updatedAt: string;
+};
+
+export class KnowledgeEntryNotFoundError extends Error {}
+
+// Every tenant has its own store; the default tenant keeps the original file
+const kbFile = (tenant: Tenant) =>
+	tenant.id === DEFAULT_TENANT.id
+		? dataPath("knowledge-base.json")
+		: dataPath("tenants", tenant.id, "knowledge-base.json");
+
+const stores = new Map<string, Map<string, KnowledgeEntry>>();
+
+// The first use seeds a tenant's store with the built-in runbooks
+const load = (tenant: Tenant) => {
+	let entries = stores.get(tenant.id);
+	if (!entries) {
+		const now = new Date().toISOString();
+		const stored = readJsonFile<KnowledgeEntry[] | undefined>(kbFile(tenant), undefined);
+		const initial =
+			stored ??
+			RCA_KNOWLEDGE_BASE.map((doc) => ({
+				id: uuidv4(),
+				category: doc.category,
+				text: doc.text,
+				tags: [],
+				owner: "system",
+				createdAt: now,
+				updatedAt: now,
+			}));
+		entries = new Map(initial.map((entry) => [entry.id, entry]));
+		stores.set(tenant.id, entries);
+		if (!stored) save(tenant);
+	}
+	return entries;
+};
+
+const save = (tenant: Tenant) => writeJsonFile(kbFile(tenant), [...load(tenant).values()]);
+
+// Mutations re-embed and touch the vector store, so they run one at a time
+let pending: Promise<unknown> = Promise.resolve();
+const serialize = <T>(task: () => Promise<T>): Promise<T> => {
+	const run = pending.then(task, task);
+	pending = run.catch(() => undefined);
+	return run;
+};
+
+// Re-syncs the vectors of the touched categories against the entries as they
+// will be after the change; the store on disk is only updated once that worked
+const commit = async (tenant: Tenant, next: Map<string, KnowledgeEntry>, categories: string[]) => {
+	await syncKnowledgeVectors([...next.values()], {
+		categories: [...new Set(categories)],
+		namespace: tenant.namespace,
+	});
+	stores.set(tenant.id, next);
+	save(tenant);
+};
+
+export type KnowledgeEntryFilter = {
+	category?: string;
+	tag?: string;
+	owner?: string;
+};
+
+export const listEntries = (tenant: Tenant, { category, tag, owner }: KnowledgeEntryFilter = {}) =>
+	[...load(tenant).values()].filter(
+		(entry) =>
+			(!category || entry.category === category) &&
+			(!tag || entry.tags.includes(tag)) &&
+			(!owner || entry.owner === owner)
+	);
+
+// An ID from another tenant's store is reported as not found
+export const getEntry = (tenant: Tenant, id: string) => {
+	const entry = load(tenant).get(id);
+	if (!entry) throw new KnowledgeEntryNotFoundError(`Knowledge entry ${id} not found`);
+	return entry;
+};
+
+export const createEntry = (tenant: Tenant, input: KnowledgeEntryInput) =>
+	serialize(async () => {
+		const now = new Date().toISOString();
+		const entry: KnowledgeEntry = {
+			...KnowledgeEntryInputSchema.parse(input),
+			id: uuidv4(),
+			createdAt: now,
+			updatedAt: now,
+		};
+
+		await commit(tenant, new Map(load(tenant)).set(entry.id, entry), [entry.category]);
+		return entry;
+	});
+
+export const updateEntry = (tenant: Tenant, id: string, input: Partial<KnowledgeEntryInput>) =>
+	serialize(async () => {
+		const current = getEntry(tenant, id);
+		const changes = KnowledgeEntryInputSchema.partial().parse(input);
+		const entry: KnowledgeEntry = {
+			...current,
+			...changes,
+			updatedAt: new Date().toISOString(),
+		};
+
+		// A category change moves the chunks, so both sides are re-synced
+		await commit(tenant, new Map(load(tenant)).set(id, entry), [current.category, entry.category]);
+		return entry;
+	});
+
+export const deleteEntry = (tenant: Tenant, id: string) =>
+	serialize(async () => {
+		const entry = getEntry(tenant, id);
+		const next = new Map(load(tenant));
+		next.delete(id);
+
+		await commit(tenant, next, [entry.category]);
+		return entry;
+	});
+
+// All or nothing: the whole batch is validated, then embedded and stored in one commit
+export const importEntries = (tenant: Tenant, inputs: KnowledgeEntryInput[]) =>
+	serialize(async () => {
+		const now = new Date().toISOString();
+		const created: KnowledgeEntry[] = z
+			.array(KnowledgeEntryInputSchema)
+			.parse(inputs)
+			.map((input) => ({ ...input, id: uuidv4(), createdAt: now, updatedAt: now }));
+
+		const next = new Map(load(tenant));
+		for (const entry of created) next.set(entry.id, entry);
+		await commit(tenant, next, created.map((entry) => entry.category));
+		return created;
+	});
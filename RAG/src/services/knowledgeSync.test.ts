@@ -0,0 +1,99 @@
+import { describe, expect, it, vi } from "vitest";
+import { planKnowledgeChunks, SyncableEntry, syncKnowledgeVectors, vectorIdFor } from "./knowledgeSync";
+import { VectorRecord, VectorStore } from "./vectorStore";
+
+vi.mock("./embeddings", () => ({ embedText: async () => [0.1, 0.2] }));
+
+const entry = (id: string, category: string, text: string, createdAt = "2025-01-01T00:00:00.000Z"): SyncableEntry =>
+	({ id, category, text, tags: [], owner: "ops", createdAt });
+
+// Keeps vectors per namespace in memory
+const memoryStore = (): VectorStore & { ids: (namespace: string) => string[] } => {
+	const namespaces = new Map<string, Map<string, VectorRecord>>();
+	const space = (namespace: string) => namespaces.get(namespace) || namespaces.set(namespace, new Map()).get(namespace)!;
+
+	return {
+		name: "memory",
+		search: async () => [],
+		upsert: async (namespace, records) => records.forEach((r) => space(namespace).set(r.id, r)),
+		delete: async (namespace, ids) => ids.forEach((id) => space(namespace).delete(id)),
+		listIds: async (namespace, prefix = "") => [...space(namespace).keys()].filter((id) => id.startsWith(prefix)),
+		ids: (namespace) => [...space(namespace).keys()].sort(),
+	};
+};
+
+describe("vectorIdFor", () => {
+	// Vectors already in Pinecone carry these IDs; changing the scheme orphans all of them
+	it("is category, slot and a hash of the chunk", () => {
+		expect(vectorIdFor("gateway-timeout", 0, "Retry after the window.")).toBe("gateway-timeout#0#aa8e228cb633");
+	});
+});
+
+describe("planKnowledgeChunks", () => {
+	it("numbers chunks per category in creation order", () => {
+		const planned = planKnowledgeChunks([
+			entry("b", "gateway-timeout", "Second.", "2025-01-02T00:00:00.000Z"),
+			entry("c", "fraud-flag", "Fraud."),
+			entry("a", "gateway-timeout", "First."),
+		]);
+		expect(planned.map((p) => p.id.split("#").slice(0, 2).join("#"))).toEqual([
+			"gateway-timeout#0",
+			"gateway-timeout#1",
+			"fraud-flag#0",
+		]);
+		expect(planned[0].chunk).toBe("First.");
+	});
+});
+
+describe("syncKnowledgeVectors", () => {
+	const ENTRIES = [
+		entry("a", "gateway-timeout", "Retry after the window."),
+		entry("b", "fraud-flag", "Call the customer."),
+	];
+
+	it("creates every chunk on the first run and nothing on the second", async () => {
+		const store = memoryStore();
+		const first = await syncKnowledgeVectors(ENTRIES, { store, namespace: "ns" });
+		expect(first).toMatchObject({ applied: true, delete: [], unchanged: 0 });
+		expect(first.upsert).toHaveLength(2);
+
+		const second = await syncKnowledgeVectors(ENTRIES, { store, namespace: "ns" });
+		expect(second).toMatchObject({ upsert: [], delete: [], unchanged: 2 });
+		expect(store.ids("ns")).toEqual(first.upsert.sort());
+	});
+
+	it("replaces an edited chunk and deletes a removed one", async () => {
+		const store = memoryStore();
+		await syncKnowledgeVectors(ENTRIES, { store, namespace: "ns" });
+
+		const edited = [{ ...ENTRIES[0], text: "Retry after the maintenance window." }];
+		const summary = await syncKnowledgeVectors(edited, { store, namespace: "ns" });
+
+		expect(summary.upsert).toEqual([vectorIdFor("gateway-timeout", 0, "Retry after the maintenance window.")]);
+		expect(summary.delete.sort()).toEqual([
+			vectorIdFor("fraud-flag", 0, "Call the customer."),
+			vectorIdFor("gateway-timeout", 0, "Retry after the window."),
+		]);
+		expect(store.ids("ns")).toEqual(summary.upsert);
+	});
+
+	it("only touches the given categories and namespace", async () => {
+		const store = memoryStore();
+		await syncKnowledgeVectors(ENTRIES, { store, namespace: "ns" });
+		await syncKnowledgeVectors(ENTRIES, { store, namespace: "other" });
+
+		const summary = await syncKnowledgeVectors([], { store, namespace: "ns", categories: ["fraud-flag"] });
+		expect(summary).toMatchObject({ scope: ["fraud-flag"], delete: [vectorIdFor("fraud-flag", 0, "Call the customer.")] });
+		expect(store.ids("ns")).toEqual([vectorIdFor("gateway-timeout", 0, "Retry after the window.")]);
+		expect(store.ids("other")).toHaveLength(2);
+	});
+
+	it("changes nothing on a dry run", async () => {
+		const store = memoryStore();
+		const summary = await syncKnowledgeVectors(ENTRIES, { store, namespace: "ns", dryRun: true });
+
+		expect(summary).toMatchObject({ applied: false });
+		expect(summary.upsert).toHaveLength(2);
+		expect(store.ids("ns")).toEqual([]);
+	});
+});
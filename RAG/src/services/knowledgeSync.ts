@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import { embedText } from "./embeddings";
+import { DEFAULT_NAMESPACE, getVectorStore, VectorRecord, VectorStore } from "./vectorStore";
+
+// The subset of a knowledge entry that ends up in the vector store
+export type SyncableEntry = {
+	id: string;
+	category: string;
+	text: string;
+	tags: string[];
+	owner: string;
+	createdAt: string;
+};
+
+export type PlannedChunk = {
+	id: string;
+	category: string;
+	chunk: string;
+	entry: SyncableEntry;
+};
+
+export type SyncSummary = {
+	store: string;
+	namespace: string;
+	// Categories that were compared, or "all" for a full sync
+	scope: string[] | "all";
+	upsert: string[];
+	delete: string[];
+	unchanged: number;
+	applied: boolean;
+};
+
+// Optional: break long RCA text into smaller chunks
+export function chunkText(text: string, maxLength = 512): string[] {
+	if (text.length <= maxLength) return [text];
+	const chunks: string[] = [];
+	const sentences = text.split(/(?<=[.?!])\s+/);
+	let current = "";
+
+	for (const sentence of sentences) {
+		if ((current + sentence).length > maxLength) {
+			if (current.trim()) chunks.push(current.trim());
+			current = sentence;
+		} else {
+			current += " " + sentence;
+		}
+	}
+	if (current.trim()) chunks.push(current.trim());
+	return chunks;
+}
+
+// Same content in the same slot always maps to the same ID, so re-running a
+// sync never duplicates vectors and an edited chunk gets a new ID
+export const vectorIdFor = (category: string, index: number, chunk: string) =>
+	`${category}#${index}#${crypto.createHash("sha256").update(chunk).digest("hex").slice(0, 12)}`;
+
+// Chunk indexes run per category, in entry creation order
+export const planKnowledgeChunks = (entries: SyncableEntry[]): PlannedChunk[] => {
+	const byCategory = new Map<string, SyncableEntry[]>();
+	for (const entry of entries) {
+		byCategory.set(entry.category, [...(byCategory.get(entry.category) || []), entry]);
+	}
+
+	const planned: PlannedChunk[] = [];
+	for (const [category, categoryEntries] of byCategory) {
+		let index = 0;
+		const ordered = [...categoryEntries].sort(
+			(a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id)
+		);
+
+		for (const entry of ordered) {
+			for (const chunk of chunkText(entry.text)) {
+				planned.push({ id: vectorIdFor(category, index++, chunk), category, chunk, entry });
+			}
+		}
+	}
+	return planned;
+};
+
+const toVectorRecord = async ({ id, category, chunk, entry }: PlannedChunk): Promise<VectorRecord> => ({
+	id,
+	values: await embedText(chunk),
+	metadata: {
+		chunk_text: chunk,
+		category,
+		entry_id: entry.id,
+		tags: entry.tags,
+		owner: entry.owner,
+	},
+});
+
+export type SyncOptions = {
+	// Restrict the diff to these categories; everything else in the namespace is left alone
+	categories?: string[];
+	dryRun?: boolean;
+	store?: VectorStore;
+	namespace?: string;
+};
+
+// Diffs the knowledge base against the vector store, then embeds and upserts
+// only new/changed chunks and deletes orphaned ones
+export const syncKnowledgeVectors = async (
+	entries: SyncableEntry[],
+	{ categories, dryRun = false, store = getVectorStore(), namespace = DEFAULT_NAMESPACE }: SyncOptions = {}
+): Promise<SyncSummary> => {
+	const inScope = categories ? entries.filter((e) => categories.includes(e.category)) : entries;
+	const planned = planKnowledgeChunks(inScope);
+
+	const existing = new Set(
+		categories
+			? (await Promise.all(categories.map((c) => store.listIds(namespace, `${c}#`)))).flat()
+			: await store.listIds(namespace)
+	);
+	const plannedIds = new Set(planned.map((p) => p.id));
+
+	const toUpsert = planned.filter((p) => !existing.has(p.id));
+	const toDelete = [...existing].filter((id) => !plannedIds.has(id));
+
+	const summary: SyncSummary = {
+		store: store.name,
+		namespace,
+		scope: categories || "all",
+		upsert: toUpsert.map((p) => p.id),
+		delete: toDelete,
+		unchanged: planned.length - toUpsert.length,
+		applied: false,
+	};
+	if (dryRun) return summary;
+
+	const records: VectorRecord[] = [];
+	for (const chunk of toUpsert) records.push(await toVectorRecord(chunk));
+
+	await store.upsert(namespace, records);
+	await store.delete(namespace, toDelete);
+	return { ...summary, applied: true };
+};
+
+export const formatSyncSummary = (summary: SyncSummary) => {
+	const scope = summary.scope === "all" ? "all categories" : summary.scope.join(", ");
+	const lines = [
+		`${summary.applied ? "Applied" : "Dry run"}: ${summary.store} store, namespace "${summary.namespace}" (${scope})`,
+		`  upsert:    ${summary.upsert.length}`,
+		`  delete:    ${summary.delete.length}`,
+		`  unchanged: ${summary.unchanged}`,
+		...summary.upsert.map((id) => `  + ${id}`),
+		...summary.delete.map((id) => `  - ${id}`),
+	];
+	return lines.join("\n");
+};
@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { completeWithFallback, LLMProvider, streamWithFallback } from ".";
+
+const fakeProvider = (name: string): LLMProvider => ({
+	name,
+	defaultModel: `${name}-default`,
+	complete: vi.fn(),
+	stream: vi.fn(),
+});
+
+const { openrouter, ollama } = vi.hoisted(() => ({ openrouter: {} as LLMProvider, ollama: {} as LLMProvider }));
+
+vi.mock("./openRouterProvider", () => ({ createOpenRouterProvider: () => openrouter }));
+vi.mock("./ollamaProvider", () => ({ createOllamaProvider: () => ollama }));
+
+const tokens = (...parts: string[]) =>
+	async function* () {
+		for (const part of parts) yield part;
+	};
+
+const failing = (message: string, ...before: string[]) =>
+	async function* () {
+		for (const part of before) yield part;
+		throw new Error(message);
+	};
+
+const collect = async (stream: AsyncIterable<string>) => {
+	let text = "";
+	for await (const token of stream) text += token;
+	return text;
+};
+
+const REQUEST = { messages: [{ role: "user" as const, content: "RCA please" }] };
+
+describe("LLM fallback", () => {
+	beforeEach(() => {
+		Object.assign(openrouter, fakeProvider("openrouter"));
+		Object.assign(ollama, fakeProvider("ollama"));
+		process.env.LLM_PROVIDER = "openrouter";
+		process.env.LLM_FALLBACK_PROVIDER = "ollama";
+		process.env.LLM_FALLBACK_MODEL = "llama3";
+		vi.spyOn(console, "error").mockImplementation(() => {});
+	});
+	afterEach(() => {
+		delete process.env.LLM_PROVIDER;
+		delete process.env.LLM_FALLBACK_PROVIDER;
+		delete process.env.LLM_FALLBACK_MODEL;
+	});
+
+	describe("completeWithFallback", () => {
+		it("answers from the fallback when the primary fails, and says so", async () => {
+			vi.mocked(openrouter.complete).mockRejectedValue(new Error("429 Too Many Requests"));
+			vi.mocked(ollama.complete).mockResolvedValue("# RCA");
+
+			await expect(completeWithFallback(REQUEST)).resolves.toEqual({
+				text: "# RCA",
+				provider: "ollama",
+				model: "llama3",
+			});
+			expect(vi.mocked(ollama.complete).mock.calls[0][0]).toMatchObject({ model: "llama3" });
+		});
+
+		it("throws the last error when every provider fails", async () => {
+			vi.mocked(openrouter.complete).mockRejectedValue(new Error("429 Too Many Requests"));
+			vi.mocked(ollama.complete).mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+			await expect(completeWithFallback(REQUEST)).rejects.toThrow("connect ECONNREFUSED");
+		});
+
+		it("doesn't try the next provider once the request is aborted", async () => {
+			const controller = new AbortController();
+			vi.mocked(openrouter.complete).mockImplementation(async ({ signal }) => {
+				expect(signal).toBe(controller.signal);
+				controller.abort();
+				throw new Error("Request was aborted");
+			});
+
+			await expect(completeWithFallback({ ...REQUEST, signal: controller.signal })).rejects.toThrow("aborted");
+			expect(ollama.complete).not.toHaveBeenCalled();
+		});
+	});
+
+	describe("streamWithFallback", () => {
+		it("streams from the fallback when the primary fails before its first token", async () => {
+			vi.mocked(openrouter.stream).mockImplementation(failing("503 Service Unavailable"));
+			vi.mocked(ollama.stream).mockImplementation(tokens("# RCA", " report"));
+			const onStart = vi.fn();
+
+			await expect(collect(streamWithFallback(REQUEST, {}, onStart))).resolves.toBe("# RCA report");
+			expect(onStart).toHaveBeenCalledOnce();
+			expect(onStart).toHaveBeenCalledWith("ollama", "llama3");
+		});
+
+		it("fails instead of falling back once a token was sent", async () => {
+			vi.mocked(openrouter.stream).mockImplementation(failing("connection reset", "# Partial"));
+			vi.mocked(ollama.stream).mockImplementation(tokens("# RCA"));
+
+			const received: string[] = [];
+			await expect(
+				(async () => {
+					for await (const token of streamWithFallback(REQUEST)) received.push(token);
+				})()
+			).rejects.toThrow("connection reset");
+			expect(received).toEqual(["# Partial"]);
+			expect(ollama.stream).not.toHaveBeenCalled();
+		});
+
+		it("passes the abort signal on and stops there", async () => {
+			const controller = new AbortController();
+			vi.mocked(openrouter.stream).mockImplementation(async function* ({ signal }) {
+				expect(signal).toBe(controller.signal);
+				controller.abort();
+				throw new Error("Request was aborted");
+			});
+
+			const stream = streamWithFallback({ ...REQUEST, signal: controller.signal });
+			await expect(collect(stream)).rejects.toThrow("aborted");
+			expect(ollama.stream).not.toHaveBeenCalled();
+		});
+
+		it("throws the last error when every provider fails", async () => {
+			vi.mocked(openrouter.stream).mockImplementation(failing("503 Service Unavailable"));
+			vi.mocked(ollama.stream).mockImplementation(failing("connect ECONNREFUSED"));
+
+			await expect(collect(streamWithFallback(REQUEST))).rejects.toThrow("connect ECONNREFUSED");
+		});
+	});
+});
@@ -0,0 +1,105 @@
+import { createMockProvider } from "./mockProvider";
+import { createOllamaProvider } from "./ollamaProvider";
+import { createOpenRouterProvider } from "./openRouterProvider";
+import { CompletionRequest, LLMProvider, LLMSelection } from "./types";
+
+export * from "./types";
+
+const factories: Record<string, () => LLMProvider> = {
+	openrouter: createOpenRouterProvider,
+	ollama: createOllamaProvider,
+	mock: createMockProvider,
+};
+
+export const LLM_PROVIDERS = Object.keys(factories);
+
+const providers = new Map<string, LLMProvider>();
+
+export class UnknownProviderError extends Error {}
+
+export const getProvider = (name: string) => {
+	const key = name.toLowerCase();
+	if (!factories[key]) {
+		throw new UnknownProviderError(
+			`Unknown LLM provider "${name}". Expected one of: ${LLM_PROVIDERS.join(", ")}`
+		);
+	}
+	if (!providers.has(key)) providers.set(key, factories[key]());
+	return providers.get(key)!;
+};
+
+export type ResolvedLLM = { provider: LLMProvider; model: string };
+
+// Primary from the request (or LLM_PROVIDER / LLM_MODEL), then the optional
+// LLM_FALLBACK_PROVIDER / LLM_FALLBACK_MODEL
+export const resolveLLMChain = (selection: LLMSelection = {}): ResolvedLLM[] => {
+	const primary = getProvider(selection.provider || process.env.LLM_PROVIDER || "openrouter");
+	const chain = [
+		{
+			provider: primary,
+			model:
+				selection.model ||
+				(selection.provider ? undefined : process.env.LLM_MODEL) ||
+				primary.defaultModel,
+		},
+	];
+
+	const fallbackName = process.env.LLM_FALLBACK_PROVIDER;
+	if (fallbackName) {
+		const fallback = getProvider(fallbackName);
+		chain.push({
+			provider: fallback,
+			model: process.env.LLM_FALLBACK_MODEL || fallback.defaultModel,
+		});
+	}
+	return chain;
+};
+
+export type CompletionResult = { text: string; provider: string; model: string };
+
+export const completeWithFallback = async (
+	request: Omit<CompletionRequest, "model">,
+	selection?: LLMSelection
+): Promise<CompletionResult> => {
+	let lastError: unknown;
+
+	for (const { provider, model } of resolveLLMChain(selection)) {
+		try {
+			const text = await provider.complete({ ...request, model });
+			return { text, provider: provider.name, model };
+		} catch (err) {
+			if (request.signal?.aborted) throw err;
+			console.error(`LLM provider ${provider.name} (${model}) failed:`, err);
+			lastError = err;
+		}
+	}
+	throw lastError;
+};
+
+// Falls back only while nothing has been streamed yet; once tokens have
+// reached the client a half-finished report can't be swapped out
+export async function* streamWithFallback(
+	request: Omit<CompletionRequest, "model">,
+	selection?: LLMSelection,
+	// Called with the provider/model that produced the first token
+	onStart?: (provider: string, model: string) => void
+) {
+	let lastError: unknown;
+
+	for (const { provider, model } of resolveLLMChain(selection)) {
+		let streamed = false;
+		try {
+			for await (const token of provider.stream({ ...request, model })) {
+				if (!streamed) onStart?.(provider.name, model);
+				streamed = true;
+				yield token;
+			}
+			return;
+		} catch (err) {
+			if (streamed || request.signal?.aborted) throw err;
+			console.error(`LLM provider ${provider.name} (${model}) failed:`, err);
+			lastError = err;
+		}
+	}
+	throw lastError;
+}
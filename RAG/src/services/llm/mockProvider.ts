@@ -0,0 +1,73 @@
+import fs from "fs";
+import { parseTransactionLog } from "../../parsers/transactionLog";
+import { ChatMessage, LLMProvider } from "./types";
+
+const KNOWLEDGE_LINE = /^-\s*\[([^\]]*)\]\s*(.+)$/;
+
+const splitSentences = (text: string) =>
+	text
+		.split(/(?<=[.?!])\s+/)
+		.map((s) => s.trim())
+		.filter(Boolean);
+
+// Builds a report in the house template straight from the transaction blocks
+// in the prompt: the first matching runbook sentence becomes the root cause and
+// the rest become corrective actions
+const buildFixtureReport = (messages: ChatMessage[]) => {
+	const prompt = messages.filter((m) => m.role === "user").map((m) => m.content).join("\n");
+	const blocks = prompt.split(/^#### Transaction \d+\s*$/m).slice(1);
+
+	const findings = blocks.map((block) => {
+		const [record] = parseTransactionLog(block).records;
+		if (!record) return "";
+
+		const knowledge = block
+			.split(/\r?\n/)
+			.map((line) => line.trim().match(KNOWLEDGE_LINE)?.[2])
+			.filter((text): text is string => !!text)
+			.flatMap(splitSentences);
+		const rootCause = record.rootCause || knowledge[0] || "No matching runbook found.";
+		const actions = [record.actionTaken, ...knowledge.slice(record.rootCause ? 0 : 1)].filter(Boolean);
+
+		return `#### TransactionID: ${record.transactionId}
+
+**Details:**
+- Timestamp: ${record.timestamp || "N/A"}
+- Channel: ${record.channel || "N/A"}
+- Status: ${record.status || "N/A"}
+- Failure Reason: ${record.failureReason || "N/A"}
+- Component: ${record.component || "N/A"}
+- FinalStatus: ${record.finalStatus || "N/A"}
+- Source File: ${record.sourceFile || "N/A"}
+
+**Root Cause:**
+${rootCause}
+
+**Corrective Actions:**
+${(actions.length ? actions : ["Escalate for manual review."]).map((a, i) => `${i + 1}. ${a}`).join("\n")}`;
+	});
+
+	return findings.filter(Boolean).join("\n\n---\n\n") || "No failed transactions found.";
+};
+
+// Deterministic provider for offline development. MOCK_LLM_FIXTURE points at a
+// file whose contents are returned verbatim; otherwise a report is derived from the prompt.
+export const createMockProvider = (): LLMProvider => {
+	const complete = async ({ messages }: { messages: ChatMessage[] }) => {
+		const fixture = process.env.MOCK_LLM_FIXTURE;
+		return fixture ? fs.readFileSync(fixture, "utf-8") : buildFixtureReport(messages);
+	};
+
+	return {
+		name: "mock",
+		defaultModel: "fixture",
+		complete,
+		stream: async function* (request) {
+			const text = await complete(request);
+			for (const token of text.match(/\S+\s*/g) || []) {
+				if (request.signal?.aborted) return;
+				yield token;
+			}
+		},
+	};
+};
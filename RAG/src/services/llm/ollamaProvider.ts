@@ -0,0 +1,75 @@
+import { ChatMessage, LLMProvider } from "./types";
+
+// /api/generate takes a single system prompt and a single prompt, so the
+// chat history is folded into those two fields
+const toGenerateBody = (messages: ChatMessage[], model: string, stream: boolean) => ({
+	model,
+	system: messages
+		.filter((m) => m.role === "system")
+		.map((m) => m.content)
+		.join("\n\n"),
+	prompt: messages
+		.filter((m) => m.role !== "system")
+		.map((m) => m.content)
+		.join("\n\n"),
+	stream,
+});
+
+export const createOllamaProvider = (): LLMProvider => {
+	const baseUrl = process.env.OLLAMA_BASE_URL || "http://localhost:11434";
+	const defaultModel = process.env.OLLAMA_MODEL || "llama3.2:1b";
+
+	const generate = async (
+		messages: ChatMessage[],
+		model: string,
+		stream: boolean,
+		signal?: AbortSignal
+	) => {
+		const response = await fetch(`${baseUrl}/api/generate`, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+			},
+			body: JSON.stringify(toGenerateBody(messages, model, stream)),
+			signal,
+		});
+
+		if (!response.ok) {
+			const errorText = await response.text();
+			throw new Error(
+				`Ollama HTTP error! status: ${response.status}, message: ${errorText}`
+			);
+		}
+		return response;
+	};
+
+	return {
+		name: "ollama",
+		defaultModel,
+		complete: async ({ messages, model, signal }) => {
+			const response = await generate(messages, model || defaultModel, false, signal);
+			const data = await response.json();
+			return data.response || "No response from Ollama.";
+		},
+		stream: async function* ({ messages, model, signal }) {
+			const response = await generate(messages, model || defaultModel, true, signal);
+			if (!response.body) return;
+
+			// Streaming responses are newline-delimited JSON objects
+			const decoder = new TextDecoder();
+			let buffered = "";
+			for await (const chunk of response.body as unknown as AsyncIterable<Uint8Array>) {
+				buffered += decoder.decode(chunk, { stream: true });
+				const lines = buffered.split("\n");
+				buffered = lines.pop() || "";
+
+				for (const line of lines) {
+					if (!line.trim()) continue;
+					const data = JSON.parse(line);
+					if (data.error) throw new Error(`Ollama error: ${data.error}`);
+					if (data.response) yield data.response as string;
+				}
+			}
+		},
+	};
+};
@@ -0,0 +1,34 @@
+import OpenAI from "openai";
+import { LLMProvider } from "./types";
+
+export const createOpenRouterProvider = (): LLMProvider => {
+	const openai = new OpenAI({
+		apiKey: process.env.OPENROUTER_API_KEY,
+		baseURL: process.env.OPENROUTER_BASE_URL,
+	});
+	const defaultModel =
+		process.env.OPENROUTER_MODEL || "mistralai/mistral-small-3.2-24b-instruct:free";
+
+	return {
+		name: "openrouter",
+		defaultModel,
+		complete: async ({ messages, model, signal }) => {
+			const response = await openai.chat.completions.create(
+				{ model: model || defaultModel, messages },
+				{ signal }
+			);
+			return response.choices[0].message.content || "No response from OpenAI.";
+		},
+		stream: async function* ({ messages, model, signal }) {
+			const stream = await openai.chat.completions.create(
+				{ model: model || defaultModel, messages, stream: true },
+				{ signal }
+			);
+
+			for await (const chunk of stream) {
+				const token = chunk.choices[0]?.delta?.content;
+				if (token) yield token;
+			}
+		},
+	};
+};
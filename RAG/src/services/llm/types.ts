@@ -0,0 +1,24 @@
+export type ChatMessage = {
+	role: "system" | "user" | "assistant";
+	content: string;
+};
+
+export type CompletionRequest = {
+	messages: ChatMessage[];
+	// Falls back to the provider's default model
+	model?: string;
+	signal?: AbortSignal;
+};
+
+export type LLMProvider = {
+	name: string;
+	defaultModel: string;
+	complete: (request: CompletionRequest) => Promise<string>;
+	stream: (request: CompletionRequest) => AsyncIterable<string>;
+};
+
+// Which provider/model a request should use; unset fields come from the environment
+export type LLMSelection = {
+	provider?: string;
+	model?: string;
+};
@@ -0,0 +1,95 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import tar from "tar-stream";
+import { afterAll, afterEach, describe, expect, it } from "vitest";
+import { ArchiveLimitError, checkUploadedLog, readLogSources } from "./logArchive";
+import { UnsupportedLogError } from "./logEncoding";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "archive-test-"));
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const LOG = "ts=2025-06-27T10:00:00Z txn_id=TXN1 status=FAILED\n";
+
+const tarball = async (files: Record<string, string | Buffer>) => {
+	const pack = tar.pack();
+	for (const [name, contents] of Object.entries(files)) pack.entry({ name }, contents);
+	pack.finalize();
+
+	const chunks: Buffer[] = [];
+	for await (const chunk of pack) chunks.push(chunk as Buffer);
+	return Buffer.concat(chunks);
+};
+
+const upload = (name: string, contents: Buffer | string) => {
+	const filePath = path.join(dir, `${Math.random().toString(36).slice(2)}.log`);
+	fs.writeFileSync(filePath, contents);
+	return { path: filePath, name };
+};
+
+describe("readLogSources", () => {
+	it("expands a .tar.gz into its log files, skipping dotfiles and nested archives", async () => {
+		const archive = zlib.gzipSync(
+			await tarball({
+				"gateway/app.log": LOG,
+				"bank/app.log": LOG.replace("TXN1", "TXN2"),
+				"gateway/.DS_Store": "junk",
+				"old.tar.gz": zlib.gzipSync(LOG),
+			})
+		);
+
+		const sources = await readLogSources([upload("incident.tar.gz", archive)]);
+		expect(sources.map((s) => s.name)).toEqual(["incident.tar.gz/gateway/app.log", "incident.tar.gz/bank/app.log"]);
+		expect(sources[1].text).toContain("TXN2");
+	});
+
+	it("reads a single gzipped log under its inner name", async () => {
+		const [source] = await readLogSources([upload("app.log.gz", zlib.gzipSync(LOG))]);
+		expect(source).toEqual({ name: "app.log", text: LOG });
+	});
+
+	it("merges plain files and archives of one request", async () => {
+		const sources = await readLogSources([
+			upload("a.log", LOG),
+			upload("b.tar", await tarball({ "b1.log": LOG, "b2.log": LOG })),
+		]);
+		expect(sources.map((s) => s.name)).toEqual(["a.log", "b.tar/b1.log", "b.tar/b2.log"]);
+	});
+});
+
+describe("archive limits", () => {
+	afterEach(() => {
+		delete process.env.ARCHIVE_MAX_ENTRIES;
+		delete process.env.ARCHIVE_MAX_TOTAL_BYTES;
+		delete process.env.ARCHIVE_MAX_RATIO;
+	});
+
+	it("counts log files across every file of the request", async () => {
+		process.env.ARCHIVE_MAX_ENTRIES = "2";
+		const files = [upload("a.log", LOG), upload("b.tar", await tarball({ "b1.log": LOG, "b2.log": LOG }))];
+		await expect(readLogSources(files)).rejects.toThrow("more than 2 log files (at b.tar/b2.log)");
+	});
+
+	it("stops extracting once the request goes over its byte budget", async () => {
+		process.env.ARCHIVE_MAX_TOTAL_BYTES = String(LOG.length * 2);
+		const archive = await tarball({ "1.log": LOG, "2.log": LOG, "3.log": LOG });
+		await expect(readLogSources([upload("logs.tar", archive)])).rejects.toThrow(ArchiveLimitError);
+	});
+
+	it("treats a gzip that inflates past the ratio limit as a bomb", async () => {
+		process.env.ARCHIVE_MAX_RATIO = "10";
+		const bomb = zlib.gzipSync(Buffer.alloc(1024 * 1024, "a"));
+		await expect(readLogSources([upload("bomb.log.gz", bomb)])).rejects.toThrow("expands beyond");
+	});
+});
+
+describe("checkUploadedLog", () => {
+	it("lets archives and text through and rejects other binaries", async () => {
+		await expect(checkUploadedLog(upload("a.log.gz", zlib.gzipSync(LOG)))).resolves.toBeUndefined();
+		await expect(checkUploadedLog(upload("a.log", LOG))).resolves.toBeUndefined();
+		await expect(checkUploadedLog(upload("core", Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0, 0, 0, 0])))).rejects.toThrow(
+			UnsupportedLogError
+		);
+	});
+});
@@ -0,0 +1,228 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import { Readable } from "stream";
+import yauzl from "yauzl";
+import tar from "tar-stream";
+import { LogSourceText as LogSource } from "../parsers";
+import { decodeLog, isBinarySample, SNIFF_BYTES, UnsupportedLogError } from "./logEncoding";
+
+export type UploadedLog = {
+	path: string;
+	// Original file name, shown as the source of each finding
+	name: string;
+};
+
+export class ArchiveLimitError extends Error {}
+
+// An upload that is missing or can't be decompressed or decoded
+export class LogReadError extends Error {}
+
+// Read for every upload, so they follow the environment (and .env) of the running process
+const archiveLimits = () => ({
+	maxEntries: Number(process.env.ARCHIVE_MAX_ENTRIES) || 100,
+	maxEntryBytes: Number(process.env.ARCHIVE_MAX_ENTRY_BYTES) || 20 * 1024 * 1024,
+	maxTotalBytes: Number(process.env.ARCHIVE_MAX_TOTAL_BYTES) || 100 * 1024 * 1024,
+	// Compression ratios above this are treated as a zip bomb
+	maxRatio: Number(process.env.ARCHIVE_MAX_RATIO) || 100,
+});
+
+type ArchiveLimits = ReturnType<typeof archiveLimits>;
+
+type ArchiveKind = "zip" | "gzip" | "tar" | "plain";
+
+const sniffKind = (head: Buffer): ArchiveKind => {
+	if (head.length >= 4 && head.readUInt32BE(0) === 0x504b0304) return "zip";
+	if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return "gzip";
+	if (head.length >= 262 && head.toString("latin1", 257, 262) === "ustar") return "tar";
+	return "plain";
+};
+
+// Shared across every file of one request so limits apply to the upload as a whole
+class ExtractionBudget {
+	entries = 0;
+	bytes = 0;
+
+	constructor(readonly limits: ArchiveLimits) {}
+
+	addEntry(name: string) {
+		if (++this.entries > this.limits.maxEntries) {
+			throw new ArchiveLimitError(`Upload contains more than ${this.limits.maxEntries} log files (at ${name})`);
+		}
+	}
+
+	addBytes(name: string, count: number) {
+		this.bytes += count;
+		if (this.bytes > this.limits.maxTotalBytes) {
+			throw new ArchiveLimitError(`Extracted logs exceed ${this.limits.maxTotalBytes} bytes (at ${name})`);
+		}
+	}
+}
+
+// Reads a stream into memory, aborting as soon as a limit is crossed rather
+// than trusting sizes declared in archive headers
+const readLimited = async (
+	// Node and tar-stream (streamx) readables both fit this
+	stream: AsyncIterable<unknown> & { destroy(): void },
+	name: string,
+	maxBytes: number,
+	budget: ExtractionBudget
+) => {
+	const chunks: Buffer[] = [];
+	let size = 0;
+
+	for await (const data of stream) {
+		const chunk = data as Buffer;
+		size += chunk.length;
+		budget.addBytes(name, chunk.length);
+		if (size > maxBytes) {
+			stream.destroy();
+			throw new ArchiveLimitError(`${name} expands beyond ${maxBytes} bytes`);
+		}
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+};
+
+// Entry names are only used as labels, never as paths on disk, but keep them tidy
+const entryLabel = (archiveName: string, entryName: string) =>
+	`${archiveName}/${path.posix.normalize(entryName.replace(/\\/g, "/")).replace(/^(\.\.\/|\/)+/, "")}`;
+
+const isIgnoredEntry = (entryName: string) =>
+	entryName.endsWith("/") ||
+	entryName.startsWith("__MACOSX/") ||
+	path.posix.basename(entryName).startsWith(".");
+
+// Binaries inside an archive (images, core dumps) are skipped like nested archives;
+// only a binary uploaded on its own is rejected
+const entrySource = (data: Buffer, label: string): LogSource | undefined => {
+	if (sniffKind(data) !== "plain") {
+		console.warn(`Skipping nested archive ${label}`);
+		return undefined;
+	}
+	try {
+		return { name: label, text: decodeLog(data, label) };
+	} catch (err) {
+		if (!(err instanceof UnsupportedLogError)) throw err;
+		console.warn(`Skipping ${label}: not a text file`);
+		return undefined;
+	}
+};
+
+const extractZip = async (filePath: string, name: string, budget: ExtractionBudget) => {
+	const { maxRatio, maxEntryBytes } = budget.limits;
+	const sources: LogSource[] = [];
+	// validateEntrySizes makes yauzl fail if an entry inflates past its declared size
+	const zip = await yauzl.openPromise(filePath, { lazyEntries: true, validateEntrySizes: true });
+
+	try {
+		await new Promise<void>((resolve, reject) => {
+			zip.on("error", reject);
+			zip.on("end", resolve);
+			zip.on("entry", async (entry: yauzl.Entry) => {
+				try {
+					if (!isIgnoredEntry(entry.fileName)) {
+						const label = entryLabel(name, entry.fileName);
+						budget.addEntry(label);
+
+						const ratio = entry.uncompressedSize / Math.max(entry.compressedSize, 1);
+						if (ratio > maxRatio) {
+							throw new ArchiveLimitError(`${label} has a suspicious compression ratio (${Math.round(ratio)}:1)`);
+						}
+						if (entry.uncompressedSize > maxEntryBytes) {
+							throw new ArchiveLimitError(`${label} is larger than ${maxEntryBytes} bytes`);
+						}
+
+						const data = await readLimited(await zip.openReadStreamPromise(entry), label, maxEntryBytes, budget);
+						const source = entrySource(data, label);
+						if (source) sources.push(source);
+					}
+					zip.readEntry();
+				} catch (err) {
+					reject(err);
+				}
+			});
+			zip.readEntry();
+		});
+	} finally {
+		zip.close();
+	}
+	return sources;
+};
+
+const extractTar = async (stream: Readable, name: string, maxBytes: number, budget: ExtractionBudget) => {
+	const sources: LogSource[] = [];
+	const extract = tar.extract();
+	stream.on("error", (err) => extract.destroy(err));
+	stream.pipe(extract);
+
+	for await (const entry of extract) {
+		const { name: entryName, type } = entry.header;
+		if (type !== "file" || isIgnoredEntry(entryName)) {
+			entry.resume();
+			continue;
+		}
+
+		const label = entryLabel(name, entryName);
+		budget.addEntry(label);
+		const data = await readLimited(entry, label, Math.min(maxBytes, budget.limits.maxEntryBytes), budget);
+		const source = entrySource(data, label);
+		if (source) sources.push(source);
+	}
+	return sources;
+};
+
+const readHead = async (filePath: string, size = 512) => {
+	const handle = await fs.promises.open(filePath, "r");
+	try {
+		const head = Buffer.alloc(size);
+		const { bytesRead } = await handle.read(head, 0, head.length, 0);
+		return head.subarray(0, bytesRead);
+	} finally {
+		await handle.close();
+	}
+};
+
+const readUploadedLog = async ({ path: filePath, name }: UploadedLog, budget: ExtractionBudget): Promise<LogSource[]> => {
+	const { maxTotalBytes, maxRatio } = budget.limits;
+	const kind = sniffKind(await readHead(filePath));
+
+	if (kind === "zip") return extractZip(filePath, name, budget);
+	if (kind === "tar") return extractTar(fs.createReadStream(filePath), name, maxTotalBytes, budget);
+
+	if (kind === "gzip") {
+		// .tar.gz / .tgz, or a single gzipped log
+		const { size } = await fs.promises.stat(filePath);
+		const maxBytes = Math.min(maxTotalBytes, size * maxRatio);
+		const inflated = fs.createReadStream(filePath).pipe(zlib.createGunzip());
+		const data = await readLimited(inflated, name, maxBytes, new ExtractionBudget(budget.limits));
+
+		if (sniffKind(data) === "tar") return extractTar(Readable.from([data]), name, maxBytes, budget);
+		budget.addEntry(name);
+		budget.addBytes(name, data.length);
+		const inner = name.replace(/\.gz$/i, "");
+		return [{ name: inner, text: decodeLog(data, inner) }];
+	}
+
+	budget.addEntry(name);
+	const data = await fs.promises.readFile(filePath);
+	budget.addBytes(name, data.length);
+	return [{ name, text: decodeLog(data, name) }];
+};
+
+// Archives pass; anything else has to look like text. Cheap enough to run on
+// every upload before it is queued.
+export const checkUploadedLog = async ({ path: filePath, name }: UploadedLog) => {
+	const head = await readHead(filePath, SNIFF_BYTES);
+	if (sniffKind(head) === "plain" && isBinarySample(head)) {
+		throw new UnsupportedLogError(`${name} looks like a binary file, not a text log`);
+	}
+};
+
+// Expands uploaded files and archives (.zip, .tar, .tar.gz, .gz) into the log files they contain
+export const readLogSources = async (files: UploadedLog[]) => {
+	const budget = new ExtractionBudget(archiveLimits());
+	const sources: LogSource[] = [];
+	for (const file of files) sources.push(...(await readUploadedLog(file, budget)));
+	return sources;
+};
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { decodeLog, detectEncoding, isBinarySample, UnsupportedLogError } from "./logEncoding";
+
+const LOG = "TransactionID: TXN1\nAmount: ₹2500.00\n";
+
+describe("decodeLog", () => {
+	it("reads UTF-8 with or without a BOM", () => {
+		expect(decodeLog(Buffer.from(LOG), "a.log")).toBe(LOG);
+		expect(decodeLog(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(LOG)]), "a.log")).toBe(LOG);
+	});
+
+	it("transcodes UTF-16 exports, BOM or not", () => {
+		const le = Buffer.from(LOG, "utf16le");
+		expect(detectEncoding(le)).toBe("utf-16le");
+		expect(decodeLog(le, "a.log")).toBe(LOG);
+		expect(decodeLog(Buffer.concat([Buffer.from([0xff, 0xfe]), le]), "a.log")).toBe(LOG);
+		expect(decodeLog(Buffer.from(le).swap16(), "a.log")).toBe(LOG);
+	});
+
+	it("falls back to Latin-1 for bytes that aren't UTF-8", () => {
+		const latin1 = Buffer.from("Remarks: Überweisung fehlgeschlagen\n", "latin1");
+		expect(detectEncoding(latin1)).toBe("latin1");
+		expect(decodeLog(latin1, "a.log")).toContain("Überweisung");
+	});
+
+	it("rejects binaries", () => {
+		const elf = Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x02, 0x01, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]);
+		expect(() => decodeLog(elf, "core")).toThrow(UnsupportedLogError);
+	});
+});
+
+describe("isBinarySample", () => {
+	it("accepts a sample cut off in the middle of a character", () => {
+		const head = Buffer.from(LOG).subarray(0, LOG.indexOf("₹") + 5);
+		expect(detectEncoding(head, true)).toBe("utf-8");
+		expect(isBinarySample(head)).toBe(false);
+	});
+});
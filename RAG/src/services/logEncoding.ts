@@ -0,0 +1,73 @@
+import { isUtf8 } from "buffer";
+
+export type LogEncoding = "utf-8" | "utf-16le" | "utf-16be" | "latin1";
+
+export class UnsupportedLogError extends Error {}
+
+// Enough to judge a file by without reading all of it
+export const SNIFF_BYTES = 8192;
+
+// ASCII-range text in UTF-16 has a zero in every other byte, so BOM-less
+// exports from Windows tools are recognised by where the zeros fall
+const detectUtf16 = (data: Buffer): LogEncoding | undefined => {
+	const sample = data.subarray(0, SNIFF_BYTES);
+	const pairs = Math.floor(sample.length / 2);
+	if (!pairs) return undefined;
+
+	let evenZeros = 0;
+	let oddZeros = 0;
+	for (let i = 0; i < pairs * 2; i++) {
+		if (sample[i] === 0) i % 2 ? oddZeros++ : evenZeros++;
+	}
+	if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return "utf-16le";
+	if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return "utf-16be";
+	return undefined;
+};
+
+// A sample cut off by the caller may end mid-character; that alone doesn't make it Latin-1
+const looksUtf8 = (data: Buffer, truncated: boolean) => {
+	if (isUtf8(data)) return true;
+	if (!truncated) return false;
+	for (let cut = 1; cut <= 3 && cut < data.length; cut++) {
+		if (isUtf8(data.subarray(0, data.length - cut))) return true;
+	}
+	return false;
+};
+
+export const detectEncoding = (data: Buffer, truncated = false): LogEncoding => {
+	if (data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf) return "utf-8";
+	if (data[0] === 0xff && data[1] === 0xfe) return "utf-16le";
+	if (data[0] === 0xfe && data[1] === 0xff) return "utf-16be";
+	// Anything that isn't valid UTF-8 is read as Latin-1, which can't fail
+	return detectUtf16(data) ?? (looksUtf8(data, truncated) ? "utf-8" : "latin1");
+};
+
+const decode = (data: Buffer, encoding: LogEncoding) => {
+	if (encoding === "utf-16be") {
+		const swapped = Buffer.from(data.subarray(0, data.length - (data.length % 2)));
+		return swapped.swap16().toString("utf16le");
+	}
+	return data.toString(encoding === "utf-16le" ? "utf16le" : encoding);
+};
+
+// NUL and C0 controls other than whitespace and ANSI escapes don't belong in a log
+const CONTROL = /[\u0000-\u0008\u000e-\u001a\u001c-\u001f\u007f]/g;
+
+const looksBinary = (text: string) => {
+	const sample = text.slice(0, SNIFF_BYTES);
+	if (!sample) return false;
+	if (sample.includes("\u0000")) return true;
+	return (sample.match(CONTROL)?.length || 0) / sample.length > 0.1;
+};
+
+// Used on the first bytes of an upload, before anything is queued
+export const isBinarySample = (head: Buffer) => looksBinary(decode(head, detectEncoding(head, true)));
+
+// Transcodes a log to a string, so "₹" in a UTF-16 export survives. Throws
+// UnsupportedLogError for anything that isn't text.
+export const decodeLog = (data: Buffer, name: string) => {
+	const encoding = detectEncoding(data);
+	const text = decode(data, encoding).replace(/^\uFEFF/, "");
+	if (looksBinary(text)) throw new UnsupportedLogError(`${name} looks like a binary file, not a text log`);
+	return text;
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { parseRcaMarkdown, renderRcaCsv, renderRcaMarkdown, RcaFinding } from "./rcaReport";
+
+const REPORT = `#### TransactionID: TXN12456789
+
+**Details:**
+- Timestamp: 2025-06-27T10:24:15.582Z
+- Channel: UPI
+- Status: FAILED
+- Failure Reason: GatewayTimeout
+- Component: PaymentGatewayService
+
+**Root Cause:**
+RazorPay returned 504 because of upstream latency from HDFC.
+
+**Corrective Actions:**
+1. Trigger the circuit breaker.
+2. Redirect to the fallback UPI channel.`;
+
+const finding = (changes: Partial<RcaFinding> = {}): RcaFinding => ({
+	transactionId: "TXN1",
+	details: {},
+	rootCause: "Timeout",
+	correctiveActions: [],
+	...changes,
+});
+
+describe("parseRcaMarkdown", () => {
+	it("reads details, root cause and actions of each finding", () => {
+		const [parsed] = parseRcaMarkdown(REPORT);
+		expect(parsed.transactionId).toBe("TXN12456789");
+		expect(parsed.details).toMatchObject({ channel: "UPI", failureReason: "GatewayTimeout" });
+		expect(parsed.rootCause).toBe("RazorPay returned 504 because of upstream latency from HDFC.");
+		expect(parsed.correctiveActions).toEqual(["Trigger the circuit breaker.", "Redirect to the fallback UPI channel."]);
+	});
+
+	it("round-trips through renderRcaMarkdown", () => {
+		const findings = parseRcaMarkdown(REPORT);
+		expect(parseRcaMarkdown(renderRcaMarkdown(findings))).toEqual(findings);
+	});
+});
+
+describe("renderRcaCsv", () => {
+	it("quotes cells with commas, quotes and newlines", () => {
+		const csv = renderRcaCsv([finding({ rootCause: 'Bank said "no", twice\nthen timed out' })]);
+		expect(csv.split("\r\n")[1]).toContain('"Bank said ""no"", twice\nthen timed out"');
+	});
+
+	it("neutralises cells a spreadsheet would run as a formula", () => {
+		const csv = renderRcaCsv([
+			finding({
+				transactionId: "=HYPERLINK(\"http://evil\")",
+				rootCause: "+1+1",
+				correctiveActions: ["@SUM(A1)"],
+				details: { channel: "-2", status: "FAILED" },
+			}),
+		]);
+		const row = csv.split("\r\n")[1];
+		expect(row.startsWith(`"'=HYPERLINK(""http://evil"")"`)).toBe(true);
+		expect(row).toContain(",'-2,FAILED,");
+		expect(row).toContain(",'+1+1,'@SUM(A1)");
+	});
+});
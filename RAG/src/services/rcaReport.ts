@@ -0,0 +1,181 @@
+import { z } from "zod";
+
+// Mirrors the per-transaction template the RCA prompt asks the model for
+export const RcaFindingSchema = z.object({
+	transactionId: z.string().min(1),
+	details: z.object({
+		timestamp: z.string().optional(),
+		channel: z.string().optional(),
+		status: z.string().optional(),
+		failureReason: z.string().optional(),
+		component: z.string().optional(),
+		finalStatus: z.string().optional(),
+		sourceFile: z.string().optional(),
+	}),
+	rootCause: z.string(),
+	correctiveActions: z.array(z.string()),
+});
+
+export const RcaReportSchema = z.array(RcaFindingSchema);
+
+export type RcaFinding = z.infer<typeof RcaFindingSchema>;
+export type RcaFindingDetails = RcaFinding["details"];
+
+const DETAIL_KEYS: Record<string, keyof RcaFindingDetails> = {
+	timestamp: "timestamp",
+	channel: "channel",
+	status: "status",
+	failurereason: "failureReason",
+	component: "component",
+	finalstatus: "finalStatus",
+	sourcefile: "sourceFile",
+};
+
+const FINDING_HEADER = /^#{1,6}\s*(?:\*\*)?\s*TransactionID\s*:?\s*(?:\*\*)?\s*:?\s*`?([A-Za-z0-9_-]+)`?.*$/gim;
+const SECTION_HEADER = /^\s*(?:#{1,6}\s*)?\*{0,2}\s*(Details|Root Cause|Corrective Actions)\s*(?::\s*\*\*|\*\*\s*:?|:|$)\s*(.*)$/i;
+const LIST_ITEM = /^\s*(?:\d+[.)]|[-*])\s+(.*)$/;
+
+const stripMarkdown = (text: string) => text.replace(/\*\*|__|`/g, "").trim();
+
+const parseFinding = (transactionId: string, body: string): RcaFinding => {
+	const details: RcaFindingDetails = {};
+	const rootCause: string[] = [];
+	const correctiveActions: string[] = [];
+	let section = "";
+
+	for (let line of body.split(/\r?\n/)) {
+		const header = line.match(SECTION_HEADER);
+		if (header) {
+			section = header[1].toLowerCase();
+			// "**Root Cause:** text" keeps its text on the header line
+			if (!header[2].trim()) continue;
+			line = header[2];
+		}
+		if (/^\s*-{3,}\s*$/.test(line) || !line.trim()) continue;
+
+		if (section === "details") {
+			const match = stripMarkdown(line.replace(LIST_ITEM, "$1")).match(/^([^:]+):\s*(.*)$/);
+			const key = match && DETAIL_KEYS[match[1].replace(/\s+/g, "").toLowerCase()];
+			if (key) details[key] = match[2].trim();
+		} else if (section === "root cause") {
+			rootCause.push(stripMarkdown(line));
+		} else if (section === "corrective actions") {
+			const item = line.match(LIST_ITEM);
+			if (item) correctiveActions.push(stripMarkdown(item[1]));
+			else if (correctiveActions.length) {
+				// Wrapped continuation of the previous action
+				correctiveActions[correctiveActions.length - 1] += ` ${stripMarkdown(line)}`;
+			}
+		}
+	}
+
+	return {
+		transactionId,
+		details,
+		rootCause: rootCause.join(" "),
+		correctiveActions,
+	};
+};
+
+// Turns the Markdown report from the model into validated findings
+export const parseRcaMarkdown = (markdown: string): RcaFinding[] => {
+	const headers = [...markdown.matchAll(FINDING_HEADER)];
+
+	const findings = headers.map((header, i) => {
+		const start = header.index! + header[0].length;
+		const end = i + 1 < headers.length ? headers[i + 1].index : markdown.length;
+		return parseFinding(header[1], markdown.slice(start, end));
+	});
+
+	return RcaReportSchema.parse(findings);
+};
+
+const escapeHtml = (text = "") =>
+	text
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
+
+const DETAIL_LABELS: [keyof RcaFindingDetails, string][] = [
+	["timestamp", "Timestamp"],
+	["channel", "Channel"],
+	["status", "Status"],
+	["failureReason", "Failure Reason"],
+	["component", "Component"],
+	["finalStatus", "FinalStatus"],
+	["sourceFile", "Source File"],
+];
+
+// Same layout the prompt asks the model for
+export const renderRcaMarkdown = (findings: RcaFinding[]) =>
+	findings
+		.map(
+			(f) => `#### TransactionID: ${f.transactionId}
+
+**Details:**
+${DETAIL_LABELS.filter(([key]) => f.details[key])
+	.map(([key, label]) => `- ${label}: ${f.details[key]}`)
+	.join("\n")}
+
+**Root Cause:**
+${f.rootCause}
+
+**Corrective Actions:**
+${f.correctiveActions.map((a, i) => `${i + 1}. ${a}`).join("\n")}`
+		)
+		.join("\n\n---\n\n") || "No failed transactions found.";
+
+export const renderRcaHtml = (findings: RcaFinding[]) => {
+	const sections = findings.map(
+		(f) => `<section>
+<h2>TransactionID: ${escapeHtml(f.transactionId)}</h2>
+<h3>Details</h3>
+<ul>
+${DETAIL_LABELS.filter(([key]) => f.details[key])
+	.map(([key, label]) => `<li>${label}: ${escapeHtml(f.details[key])}</li>`)
+	.join("\n")}
+</ul>
+<h3>Root Cause</h3>
+<p>${escapeHtml(f.rootCause)}</p>
+<h3>Corrective Actions</h3>
+<ol>
+${f.correctiveActions.map((a) => `<li>${escapeHtml(a)}</li>`).join("\n")}
+</ol>
+</section>`
+	);
+
+	return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Root Cause Analysis</title></head>
+<body>
+<h1>Root Cause Analysis</h1>
+${sections.join("\n<hr>\n") || "<p>No failed transactions found.</p>"}
+</body>
+</html>`;
+};
+
+// Spreadsheets run cells starting with these as formulas; log text must stay text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value = "") => {
+	const text = FORMULA_START.test(value) ? `'${value}` : value;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const renderRcaCsv = (findings: RcaFinding[]) => {
+	const header = [
+		"TransactionID",
+		...DETAIL_LABELS.map(([, label]) => label),
+		"Root Cause",
+		"Corrective Actions",
+	];
+	const rows = findings.map((f) => [
+		f.transactionId,
+		...DETAIL_LABELS.map(([key]) => f.details[key] || ""),
+		f.rootCause,
+		f.correctiveActions.join(" | "),
+	]);
+
+	return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+};
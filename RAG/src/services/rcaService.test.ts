@@ -0,0 +1,103 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { completeWithFallback } from "./llm";
+import { LogReadError } from "./logArchive";
+import { recordRCA } from "./reportHistory";
+import { generateRCA } from "./rcaService";
+
+vi.mock("./llm", async (importOriginal) => ({
+	...(await importOriginal<typeof import("./llm")>()),
+	completeWithFallback: vi.fn(),
+}));
+vi.mock("./retrieval", () => ({
+	retrieveTransactionContext: async (_namespace: string, transactions: unknown[]) =>
+		transactions.map((transaction) => ({ transaction, query: "", hits: [] })),
+}));
+vi.mock("./reportHistory", () => ({
+	fingerprintUploads: async () => ({ hash: "h", files: [] }),
+	recordRCA: vi.fn(() => "r1"),
+}));
+vi.mock("./knowledgeBase", () => ({ listEntries: () => [] }));
+
+const complete = vi.mocked(completeWithFallback);
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rca-test-"));
+afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const logFile = path.join(dir, "app.log");
+fs.writeFileSync(
+	logFile,
+	`=== RCA LOG ENTRY ===
+Timestamp: 2025-06-27T10:24:15.582Z
+TransactionID: TXN1
+Status: FAILED
+Failure Reason: GatewayTimeout
+Component: PaymentGatewayService
+`
+);
+
+const LLM_REPORT = `#### TransactionID: TXN1
+
+**Details:**
+- Timestamp: 2025-06-27T10:24:15.582Z
+- Status: FAILED
+- Failure Reason: GatewayTimeout
+- Component: PaymentGatewayService
+
+**Root Cause:**
+The gateway timed out.
+
+**Corrective Actions:**
+1. Retry.`;
+
+describe("generateRCA", () => {
+	beforeEach(() => {
+		complete.mockReset();
+	});
+	afterEach(() => {
+		delete process.env.RCA_RULES_FALLBACK;
+	});
+
+	it("reports the provider and model that answered", async () => {
+		complete.mockResolvedValue({ text: LLM_REPORT, provider: "ollama", model: "llama3" });
+
+		const result = await generateRCA([{ path: logFile, name: "app.log" }]);
+		expect(result).toMatchObject({
+			engine: "llm",
+			generatedBy: { provider: "ollama", model: "llama3" },
+			reportId: "r1",
+		});
+		expect(result.report).toContain("The gateway timed out.");
+	});
+
+	it("writes the report with the rules once every provider has failed", async () => {
+		complete.mockRejectedValue(new Error("connect ECONNREFUSED"));
+		vi.spyOn(console, "error").mockImplementation(() => {});
+
+		const result = await generateRCA([{ path: logFile, name: "app.log" }]);
+		expect(result.engine).toBe("rules");
+		expect(result.generatedBy).toBeUndefined();
+		expect(result.report).toContain("#### TransactionID: TXN1");
+	});
+
+	it("fails when the rules fallback is turned off", async () => {
+		process.env.RCA_RULES_FALLBACK = "false";
+		complete.mockRejectedValue(new Error("connect ECONNREFUSED"));
+
+		await expect(generateRCA([{ path: logFile, name: "app.log" }])).rejects.toThrow("connect ECONNREFUSED");
+	});
+
+	it("fails instead of reporting a log it can't read", async () => {
+		const corrupt = path.join(dir, "app.log.gz");
+		fs.writeFileSync(corrupt, Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x01, 0x02]));
+		vi.mocked(recordRCA).mockClear();
+
+		const rca = generateRCA([{ path: corrupt, name: "app.log.gz" }]);
+		await expect(rca).rejects.toThrow(LogReadError);
+		await expect(rca).rejects.toThrow(/^Error reading log file: /);
+		expect(complete).not.toHaveBeenCalled();
+		expect(recordRCA).not.toHaveBeenCalled();
+	});
+});
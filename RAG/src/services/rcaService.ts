@@ -1,61 +1,44 @@
-import OpenAI from "openai";
 import { getFailedTransactionsTool } from "../tools/mcpTools";
-import { pineconeIndex } from "../config/pinecone";
+import { formatTransaction, TransactionRecord } from "../parsers/transactionLog";
+import { ParseLogOptions } from "../parsers";
+import { LogReadError, UploadedLog } from "./logArchive";
+import { RcaVerificationError, VerificationSummary, verifyRCA, VerifyOptions } from "./rcaVerification";
+import { createRedactor, Redactor } from "./redaction";
+import { generateRuleBasedRCA, matchRule } from "./ruleEngine";
+import { FailureStats, formatFailureStats } from "./failureStats";
+import { KnowledgeHit, retrieveTransactionContext, TransactionContext } from "./retrieval";
+import { listEntries } from "./knowledgeBase";
+import { ChatMessage, completeWithFallback, LLMSelection, streamWithFallback } from "./llm";
+import { DEFAULT_TENANT, Tenant } from "../config/tenants";
+import { fingerprintUploads, RcaInput, recordRCA } from "./reportHistory";
 
-const openai = new OpenAI({
-	apiKey: process.env.OPENROUTER_API_KEY,
-	baseURL: process.env.OPENROUTER_BASE_URL,
-});
-
-export const generateRCA = async () => {
-	const failedTransactionsResult = await getFailedTransactionsTool.handler();
-
-	// Extract plain text from the tool output
-	const failedTransactions =
-		failedTransactionsResult.content?.[0]?.text ||
-		"No failed transactions found.";
-
-	const result = await pineconeIndex.namespace("my-namespace").searchRecords({
-		query: {
-			inputs: { text: failedTransactions },
-			topK: 4,
-		},
-		fields: ["category", "chunk_text"],
-	});
-
-	type Hit = {
-		_score: number;
-		fields: {
-			chunk_text?: string;
-			category?: string;
-			[key: string]: any;
-		};
-	};
-
-	const relevantDocs = (result.result.hits as Hit[])
-		.filter((match) => match._score && match._score > 0.75)
-		.map((match) => match.fields.chunk_text || "");
+// Each transaction is followed by the knowledge retrieved for it alone, so a
+// runbook for one failure can't leak into the explanation of another
+const formatTransactionContexts = (contexts: TransactionContext[]) =>
+	contexts
+		.map(({ transaction, hits }, i) => {
+			const knowledge = hits.length
+				? hits.map((hit) => `- [${hit.category}] ${hit.text.replace(/\s*\n\s*/g, " ")}`).join("\n")
+				: "No relevant documentation found.";
 
-	const context = relevantDocs.join("\n") || "No relevant documentation found.";
+			return `#### Transaction ${i + 1}
+${formatTransaction(transaction)}
 
-// 	const prompt = `
-// You are a financial system analyst. 
-// Based on the following transaction details and relevant context, 
-// generate a Root Cause Analysis (RCA).
+Relevant Knowledge Base for ${transaction.transactionId}:
+${knowledge}`;
+		})
+		.join("\n\n---\n\n");
 
-// Transaction Info:
-// ${failedTransactions}
+// Stored with every report; bump it whenever the template below changes
+export const RCA_PROMPT_VERSION = 4;
 
-// Relevant Knowledge:
-// ${context}
-// `;
-const prompt = `
+const buildRCAPrompt = (contexts: TransactionContext[], instructions?: string) => `
 You are a financial system analyst. Your task is to generate a structured Root Cause Analysis (RCA) 
 strictly based on the given transaction logs and contextual knowledge base.
 
 Do not fabricate reasons or actions — use only the provided data.
-Dont give any response for successfull transactions.
-
+Explain each transaction only with the knowledge base entries listed under that transaction.
+${instructions ? `\n${instructions.trim()}\n` : ""}
 ---
 
 ### Format:
@@ -70,6 +53,7 @@ For each transaction, follow this exact format:
 - Failure Reason: <reason>
 - Component: <component>
 - FinalStatus: <final status>
+- Source File: <source file>
 
 **Root Cause:**
 <Short, precise root cause based on context and log>
@@ -81,26 +65,257 @@ For each transaction, follow this exact format:
 
 ---
 
-### Transaction Info:
-${failedTransactions}
+### Transactions:
+${formatTransactionContexts(contexts)}
+`;
 
----
+export type RcaStage = "parsing" | "retrieving" | "generating" | "done";
 
-### Relevant Knowledge Base:
-${context}
-`;
+// "llm" falls back to "rules" when every provider fails, unless RCA_RULES_FALLBACK=false
+export type RcaMode = "llm" | "rules";
 
-console.log(JSON.stringify(prompt));
+export const RCA_MODES: RcaMode[] = ["llm", "rules"];
 
-	const response = await openai.chat.completions.create({
-		model: "mistralai/mistral-small-3.2-24b-instruct:free",
-		messages: [
-			{ role: "system", content: "You are a strict RCA generator. Output only structured RCA reports. No assumptions." },
+export const rulesFallbackEnabled = () => process.env.RCA_RULES_FALLBACK !== "false";
 
-			// { role: "system", content: "You are a payments RCA expert." },
-			{ role: "user", content: prompt },
-		],
+export type GenerateRCAOptions = {
+	// Called as the pipeline moves between stages; percent is a rough 0-100 estimate
+	onProgress?: (stage: RcaStage, percent: number) => void;
+	// Per-request provider/model; defaults come from LLM_PROVIDER / LLM_MODEL
+	llm?: LLMSelection;
+	// Declared log format and extra field aliases; the format is detected when omitted
+	ingest?: ParseLogOptions;
+	// How the generated report is checked against the log; repairs mismatches by default
+	verify?: VerifyOptions;
+	// "rules" skips retrieval and the model entirely
+	mode?: RcaMode;
+	// Fields the failure summary is grouped by; defaults to RCA_SUMMARY_DIMENSIONS
+	dimensions?: string[];
+	// Whose knowledge base, model settings and prompt overrides are used
+	tenant?: Tenant;
+};
+
+export type RcaResult = {
+	report: string;
+	// Which engine wrote the report; missing for the empty report
+	engine?: RcaMode;
+	// Missing when the log had no failed transactions and the model wasn't called
+	verification?: VerificationSummary;
+	summary?: FailureStats;
+	// The provider/model that answered, after any fallback
+	generatedBy?: { provider: string; model: string };
+	// ID of the run in the report history (GET /rca/reports/:id)
+	reportId?: string;
+};
+
+export type PreparedRCA = {
+	input: RcaInput;
+	// The failed transactions as parsed; contexts and prompt only hold redacted copies
+	transactions: TransactionRecord[];
+	contexts: TransactionContext[];
+	systemPrompt: string;
+	prompt: string;
+	promptVersion: number;
+	// Counts over every parsed entry, failed or not
+	summary?: FailureStats;
+	// Set instead of a prompt when there is nothing to send to the model
+	emptyReport?: string;
+	// Holds the real values behind the placeholders in contexts and prompt
+	redactor?: Redactor;
+	tenant: Tenant;
+};
+
+const systemPromptFor = (tenant: Tenant) =>
+	tenant.prompt?.system || "You are a strict RCA generator. Output only structured RCA reports. No assumptions.";
+
+// gateway-timeout matches "Gateway Timeout"
+const normalizeCategory = (value: string) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// The prompt POST /rca would send for transactions the caller already has, for clients that
+// run their own model (the MCP server's rca-report prompt). Each transaction is grounded in
+// every runbook of the given categories, or else of the category the rule engine matches,
+// and redacted the same way; nothing is restored, since the report never comes back here.
+export const buildRCAPromptFor = (
+	tenant: Tenant,
+	transactions: TransactionRecord[],
+	{ categories = [], instructions }: { categories?: string[]; instructions?: string } = {}
+) => {
+	const redactor = createRedactor();
+	const entries = listEntries(tenant);
+	const contexts: TransactionContext[] = transactions.map((transaction) => {
+		const matched = matchRule(transaction)?.category;
+		const wanted = (categories.length ? categories : matched ? [matched] : []).map(normalizeCategory);
+		const hits: KnowledgeHit[] = entries
+			.filter((entry) => wanted.includes(normalizeCategory(entry.category)))
+			.map(({ id, category, text }) => ({ id, score: 1, category, text }));
+		return { transaction: redactor.redactRecord(transaction), query: "", hits };
 	});
 
-	return response.choices[0].message.content || "No response from OpenAI.";
+	return {
+		promptVersion: RCA_PROMPT_VERSION,
+		systemPrompt: systemPromptFor(tenant),
+		prompt: buildRCAPrompt(contexts, [tenant.prompt?.instructions, instructions].filter(Boolean).join("\n") || undefined),
+	};
 };
+
+// Parsing and retrieval; everything up to the point where the model is called
+export const prepareRCA = async (
+	logFiles: UploadedLog[],
+	{ onProgress, ingest, mode, dimensions, tenant = DEFAULT_TENANT }: GenerateRCAOptions = {}
+): Promise<PreparedRCA> => {
+	onProgress?.("parsing", 5);
+	const input = await fingerprintUploads(logFiles);
+	const failedTransactionsResult = await getFailedTransactionsTool.handler({
+		logFiles,
+		...ingest,
+		dimensions,
+	});
+	// Otherwise the read error would go out, and into the history, as the report
+	if (failedTransactionsResult.isError) throw new LogReadError(failedTransactionsResult.content[0].text);
+
+	// Only FAILED/DECLINED records make it into the tool output
+	const transactions = failedTransactionsResult.structuredContent?.transactions;
+	const summary = failedTransactionsResult.structuredContent?.summary;
+	const base = {
+		input,
+		transactions: transactions || [],
+		systemPrompt: systemPromptFor(tenant),
+		promptVersion: RCA_PROMPT_VERSION,
+		summary,
+		tenant,
+	};
+	if (!transactions?.length) {
+		return { ...base, contexts: [], prompt: "", emptyReport: failedTransactionsResult.content[0].text };
+	}
+
+	// Nothing past this point sees raw PII: not the vector store, not the model
+	const redactor = createRedactor();
+	const redacted = transactions.map(redactor.redactRecord);
+
+	// The rule engine reads runbooks straight from the knowledge base
+	if (mode === "rules") {
+		return {
+			...base,
+			contexts: redacted.map((transaction) => ({ transaction, query: "", hits: [] })),
+			prompt: "",
+			redactor,
+		};
+	}
+
+	onProgress?.("retrieving", 25);
+	const contexts = await retrieveTransactionContext(tenant.namespace, redacted, (done, total) =>
+		onProgress?.("retrieving", 25 + Math.round((25 * done) / total))
+	);
+
+	const prompt = buildRCAPrompt(contexts, tenant.prompt?.instructions);
+
+	return { ...base, contexts, prompt, redactor };
+};
+
+const buildMessages = ({ prompt, systemPrompt }: PreparedRCA): ChatMessage[] => [
+	{ role: "system", content: systemPrompt },
+
+	// { role: "system", content: "You are a payments RCA expert." },
+	{ role: "user", content: prompt },
+];
+
+const restoreVerification = (summary: VerificationSummary, redactor?: Redactor): VerificationSummary => {
+	if (!redactor) return summary;
+	const restore = (value?: string) => value && redactor.restore(value);
+	return {
+		...summary,
+		mismatches: summary.mismatches.map((m) => ({ ...m, reported: restore(m.reported), expected: restore(m.expected) })),
+	};
+};
+
+const verifyReport = (
+	transactions: TransactionRecord[],
+	report: string,
+	verify: VerifyOptions | undefined,
+	redactor?: Redactor
+): RcaResult => {
+	try {
+		const { report: verified, summary } = verifyRCA(report, transactions, verify);
+		return { report: verified, verification: summary };
+	} catch (err) {
+		if (err instanceof RcaVerificationError) throw new RcaVerificationError(restoreVerification(err.summary, redactor));
+		throw err;
+	}
+};
+
+// Checks the model output against the (redacted) transactions that went into the prompt
+export const verifyPreparedRCA = ({ contexts, redactor }: PreparedRCA, report: string, verify?: VerifyOptions) =>
+	verifyReport(contexts.map((c) => c.transaction), report, verify, redactor);
+
+// The request's provider/model win; whatever it leaves out comes from the tenant
+const resolveTenantLLM = (tenant: Tenant, llm: LLMSelection = {}): LLMSelection =>
+	llm.provider ? llm : { provider: tenant.llm?.provider, model: llm.model || tenant.llm?.model };
+
+// Nothing leaves the service here, so the rules see the raw records; a hashed
+// BankCode would never match a bankCodes rule
+export const generateRuleBasedResult = (
+	{ tenant, transactions, redactor }: PreparedRCA,
+	verify?: VerifyOptions
+): RcaResult => ({
+	...verifyReport(transactions, generateRuleBasedRCA(tenant, transactions), verify, redactor),
+	engine: "rules",
+});
+
+// Puts the real values back for the caller, adds the failure numbers above the
+// findings (report parsers skip anything before the first finding) and stores the run
+export const finalizeRCA = (prepared: PreparedRCA, result: RcaResult): RcaResult => {
+	const { summary, redactor } = prepared;
+	const report = redactor ? redactor.restore(result.report) : result.report;
+	const final: RcaResult = {
+		...result,
+		report: summary ? `${formatFailureStats(summary)}\n\n---\n\n${report}` : report,
+		verification: result.verification && restoreVerification(result.verification, redactor),
+		summary,
+	};
+	return { ...final, reportId: recordRCA(prepared, final) };
+};
+
+export const generateRCA = async (
+	logFiles: UploadedLog[],
+	options: GenerateRCAOptions = {}
+): Promise<RcaResult> => {
+	const prepared = await prepareRCA(logFiles, options);
+	if (prepared.emptyReport !== undefined) return finalizeRCA(prepared, { report: prepared.emptyReport });
+
+	options.onProgress?.("generating", 50);
+
+	let result: RcaResult;
+	if (options.mode === "rules") {
+		result = generateRuleBasedResult(prepared, options.verify);
+	} else {
+		let text: string | undefined;
+		let generatedBy: RcaResult["generatedBy"];
+		try {
+			const { text: completion, provider, model } = await completeWithFallback(
+				{ messages: buildMessages(prepared) },
+				resolveTenantLLM(prepared.tenant, options.llm)
+			);
+			text = completion;
+			generatedBy = { provider, model };
+		} catch (err) {
+			if (!rulesFallbackEnabled()) throw err;
+			console.error("LLM generation failed, falling back to rules:", err);
+		}
+		result =
+			text === undefined
+				? generateRuleBasedResult(prepared, options.verify)
+				: { ...verifyPreparedRCA(prepared, text, options.verify), engine: "llm", generatedBy };
+	}
+
+	options.onProgress?.("done", 100);
+	return finalizeRCA(prepared, result);
+};
+
+// Yields report tokens as the model produces them. Aborting the signal
+// cancels the upstream request. onStart says which provider/model is answering.
+export const streamRCACompletion = (
+	prepared: PreparedRCA,
+	llm?: LLMSelection,
+	signal?: AbortSignal,
+	onStart?: (provider: string, model: string) => void
+) => streamWithFallback({ messages: buildMessages(prepared), signal }, resolveTenantLLM(prepared.tenant, llm), onStart);
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { RcaVerificationError, verificationHeader, verifyRCA } from "./rcaVerification";
+
+const record = (TransactionID: string, Channel: string, Status: string, line: number) =>
+	toTransactionRecord(
+		{ TransactionID, Timestamp: "2025-06-27T10:24:15.582Z", Channel, Status, Component: "PaymentGatewayService" },
+		line
+	);
+
+const transactions = [record("TXN1", "UPI", "FAILED", 1), record("TXN2", "DebitCard", "DECLINED", 20)];
+
+const finding = (id: string, channel: string, status: string) => `#### TransactionID: ${id}
+
+**Details:**
+- Timestamp: 2025-06-27T10:24:15.582Z
+- Channel: ${channel}
+- Status: ${status}
+- Component: PaymentGatewayService
+
+**Root Cause:**
+Gateway timed out.
+
+**Corrective Actions:**
+1. Retry.`;
+
+describe("verifyRCA", () => {
+	it("passes a report that matches the log", () => {
+		const report = [finding("TXN1", "UPI", "failed"), finding("TXN2", "DebitCard", "DECLINED")].join("\n\n---\n\n");
+		const { summary } = verifyRCA(report, transactions);
+		expect(summary.status).toBe("passed");
+	});
+
+	it("repairs mismatched fields and drops transactions that aren't in the log", () => {
+		const report = [finding("TXN1", "NetBanking", "FAILED"), finding("TXN9", "UPI", "FAILED")].join("\n\n---\n\n");
+		const { report: repaired, summary } = verifyRCA(report, transactions);
+
+		expect(summary).toMatchObject({ status: "repaired", unknownTransactions: ["TXN9"], skippedTransactions: ["TXN2"] });
+		expect(summary.mismatches).toEqual([{ transactionId: "TXN1", field: "channel", reported: "NetBanking", expected: "UPI" }]);
+		expect(repaired).toContain("- Channel: UPI");
+		expect(repaired).not.toContain("TXN9");
+		expect(verificationHeader(summary)).toBe("repaired; mismatches=1; unknown=1; skipped=1");
+	});
+
+	it("leaves the report alone in flag mode and throws in strict mode", () => {
+		const report = finding("TXN1", "NetBanking", "FAILED");
+		const flagged = verifyRCA(report, [transactions[0]], { mode: "flag" });
+		expect(flagged.summary.status).toBe("flagged");
+		expect(flagged.report).toBe(report);
+
+		expect(() => verifyRCA(report, [transactions[0]], { strict: true })).toThrow(RcaVerificationError);
+	});
+});
@@ -0,0 +1,162 @@
+import { TransactionRecord } from "../parsers/transactionLog";
+import { parseRcaMarkdown, RcaFinding, RcaFindingDetails, renderRcaMarkdown } from "./rcaReport";
+
+// "repair" rewrites the report from the log; "flag" leaves it as generated
+export type VerificationMode = "repair" | "flag";
+
+export const VERIFICATION_MODES: VerificationMode[] = ["repair", "flag"];
+
+export type VerifyOptions = {
+	mode?: VerificationMode;
+	// Fail the request instead of returning a report that needed flagging or repair
+	strict?: boolean;
+};
+
+export type FieldMismatch = {
+	transactionId: string;
+	field: keyof RcaFindingDetails;
+	reported?: string;
+	expected?: string;
+};
+
+export type VerificationSummary = {
+	status: "passed" | "repaired" | "flagged";
+	mode: VerificationMode;
+	// Failed transactions in the log vs. findings in the report
+	expected: number;
+	checked: number;
+	// In the report but not in the log
+	unknownTransactions: string[];
+	// In the log but missing from the report
+	skippedTransactions: string[];
+	mismatches: FieldMismatch[];
+};
+
+export class RcaVerificationError extends Error {
+	constructor(public summary: VerificationSummary) {
+		super(
+			`RCA failed verification: ${summary.mismatches.length} mismatched field(s), ` +
+				`${summary.unknownTransactions.length} unknown and ${summary.skippedTransactions.length} skipped transaction(s)`
+		);
+	}
+}
+
+const VERIFIED_FIELDS: (keyof RcaFindingDetails & keyof TransactionRecord)[] = [
+	"timestamp",
+	"channel",
+	"status",
+	"component",
+	"finalStatus",
+];
+
+const FIELD_LABELS: Record<string, string> = {
+	timestamp: "Timestamp",
+	channel: "Channel",
+	status: "Status",
+	component: "Component",
+	finalStatus: "FinalStatus",
+};
+
+const MISSING = /^(n\/?a|none|unknown|-)?$/i;
+
+const normalize = (value = "") => {
+	const text = value.trim().replace(/^["'`]+|["'`.]+$/g, "");
+	return MISSING.test(text) ? "" : text.replace(/\s+/g, " ").toLowerCase();
+};
+
+const sameValue = (field: string, reported?: string, expected?: string) => {
+	if (field === "timestamp" && reported && expected) {
+		const [a, b] = [Date.parse(reported), Date.parse(expected)];
+		if (!Number.isNaN(a) && !Number.isNaN(b)) return a === b;
+	}
+	return normalize(reported) === normalize(expected);
+};
+
+// Cross-checks the model's findings against the failed transactions it was given.
+// In repair mode the report is re-rendered with the values from the log and
+// findings for transactions that don't exist are dropped.
+export const verifyRCA = (
+	report: string,
+	transactions: TransactionRecord[],
+	{ mode = "repair", strict = false }: VerifyOptions = {}
+) => {
+	const byId = new Map(transactions.map((t) => [t.transactionId, t]));
+	const findings = parseRcaMarkdown(report);
+	const seen = new Set<string>();
+	const mismatches: FieldMismatch[] = [];
+	const unknownTransactions: string[] = [];
+	const repaired: RcaFinding[] = [];
+
+	for (const finding of findings) {
+		const record = byId.get(finding.transactionId);
+		if (!record) {
+			unknownTransactions.push(finding.transactionId);
+			continue;
+		}
+		// A second finding for the same transaction is kept but not checked twice
+		if (!seen.has(record.transactionId)) {
+			for (const field of VERIFIED_FIELDS) {
+				const reported = finding.details[field];
+				const expected = record[field];
+				if (!sameValue(field, reported, expected)) {
+					mismatches.push({ transactionId: record.transactionId, field, reported, expected });
+				}
+			}
+		}
+		seen.add(record.transactionId);
+
+		const details = { ...finding.details, sourceFile: record.sourceFile ?? finding.details.sourceFile };
+		for (const field of VERIFIED_FIELDS) details[field] = record[field];
+		repaired.push({ ...finding, details });
+	}
+
+	const skippedTransactions = transactions.map((t) => t.transactionId).filter((id) => !seen.has(id));
+	const clean = !mismatches.length && !unknownTransactions.length && !skippedTransactions.length;
+
+	const summary: VerificationSummary = {
+		status: clean ? "passed" : mode === "repair" ? "repaired" : "flagged",
+		mode,
+		expected: transactions.length,
+		checked: findings.length,
+		unknownTransactions,
+		skippedTransactions,
+		mismatches,
+	};
+	if (strict && !clean) throw new RcaVerificationError(summary);
+
+	const needsRewrite = mode === "repair" && (mismatches.length || unknownTransactions.length);
+	return { report: needsRewrite ? renderRcaMarkdown(repaired) : report, summary };
+};
+
+const quote = (value?: string) => (value ? `"${value}"` : "nothing");
+
+// Appended to Markdown reports so readers see what was checked
+export const formatVerificationSummary = (summary: VerificationSummary) => {
+	const outcome = summary.mode === "repair" ? "corrected from the log" : "left as generated";
+	const lines = [
+		"## Verification Summary",
+		"",
+		`- Status: ${summary.status}`,
+		`- Findings checked: ${summary.checked} (${summary.expected} failed transaction(s) in the log)`,
+	];
+
+	if (summary.unknownTransactions.length) {
+		lines.push(
+			`- Not in the log${summary.mode === "repair" ? " (removed)" : ""}: ${summary.unknownTransactions.join(", ")}`
+		);
+	}
+	if (summary.skippedTransactions.length) {
+		lines.push(`- Skipped by the model: ${summary.skippedTransactions.join(", ")}`);
+	}
+	if (summary.mismatches.length) {
+		lines.push(`- Mismatched fields (${outcome}):`);
+		for (const m of summary.mismatches) {
+			lines.push(`  - ${m.transactionId} ${FIELD_LABELS[m.field]}: report said ${quote(m.reported)}, log has ${quote(m.expected)}`);
+		}
+	}
+	return lines.join("\n");
+};
+
+// Short form for the X-RCA-Verification response header
+export const verificationHeader = (summary: VerificationSummary) =>
+	`${summary.status}; mismatches=${summary.mismatches.length}; unknown=${summary.unknownTransactions.length}; skipped=${summary.skippedTransactions.length}`;
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { DEFAULT_REDACTION_RULES } from "../config/redaction";
+import { createRedactor } from "./redaction";
+
+const record = () =>
+	toTransactionRecord(
+		{
+			TransactionID: "TXN12456791",
+			UserID: "U555123",
+			BankCode: "HDFC",
+			Status: "FAILED",
+			Amount: "₹1100.00",
+			BalanceBefore: "₹5,000.00",
+			RootCause: "Refund of ₹1100.00 to U555123 failed at HDFC; contact ops@bank.in or 9876543210",
+		},
+		1
+	);
+
+describe("createRedactor", () => {
+	it("hides every PII value from the record", () => {
+		const redacted = createRedactor(DEFAULT_REDACTION_RULES).redactRecord(record());
+		const text = Object.values(redacted.fields).join("\n");
+
+		expect(redacted.fields.UserID).toBe("<UserID-1>");
+		expect(redacted.fields.BankCode).toMatch(/^<BankCode#[0-9a-f]{8}>$/);
+		expect(redacted.bankCode).toBe(redacted.fields.BankCode);
+		expect(redacted.fields.Amount).toBe("₹1,000-₹10,000");
+		expect(redacted.fields).not.toHaveProperty("BalanceBefore");
+		for (const value of ["U555123", "HDFC", "1100", "ops@bank.in", "9876543210"]) expect(text).not.toContain(value);
+	});
+
+	it("keeps the range of amounts mentioned in free text", () => {
+		const redacted = createRedactor(DEFAULT_REDACTION_RULES).redactRecord(record());
+		expect(redacted.fields.RootCause).toContain("<Amount-1 ₹1,000-₹10,000>");
+	});
+
+	it("restores the original values in a report built from the redacted record", () => {
+		const redactor = createRedactor(DEFAULT_REDACTION_RULES);
+		const { fields } = redactor.redactRecord(record());
+
+		expect(redactor.restore(`Root cause: ${fields.RootCause} (user ${fields.UserID}, bank ${fields.BankCode})`)).toBe(
+			`Root cause: ${record().fields.RootCause} (user U555123, bank HDFC)`
+		);
+	});
+
+	it("restores placeholders split across streamed tokens", () => {
+		const redactor = createRedactor(DEFAULT_REDACTION_RULES);
+		const { fields } = redactor.redactRecord(record());
+		const restorer = redactor.streamRestorer();
+
+		const report = `Refund of ${fields.RootCause.match(/<Amount[^>]*>/)![0]} for ${fields.UserID}.`;
+		const streamed = report.match(/.{1,5}/gsu)!.map((token) => restorer.push(token)).join("") + restorer.flush();
+		expect(streamed).toBe("Refund of ₹1100.00 for U555123.");
+	});
+
+	it("hashes the same value the same way in every request", () => {
+		const first = createRedactor(DEFAULT_REDACTION_RULES).redactRecord(record());
+		const second = createRedactor(DEFAULT_REDACTION_RULES).redactRecord(record());
+		expect(second.fields.BankCode).toBe(first.fields.BankCode);
+	});
+});
@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import { getRedactionRules, RedactionRule, RedactionRules, redactionEnabled } from "../config/redaction";
+import { toTransactionRecord, TransactionRecord } from "../parsers/transactionLog";
+
+export type Redactor = {
+	redactRecord: (record: TransactionRecord) => TransactionRecord;
+	// Swaps placeholders in model output back to the values they stand for
+	restore: (text: string) => string;
+	// Same, for text that arrives in pieces: a placeholder split across tokens is held back
+	streamRestorer: () => { push: (text: string) => string; flush: () => string };
+};
+
+// Hashes are only stable for as long as the secret is; a random one lasts until restart
+let randomSecret: string | undefined;
+const redactionSecret = () =>
+	process.env.RCA_REDACTION_SECRET || (randomSecret ??= crypto.randomBytes(32).toString("hex"));
+
+const PLACEHOLDER = /<[^<>\n]{1,64}>/g;
+const MAX_PLACEHOLDER = 66;
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "₹1,200.00" with [100, 1000, 10000] -> "₹1,000-₹10,000"
+const bucketOf = (value: string, bounds: number[]) => {
+	const amount = Number(value.replace(/[^0-9.-]/g, ""));
+	if (!value.trim() || !Number.isFinite(amount)) return undefined;
+
+	const prefix = value.trim().match(/^[^\d-]*/)?.[0].trim() || "";
+	const format = (n: number) => `${prefix}${n.toLocaleString("en-IN")}`;
+	const index = bounds.findIndex((bound) => amount < bound);
+
+	if (index === -1) return `${format(bounds[bounds.length - 1])}+`;
+	return `${format(index ? bounds[index - 1] : 0)}-${format(bounds[index])}`;
+};
+
+// Runs fn on the text between placeholders so nothing already redacted is touched again
+const outsidePlaceholders = (text: string, fn: (segment: string) => string) =>
+	text
+		.split(/(<[^<>\n]{1,64}>)/)
+		.map((segment, i) => (i % 2 ? segment : fn(segment)))
+		.join("");
+
+export const createRedactor = (
+	rules: RedactionRules = redactionEnabled() ? getRedactionRules() : { fields: {}, patterns: [] }
+): Redactor => {
+	const vault = new Map<string, string>();
+	const tokens = new Map<string, string>();
+	const counters = new Map<string, number>();
+
+	// label is shown to the model inside a mask, e.g. <Amount-1 ₹1,000-₹10,000>
+	const placeholderFor = (name: string, value: string, action: "mask" | "hash", label?: string) => {
+		const key = `${name}\u0000${value}`;
+		let token = tokens.get(key);
+		if (!token) {
+			if (action === "hash") {
+				token = `<${name}#${crypto.createHmac("sha256", redactionSecret()).update(value).digest("hex").slice(0, 8)}>`;
+			} else {
+				const n = (counters.get(name) || 0) + 1;
+				counters.set(name, n);
+				token = `<${name}-${n}${label ? ` ${label}` : ""}>`;
+			}
+			tokens.set(key, token);
+			vault.set(token, value);
+		}
+		return token;
+	};
+
+	// undefined means the value is dropped. In free text a bucketed value becomes a
+	// placeholder carrying its range, so the report gets the exact value back.
+	const apply = (name: string, value: string, rule: RedactionRule, inText = false): string | undefined => {
+		switch (rule.action) {
+			case "keep":
+				return value;
+			case "drop":
+				return undefined;
+			case "bucket": {
+				const bucket = bucketOf(value, rule.buckets || [100, 1000, 10000]);
+				// Anything that isn't a number can't be bucketed, so it is masked instead
+				if (bucket === undefined) return placeholderFor(name, value, "mask");
+				return inText ? placeholderFor(name, value, "mask", bucket) : bucket;
+			}
+			default:
+				return placeholderFor(name, value, rule.action);
+		}
+	};
+
+	const patterns = rules.patterns.map((p) => ({ ...p, regex: new RegExp(p.pattern, "g") }));
+
+	const redactText = (text: string, known: [string, string][]) => {
+		let result = text;
+		for (const { name, regex, action, buckets } of patterns) {
+			result = outsidePlaceholders(result, (segment) =>
+				segment.replace(regex, (match) => apply(name, match, { action, buckets }, true) ?? "")
+			);
+		}
+		// Values redacted in their own field are also hidden wherever else they're mentioned
+		for (const [original, replacement] of known) {
+			const regex = new RegExp(`(?<![\\w])${escapeRegExp(original)}(?![\\w])`, "g");
+			result = outsidePlaceholders(result, (segment) => segment.replace(regex, replacement));
+		}
+		return result;
+	};
+
+	const redactRecord = (record: TransactionRecord): TransactionRecord => {
+		const fields: Record<string, string> = {};
+		const known: [string, string][] = [];
+
+		const redactField = (name: string, value: string) => {
+			const rule = rules.fields[name];
+			const redacted = apply(name, value, rule);
+			if (rule.action !== "keep" && value.trim()) {
+				const mention = rule.action === "bucket" ? apply(name, value.trim(), rule, true) : redacted;
+				known.push([value.trim(), mention ?? `<${name} removed>`]);
+			}
+			return redacted;
+		};
+
+		for (const [key, value] of Object.entries(record.fields)) {
+			if (!rules.fields[key]) continue;
+			const redacted = redactField(key, value);
+			if (redacted !== undefined) fields[key] = redacted;
+		}
+
+		// Older entries only carry the bank inside RootCause
+		let bankCode: string | undefined = fields["BankCode"];
+		if (record.bankCode && !("BankCode" in record.fields) && rules.fields["BankCode"]) {
+			bankCode = redactField("BankCode", record.bankCode);
+		}
+
+		known.sort((a, b) => b[0].length - a[0].length);
+		for (const [key, value] of Object.entries(record.fields)) {
+			if (!rules.fields[key]) fields[key] = redactText(value, known);
+		}
+
+		// Keep the original field order for the prompt
+		const ordered = Object.fromEntries(
+			Object.keys(record.fields)
+				.filter((key) => key in fields)
+				.map((key) => [key, fields[key]])
+		);
+		return {
+			...toTransactionRecord(ordered, record.line),
+			bankCode: rules.fields["BankCode"] ? bankCode : record.bankCode,
+		};
+	};
+
+	const restore = (text: string) => text.replace(PLACEHOLDER, (token) => vault.get(token) ?? token);
+
+	const streamRestorer = () => {
+		let pending = "";
+		return {
+			push: (text: string) => {
+				pending += text;
+				const open = pending.lastIndexOf("<");
+				const held = open !== -1 && !pending.includes(">", open) && pending.length - open < MAX_PLACEHOLDER;
+				const ready = held ? pending.slice(0, open) : pending;
+				pending = held ? pending.slice(open) : "";
+				return restore(ready);
+			},
+			flush: () => {
+				const rest = restore(pending);
+				pending = "";
+				return rest;
+			},
+		};
+	};
+
+	return { redactRecord, restore, streamRestorer };
+};
@@ -0,0 +1,201 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, describe, expect, it, vi } from "vitest";
+import { Tenant } from "../config/tenants";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { PreparedRCA, RcaResult } from "./rcaService";
+import { fingerprintUploads, getReport, listReports, recordRCA, ReportNotFoundError } from "./reportHistory";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "report-history-test-"));
+process.env.DATA_DIR = dataDir;
+afterAll(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const tenant = (id: string): Tenant => ({ id, apiKeys: [], namespace: `tenant-${id}` });
+
+const prepared = (t: Tenant, transactions: Record<string, string>[]): PreparedRCA => ({
+	tenant: t,
+	input: {
+		hash: `hash-of-${transactions.map((f) => f.TransactionID).join("-")}`,
+		files: [{ name: "app.log", sha256: "s", bytes: 1 }],
+	},
+	transactions: transactions.map((fields, i) => toTransactionRecord(fields, i + 1)),
+	contexts: [],
+	systemPrompt: "You write RCAs.",
+	prompt: "Write the RCA.",
+	promptVersion: 3,
+});
+
+// Stores a report as if it was written at the given time
+const recordAt = (createdAt: string, t: Tenant, transactions: Record<string, string>[], result: RcaResult) => {
+	vi.useFakeTimers({ toFake: ["Date"] });
+	vi.setSystemTime(new Date(createdAt));
+	try {
+		return recordRCA(prepared(t, transactions), result)!;
+	} finally {
+		vi.useRealTimers();
+	}
+};
+
+const ids = (page: ReturnType<typeof listReports>) => page.reports.map((r) => r.id);
+
+describe("recordRCA", () => {
+	it("stores the run, and the prompt only for a model-written report", () => {
+		const t = tenant("store");
+		const llm = recordRCA(prepared(t, [{ TransactionID: "TXN1", Status: "FAILED" }]), {
+			report: "# RCA",
+			engine: "llm",
+			generatedBy: { provider: "ollama", model: "llama3" },
+		})!;
+		const rules = recordRCA(prepared(t, [{ TransactionID: "TXN2", Status: "FAILED" }]), {
+			report: "# RCA",
+			engine: "rules",
+		})!;
+
+		expect(fs.existsSync(path.join(dataDir, "reports", "store", `${llm}.json`))).toBe(true);
+		expect(getReport(t, llm)).toMatchObject({
+			id: llm,
+			tenantId: "store",
+			input: { hash: "hash-of-TXN1" },
+			engine: "llm",
+			generatedBy: { provider: "ollama", model: "llama3" },
+			promptVersion: 3,
+			systemPrompt: "You write RCAs.",
+			prompt: "Write the RCA.",
+			transactions: [{ transactionId: "TXN1" }],
+			report: "# RCA",
+		});
+		expect(getReport(t, rules)).not.toHaveProperty("prompt");
+	});
+
+	it("is read back from disk after a restart", async () => {
+		const t = tenant("restart");
+		const id = recordRCA(prepared(t, [{ TransactionID: "TXN1" }]), { report: "# RCA about a gateway", engine: "rules" });
+
+		vi.resetModules();
+		const fresh = await import("./reportHistory");
+		expect(ids(fresh.listReports(t, { q: "gateway" }))).toEqual([id]);
+	});
+
+	it("logs instead of throwing when the report can't be written", () => {
+		const error = vi.spyOn(console, "error").mockImplementation(() => {});
+		const broken = { ...prepared(tenant("broken"), []), input: undefined } as unknown as PreparedRCA;
+
+		expect(recordRCA(broken, { report: "# RCA" })).toBeUndefined();
+		expect(error).toHaveBeenCalledWith("Could not store RCA report:", expect.any(TypeError));
+	});
+});
+
+describe("getReport", () => {
+	it("reports another tenant's run, and an ID that isn't a UUID, as missing", () => {
+		const id = recordRCA(prepared(tenant("owner"), [{ TransactionID: "TXN1" }]), { report: "# RCA" })!;
+
+		expect(() => getReport(tenant("intruder"), id)).toThrow(ReportNotFoundError);
+		expect(() => getReport(tenant("owner"), "../../knowledge-base")).toThrow(ReportNotFoundError);
+	});
+});
+
+describe("listReports", () => {
+	const t = tenant("list");
+	const june = recordAt(
+		"2025-06-27T10:00:00.000Z",
+		t,
+		[{ TransactionID: "TXN-A", "Failure Reason": "GatewayTimeout", BankCode: "HDFC", Remarks: "razorpay 504 razorpay" }],
+		{ report: "# Timeout at the gateway", engine: "llm" }
+	);
+	const julyFirst = recordAt(
+		"2025-07-01T08:00:00.000Z",
+		t,
+		[{ TransactionID: "TXN-B", "Failure Reason": "InsufficientFunds", BankCode: "SBIN" }],
+		{ report: "# Not enough money; razorpay was fine", engine: "rules" }
+	);
+	const julyLate = recordAt(
+		"2025-07-01T23:30:00.000Z",
+		t,
+		[
+			{ TransactionID: "TXN-C", "Failure Reason": "GatewayTimeout", BankCode: "ICIC" },
+			{ TransactionID: "TXN-A", "Failure Reason": "GatewayTimeout", BankCode: "HDFC" },
+		],
+		{ report: "# Gateway again", engine: "rules" }
+	);
+	recordAt("2025-07-01T09:00:00.000Z", tenant("other"), [{ TransactionID: "TXN-A" }], { report: "# razorpay" });
+
+	// Also checks that the report that loaded the index from disk isn't listed twice
+	it("lists only the tenant's own reports, newest first", () => {
+		expect(listReports(t)).toMatchObject({ total: 3, limit: 20, offset: 0 });
+		expect(ids(listReports(t))).toEqual([julyLate, julyFirst, june]);
+		expect(listReports(t).reports[0]).toMatchObject({
+			transactionIds: ["TXN-C", "TXN-A"],
+			failureReasons: ["GatewayTimeout"],
+			bankCodes: ["ICIC", "HDFC"],
+			files: ["app.log"],
+			inputHash: "hash-of-TXN-C-TXN-A",
+		});
+	});
+
+	it.each([
+		["from", { from: "2025-07-01" }, ["julyLate", "julyFirst"]],
+		["to a date, which includes that whole day", { to: "2025-07-01" }, ["julyLate", "julyFirst", "june"]],
+		["to a time", { to: "2025-07-01T09:00:00.000Z" }, ["julyFirst", "june"]],
+		["from and to", { from: "2025-06-28", to: "2025-07-01T09:00:00.000Z" }, ["julyFirst"]],
+		["transaction ID", { transactionId: "TXN-A" }, ["julyLate", "june"]],
+		["Failure Reason, ignoring case and punctuation", { category: "gateway-timeout" }, ["julyLate", "june"]],
+		["bank code", { bankCode: "sbin" }, ["julyFirst"]],
+		["engine", { engine: "rules" as const }, ["julyLate", "julyFirst"]],
+		["several filters at once", { engine: "rules" as const, transactionId: "TXN-A" }, ["julyLate"]],
+	])("filters by %s", (_name, filter, expected) => {
+		const byName: Record<string, string> = { june, julyFirst, julyLate };
+		expect(ids(listReports(t, filter))).toEqual(expected.map((name) => byName[name]));
+	});
+
+	it("searches the report and its transactions, best match first", () => {
+		const result = listReports(t, { q: "RazorPay" });
+		expect(ids(result)).toEqual([june, julyFirst]);
+		expect(result.reports.map((r) => r.score)).toEqual([2, 1]);
+		expect(result.reports[1].snippet).toContain("razorpay was fine");
+	});
+
+	it("needs every word of a search to match", () => {
+		expect(ids(listReports(t, { q: "gateway hdfc" }))).toEqual([julyLate, june]);
+		expect(ids(listReports(t, { q: "gateway sbin" }))).toEqual([]);
+	});
+
+	it("pages with limit and offset and still counts every match", () => {
+		expect(listReports(t, { limit: 2 })).toMatchObject({ total: 3, limit: 2, offset: 0 });
+		expect(ids(listReports(t, { limit: 2 }))).toEqual([julyLate, julyFirst]);
+		expect(ids(listReports(t, { limit: 2, offset: 2 }))).toEqual([june]);
+		expect(ids(listReports(t, { offset: 5 }))).toEqual([]);
+	});
+});
+
+describe("fingerprintUploads", () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fingerprint-test-"));
+	afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	const file = (name: string, content: string) => {
+		const filePath = path.join(dir, name);
+		fs.writeFileSync(filePath, content);
+		return { path: filePath, name };
+	};
+
+	it("hashes each file and the upload as a whole, in upload order", async () => {
+		const a = file("a.log", "first");
+		const b = file("b.log", "second");
+
+		const input = await fingerprintUploads([a, b]);
+		expect(input.files).toEqual([
+			{ name: "a.log", sha256: "a7937b64b8caa58f03721bb6bacf5c78cb235febe0e70b1b84cd99541461a08e", bytes: 5 },
+			{ name: "b.log", sha256: "16367aacb67a4a017c8da8ab95682ccb390863780f7114dda0a0e0c55644c7c4", bytes: 6 },
+		]);
+		expect(input.hash).toMatch(/^[0-9a-f]{64}$/);
+
+		expect((await fingerprintUploads([a, b])).hash).toBe(input.hash);
+		expect((await fingerprintUploads([b, a])).hash).not.toBe(input.hash);
+	});
+
+	it("gives the same hash for the same content under another name", async () => {
+		const original = await fingerprintUploads([file("c.log", "same")]);
+		const renamed = await fingerprintUploads([file("d.log", "same")]);
+		expect(renamed.hash).toBe(original.hash);
+	});
+});
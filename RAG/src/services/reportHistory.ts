@@ -0,0 +1,239 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { TransactionRecord } from "../parsers/transactionLog";
+import { dataPath, readJsonFile, writeJsonFile } from "../utils/fileStore";
+import { Tenant } from "../config/tenants";
+import { getRcaRules } from "../config/rcaRules";
+import { UploadedLog } from "./logArchive";
+import { KnowledgeHit } from "./retrieval";
+import { matchRule } from "./ruleEngine";
+import { FailureStats } from "./failureStats";
+import { VerificationSummary } from "./rcaVerification";
+import { PreparedRCA, RcaMode, RcaResult } from "./rcaService";
+
+export type RcaInput = {
+	// Over the file hashes in upload order, so the same upload gives the same hash
+	hash: string;
+	files: { name: string; sha256: string; bytes: number }[];
+};
+
+export type StoredReport = {
+	id: string;
+	tenantId: string;
+	createdAt: string;
+	input: RcaInput;
+	engine?: RcaMode;
+	generatedBy?: { provider: string; model: string };
+	promptVersion: number;
+	// As sent to the model, i.e. with redacted values; missing for rule-based reports
+	systemPrompt?: string;
+	prompt?: string;
+	// The failed transactions as parsed, before redaction
+	transactions: TransactionRecord[];
+	contexts: { transactionId: string; query: string; hits: KnowledgeHit[] }[];
+	// Knowledge-base categories the report drew on, retrieved or matched by the rules
+	categories: string[];
+	verification?: VerificationSummary;
+	summary?: FailureStats;
+	report: string;
+};
+
+// What the list endpoint returns per report
+export type ReportListItem = Pick<
+	StoredReport,
+	"id" | "createdAt" | "engine" | "generatedBy" | "promptVersion" | "categories"
+> & {
+	inputHash: string;
+	files: string[];
+	transactionIds: string[];
+	failureReasons: string[];
+	bankCodes: string[];
+	verification?: VerificationSummary["status"];
+	// Only set for a full-text search
+	score?: number;
+	snippet?: string;
+};
+
+export type ReportFilter = {
+	from?: string;
+	to?: string;
+	transactionId?: string;
+	// A knowledge-base category (gateway-timeout) or a Failure Reason (GatewayTimeout)
+	category?: string;
+	bankCode?: string;
+	// Which engine wrote the report
+	engine?: RcaMode;
+	// Full-text query; every word has to appear in the report or its transactions
+	q?: string;
+	limit?: number;
+	offset?: number;
+};
+
+export class ReportNotFoundError extends Error {}
+
+const REPORT_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const reportFile = (tenantId: string, id: string) => dataPath("reports", tenantId, `${id}.json`);
+
+const sha256File = (filePath: string) =>
+	new Promise<{ sha256: string; bytes: number }>((resolve, reject) => {
+		const hash = crypto.createHash("sha256");
+		let bytes = 0;
+		fs.createReadStream(filePath)
+			.on("data", (chunk) => {
+				bytes += chunk.length;
+				hash.update(chunk);
+			})
+			.on("error", reject)
+			.on("end", () => resolve({ sha256: hash.digest("hex"), bytes }));
+	});
+
+export const fingerprintUploads = async (logFiles: UploadedLog[]): Promise<RcaInput> => {
+	const files = [];
+	for (const file of logFiles) files.push({ name: file.name, ...(await sha256File(file.path)) });
+	const hash = crypto.createHash("sha256");
+	for (const file of files) hash.update(file.sha256);
+	return { hash: hash.digest("hex"), files };
+};
+
+// lower is what searches run against; text is kept for snippets
+type IndexedReport = { item: ReportListItem; text: string; lower: string };
+
+// Reports are loaded per tenant on first use and kept in memory for filtering and search
+const indexes = new Map<string, IndexedReport[]>();
+
+const normalize = (value: string) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const unique = (values: (string | undefined)[]) => [...new Set(values.filter((v): v is string => !!v))];
+
+const toListItem = (report: StoredReport): ReportListItem => ({
+	id: report.id,
+	createdAt: report.createdAt,
+	engine: report.engine,
+	generatedBy: report.generatedBy,
+	promptVersion: report.promptVersion,
+	categories: report.categories,
+	inputHash: report.input.hash,
+	files: report.input.files.map((f) => f.name),
+	transactionIds: unique(report.transactions.map((t) => t.transactionId)),
+	failureReasons: unique(report.transactions.map((t) => t.failureReason)),
+	bankCodes: unique(report.transactions.map((t) => t.bankCode)),
+	verification: report.verification?.status,
+});
+
+const toIndexed = (report: StoredReport): IndexedReport => {
+	const text = [report.report, ...report.transactions.flatMap((t) => Object.values(t.fields))].join("\n");
+	return { text, lower: text.toLowerCase(), item: toListItem(report) };
+};
+
+const loadIndex = (tenantId: string) => {
+	let index = indexes.get(tenantId);
+	if (!index) {
+		const dir = path.dirname(reportFile(tenantId, "_"));
+		index = fs
+			.readdirSync(dir)
+			.filter((file) => file.endsWith(".json"))
+			.map((file) => readJsonFile<StoredReport | undefined>(path.join(dir, file), undefined))
+			.filter((report): report is StoredReport => !!report)
+			.map(toIndexed)
+			.sort((a, b) => b.item.createdAt.localeCompare(a.item.createdAt));
+		indexes.set(tenantId, index);
+	}
+	return index;
+};
+
+// Stores one finished run. A failure here is logged rather than failing the
+// request, since the caller already has its report.
+export const recordRCA = (prepared: PreparedRCA, result: RcaResult): string | undefined => {
+	try {
+		const rules = getRcaRules();
+		const report: StoredReport = {
+			id: uuidv4(),
+			tenantId: prepared.tenant.id,
+			createdAt: new Date().toISOString(),
+			input: prepared.input,
+			engine: result.engine,
+			generatedBy: result.generatedBy,
+			promptVersion: prepared.promptVersion,
+			systemPrompt: result.engine === "llm" ? prepared.systemPrompt : undefined,
+			prompt: result.engine === "llm" ? prepared.prompt : undefined,
+			transactions: prepared.transactions,
+			contexts: prepared.contexts.map(({ transaction, query, hits }) => ({
+				transactionId: transaction.transactionId,
+				query,
+				hits,
+			})),
+			categories: unique([
+				...prepared.contexts.flatMap((c) => c.hits.map((hit) => hit.category)),
+				...prepared.transactions.map((t) => matchRule(t, rules)?.category),
+			]),
+			verification: result.verification,
+			summary: result.summary,
+			report: result.report,
+		};
+
+		// Loaded before the write, or a first load would already pick the new file up from disk
+		const index = loadIndex(report.tenantId);
+		writeJsonFile(reportFile(report.tenantId, report.id), report);
+		index.unshift(toIndexed(report));
+		return report.id;
+	} catch (err) {
+		console.error("Could not store RCA report:", err);
+		return undefined;
+	}
+};
+
+// Another tenant's report is reported as missing
+export const getReport = (tenant: Tenant, id: string) => {
+	const report = REPORT_ID.test(id)
+		? readJsonFile<StoredReport | undefined>(reportFile(tenant.id, id), undefined)
+		: undefined;
+	if (!report) throw new ReportNotFoundError(`Report ${id} not found`);
+	return report;
+};
+
+const snippetOf = ({ text, lower }: IndexedReport, term: string) => {
+	const at = lower.indexOf(term);
+	const start = Math.max(at - 60, 0);
+	return `${start ? "…" : ""}${text.slice(start, at + term.length + 60).replace(/\s+/g, " ").trim()}…`;
+};
+
+const countOf = (text: string, term: string) => text.split(term).length - 1;
+
+export const listReports = (
+	tenant: Tenant,
+	{ from, to, transactionId, category, bankCode, engine, q, limit = 20, offset = 0 }: ReportFilter = {}
+) => {
+	const terms = (q || "").toLowerCase().split(/\s+/).filter(Boolean);
+	const wanted = (values: string[], value?: string) =>
+		!value || values.some((v) => normalize(v) === normalize(value));
+
+	const matches = loadIndex(tenant.id)
+		.filter(
+			({ item, lower }) =>
+				(!from || item.createdAt >= from) &&
+				// A date-only "to" includes that whole day
+				(!to || item.createdAt.slice(0, to.length) <= to) &&
+				wanted(item.transactionIds, transactionId) &&
+				wanted([...item.categories, ...item.failureReasons], category) &&
+				wanted(item.bankCodes, bankCode) &&
+				(!engine || item.engine === engine) &&
+				terms.every((term) => lower.includes(term))
+		)
+		.map((indexed) =>
+			terms.length
+				? {
+						...indexed.item,
+						score: terms.reduce((sum, term) => sum + countOf(indexed.lower, term), 0),
+						snippet: snippetOf(indexed, terms[0]),
+					}
+				: indexed.item
+		);
+
+	// Newest first; a search puts the best matches first
+	if (terms.length) matches.sort((a, b) => b.score! - a.score! || b.createdAt.localeCompare(a.createdAt));
+
+	return { total: matches.length, limit, offset, reports: matches.slice(offset, offset + limit) };
+};
@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { getVectorStore, VectorMatch } from "./vectorStore";
+import { retrieveTransactionContext } from "./retrieval";
+
+vi.mock("./vectorStore", () => {
+	const store = { search: vi.fn() };
+	return { getVectorStore: () => store };
+});
+
+const search = vi.mocked(getVectorStore().search);
+
+const failed = (id: string, reason: string) =>
+	toTransactionRecord({ TransactionID: id, Status: "FAILED", "Failure Reason": reason }, 1);
+
+const match = (id: string, score: number, category: string, text = `Runbook for ${category}`): VectorMatch => ({
+	id,
+	score,
+	fields: { category, chunk_text: text },
+});
+
+describe("retrieveTransactionContext", () => {
+	beforeEach(() => {
+		search.mockReset();
+		search.mockImplementation(async (_namespace, query) =>
+			query.includes("Timeout")
+				? [
+						match("kb-1", 0.92, "gateway-timeout"),
+						match("kb-1-copy", 0.9, "gateway-timeout"),
+						match("kb-2", 0.6, "bank-downtime"),
+					]
+				: [match("kb-3", 0.81, "insufficient-funds")]
+		);
+	});
+	afterEach(() => {
+		delete process.env.RCA_RETRIEVAL_MIN_SCORE;
+	});
+
+	it("searches once per failure signature and gives every transaction its own hits", async () => {
+		const transactions = [
+			failed("TXN1", "GatewayTimeout"),
+			failed("TXN2", "InsufficientFunds"),
+			failed("TXN3", "GatewayTimeout"),
+		];
+		const contexts = await retrieveTransactionContext("tenant-acme", transactions);
+
+		expect(search).toHaveBeenCalledTimes(2);
+		expect(search.mock.calls.every(([namespace]) => namespace === "tenant-acme")).toBe(true);
+		expect(contexts.map((c) => c.transaction.transactionId)).toEqual(["TXN1", "TXN2", "TXN3"]);
+		expect(contexts.map((c) => c.hits.map((h) => h.category))).toEqual([
+			["gateway-timeout"],
+			["insufficient-funds"],
+			["gateway-timeout"],
+		]);
+	});
+
+	it("keeps only the best-scored copy of a runbook", async () => {
+		const [context] = await retrieveTransactionContext("ns", [failed("TXN1", "GatewayTimeout")]);
+		expect(context.hits).toEqual([
+			{ id: "kb-1", score: 0.92, category: "gateway-timeout", text: "Runbook for gateway-timeout" },
+		]);
+	});
+
+	it("keeps weak matches when the minimum score is set to 0", async () => {
+		process.env.RCA_RETRIEVAL_MIN_SCORE = "0";
+		const [context] = await retrieveTransactionContext("ns", [failed("TXN1", "GatewayTimeout")]);
+		expect(context.hits.map((h) => h.id)).toEqual(["kb-1", "kb-2"]);
+	});
+});
@@ -0,0 +1,81 @@
+import { getVectorStore } from "./vectorStore";
+import { formatTransaction, TransactionRecord } from "../parsers/transactionLog";
+import { numberSetting } from "../utils/settings";
+
+const topK = () => Number(process.env.RCA_RETRIEVAL_TOP_K) || 3;
+// 0 keeps every match the store returns
+const minScore = () => numberSetting("RCA_RETRIEVAL_MIN_SCORE", 0.75);
+
+export type KnowledgeHit = {
+	id: string;
+	score: number;
+	category?: string;
+	text: string;
+};
+
+export type TransactionContext = {
+	transaction: TransactionRecord;
+	query: string;
+	hits: KnowledgeHit[];
+};
+
+// Only the failure-describing fields go into the query so that amounts, IDs
+// and timestamps don't drag the embedding towards unrelated runbooks
+export const buildRetrievalQuery = (transaction: TransactionRecord) =>
+	[transaction.failureReason, transaction.component, transaction.rootCause]
+		.filter(Boolean)
+		.join("\n") || formatTransaction(transaction);
+
+const searchKnowledgeBase = async (namespace: string, query: string): Promise<KnowledgeHit[]> => {
+	const matches = await getVectorStore().search(namespace, query, topK());
+	const threshold = minScore();
+
+	const seen = new Set<string>();
+	return matches
+		.filter((match) => match.score && match.score > threshold)
+		.map((match) => ({
+			id: match.id,
+			score: match.score,
+			category: match.fields.category,
+			text: match.fields.chunk_text || "",
+		}))
+		.filter((hit) => {
+			// The same runbook can be stored under several IDs; keep the best-scored copy
+			const key = `${hit.category}\n${hit.text}`;
+			if (!hit.text || seen.has(key)) return false;
+			seen.add(key);
+			return true;
+		});
+};
+
+// Runs one knowledge-base search per failed transaction. Transactions that
+// share the same failure signature share a single search. Only the given
+// namespace (the tenant's) is searched.
+export const retrieveTransactionContext = async (
+	namespace: string,
+	transactions: TransactionRecord[],
+	onSearched?: (done: number, total: number) => void
+): Promise<TransactionContext[]> => {
+	const searches = new Map<string, Promise<KnowledgeHit[]>>();
+	let done = 0;
+
+	for (const transaction of transactions) {
+		const query = buildRetrievalQuery(transaction);
+		if (searches.has(query)) continue;
+
+		searches.set(
+			query,
+			searchKnowledgeBase(namespace, query).then((hits) => {
+				onSearched?.(++done, searches.size);
+				return hits;
+			})
+		);
+	}
+
+	return Promise.all(
+		transactions.map(async (transaction) => {
+			const query = buildRetrievalQuery(transaction);
+			return { transaction, query, hits: await searches.get(query)! };
+		})
+	);
+};
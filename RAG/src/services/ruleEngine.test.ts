@@ -0,0 +1,67 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { toTransactionRecord } from "../parsers/transactionLog";
+import { DEFAULT_RCA_RULES, RcaRules } from "../config/rcaRules";
+import { DEFAULT_REDACTION_RULES } from "../config/redaction";
+import { DEFAULT_TENANT } from "../config/tenants";
+import { createRedactor } from "./redaction";
+import { generateRuleBasedResult, PreparedRCA } from "./rcaService";
+import { matchRule } from "./ruleEngine";
+
+vi.mock("./knowledgeBase", () => ({
+	listEntries: (_tenant: unknown, { category }: { category: string }) =>
+		category === "maintenance-downtime"
+			? [{ text: "The bank is in its maintenance window.\nRetry after the window.", createdAt: "2025-01-01" }]
+			: [],
+}));
+vi.mock("./reportHistory", () => ({}));
+
+const RULES: RcaRules = { ...DEFAULT_RCA_RULES, bankCodes: { "maintenance-downtime": ["SBIN"] } };
+
+const failed = (fields: Record<string, string>) =>
+	toTransactionRecord({ TransactionID: "TXN1", Status: "FAILED", ...fields }, 1);
+
+describe("matchRule", () => {
+	it("prefers the failure reason, then the component, then the bank", () => {
+		expect(matchRule(failed({ "Failure Reason": "Gateway Timeout", Component: "RiskEngine" }), RULES)).toEqual({
+			category: "gateway-timeout",
+			field: "Failure Reason",
+			value: "Gateway Timeout",
+		});
+		expect(matchRule(failed({ "Failure Reason": "Odd", Component: "RiskEngine" }), RULES)?.category).toBe("fraud-flag");
+		expect(matchRule(failed({ BankCode: "SBIN" }), RULES)?.category).toBe("maintenance-downtime");
+	});
+
+	it("only matches short values exactly", () => {
+		expect(matchRule(failed({ "Failure Reason": "504" }), RULES)?.category).toBe("gateway-timeout");
+		expect(matchRule(failed({ "Failure Reason": "E5040" }), RULES)).toBeUndefined();
+	});
+
+	it("can't match a bank once its code is hashed", () => {
+		const redacted = createRedactor(DEFAULT_REDACTION_RULES).redactRecord(failed({ BankCode: "SBIN" }));
+		expect(matchRule(redacted, RULES)).toBeUndefined();
+	});
+});
+
+describe("generateRuleBasedResult", () => {
+	afterEach(() => {
+		delete process.env.RCA_RULES;
+	});
+
+	it("matches bank rules on the raw records while the prompt side stays redacted", () => {
+		process.env.RCA_RULES = JSON.stringify({ bankCodes: RULES.bankCodes });
+		const transaction = failed({ BankCode: "SBIN", Channel: "UPI" });
+		const redactor = createRedactor(DEFAULT_REDACTION_RULES);
+		const prepared = {
+			tenant: DEFAULT_TENANT,
+			transactions: [transaction],
+			contexts: [{ transaction: redactor.redactRecord(transaction), query: "", hits: [] }],
+			redactor,
+		} as unknown as PreparedRCA;
+
+		const { report, engine } = generateRuleBasedResult(prepared, { mode: "flag" });
+
+		expect(engine).toBe("rules");
+		expect(report).toContain('[maintenance-downtime] The bank is in its maintenance window. (matched on BankCode "SBIN")');
+		expect(report).toContain("1. Retry after the window.");
+	});
+});
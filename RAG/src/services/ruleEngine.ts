@@ -0,0 +1,103 @@
+import { getRcaRules, RcaRules, RuleMapping } from "../config/rcaRules";
+import { TransactionRecord } from "../parsers/transactionLog";
+import { listEntries } from "./knowledgeBase";
+import { Tenant } from "../config/tenants";
+import { RcaFinding, renderRcaMarkdown } from "./rcaReport";
+
+export type RuleMatch = {
+	category: string;
+	field: "Failure Reason" | "Component" | "BankCode";
+	value: string;
+};
+
+const normalize = (value: string) => value.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Exact matches win over partial ones; short values like "504" only match exactly
+const findCategory = (value: string | undefined, mapping: RuleMapping) => {
+	if (!value) return undefined;
+	const normalized = normalize(value);
+	const entries = Object.entries(mapping);
+
+	const exact = entries.find(([, values]) => values.some((v) => normalize(v) === normalized));
+	if (exact) return exact[0];
+
+	const partial = entries.find(([, values]) =>
+		values.some((v) => normalize(v).length >= 5 && normalized.includes(normalize(v)))
+	);
+	return partial?.[0];
+};
+
+// Failure Reason is the most specific signal, then the component, then the bank
+export const matchRule = (record: TransactionRecord, rules: RcaRules = getRcaRules()): RuleMatch | undefined => {
+	const candidates: [RuleMatch["field"], string | undefined, RuleMapping][] = [
+		["Failure Reason", record.failureReason, rules.reasons],
+		["Component", record.component, rules.components],
+		["BankCode", record.bankCode, rules.bankCodes],
+	];
+
+	for (const [field, value, mapping] of candidates) {
+		const category = findCategory(value, mapping);
+		if (category) return { category, field, value: value! };
+	}
+	return undefined;
+};
+
+const splitSentences = (text: string) =>
+	text
+		.split(/\n|(?<=[.?!])\s+/)
+		.map((s) => s.trim())
+		.filter(Boolean);
+
+// Runbooks are written as "<cause>\n<actions>", so the first sentence of the
+// oldest entry is the root cause and everything after it is an action
+const runbookFor = (tenant: Tenant, category: string) => {
+	const sentences = listEntries(tenant, { category })
+		.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+		.map((entry) => splitSentences(entry.text));
+
+	if (!sentences.length) return undefined;
+	return {
+		rootCause: sentences[0][0],
+		actions: [...sentences[0].slice(1), ...sentences.slice(1).flat()],
+	};
+};
+
+const toFinding = (tenant: Tenant, record: TransactionRecord, rules: RcaRules): RcaFinding => {
+	const match = matchRule(record, rules);
+	const runbook = match && runbookFor(tenant, match.category);
+
+	let rootCause: string;
+	if (match && runbook) {
+		rootCause = `[${match.category}] ${runbook.rootCause} (matched on ${match.field} "${match.value}")`;
+	} else if (match) {
+		rootCause = `Matched ${match.category} on ${match.field} "${match.value}", but the knowledge base has no runbook for it.`;
+	} else {
+		rootCause = record.rootCause || `No rule matches Failure Reason "${record.failureReason || "N/A"}".`;
+	}
+
+	const actions = [...(runbook?.actions || []), record.actionTaken].filter((a): a is string => !!a);
+
+	return {
+		transactionId: record.transactionId,
+		details: {
+			timestamp: record.timestamp,
+			channel: record.channel,
+			status: record.status,
+			failureReason: record.failureReason,
+			component: record.component,
+			finalStatus: record.finalStatus,
+			sourceFile: record.sourceFile,
+		},
+		rootCause,
+		correctiveActions: actions.length ? actions : ["Escalate for manual review."],
+	};
+};
+
+// Builds the same report the model is asked for, from runbooks alone. Used
+// with mode=rules and whenever every LLM provider fails. Runbooks come from the
+// tenant's own knowledge base.
+export const generateRuleBasedRCA = (
+	tenant: Tenant,
+	transactions: TransactionRecord[],
+	rules: RcaRules = getRcaRules()
+) => renderRcaMarkdown(transactions.map((t) => toFinding(tenant, t, rules)));
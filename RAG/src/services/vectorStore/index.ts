@@ -0,0 +1,26 @@
+import { createLocalStore } from "./localStore";
+import { createPineconeStore } from "./pineconeStore";
+import { VectorStore } from "./types";
+
+export * from "./types";
+
+export const DEFAULT_NAMESPACE = process.env.VECTOR_NAMESPACE || "my-namespace";
+
+const factories: Record<string, () => VectorStore> = {
+	pinecone: createPineconeStore,
+	local: createLocalStore,
+};
+
+const stores = new Map<string, VectorStore>();
+
+// VECTOR_STORE picks the backend; scripts may pass a name to override it
+export const getVectorStore = (name = process.env.VECTOR_STORE || "pinecone") => {
+	const key = name.toLowerCase();
+	if (!factories[key]) {
+		throw new Error(
+			`Unknown vector store "${name}". Expected one of: ${Object.keys(factories).join(", ")}`
+		);
+	}
+	if (!stores.has(key)) stores.set(key, factories[key]());
+	return stores.get(key)!;
+};
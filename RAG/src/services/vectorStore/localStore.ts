@@ -0,0 +1,54 @@
+import { embedText } from "../embeddings";
+import { cosineSimilarity } from "../../utils/cosineSimilarity";
+import { dataPath, readJsonFile, writeJsonFile } from "../../utils/fileStore";
+import { VectorRecord, VectorStore } from "./types";
+
+// File-backed store for environments that can't reach Pinecone. Each
+// namespace is persisted as data/vectors/<namespace>.json.
+export const createLocalStore = (): VectorStore => {
+	const namespaces = new Map<string, Map<string, VectorRecord>>();
+
+	const fileFor = (namespace: string) =>
+		dataPath("vectors", `${encodeURIComponent(namespace)}.json`);
+
+	const load = (namespace: string) => {
+		if (!namespaces.has(namespace)) {
+			const records = readJsonFile<VectorRecord[]>(fileFor(namespace), []);
+			namespaces.set(namespace, new Map(records.map((r) => [r.id, r])));
+		}
+		return namespaces.get(namespace)!;
+	};
+
+	const save = (namespace: string) =>
+		writeJsonFile(fileFor(namespace), [...load(namespace).values()]);
+
+	return {
+		name: "local",
+		search: async (namespace, text, topK) => {
+			const records = load(namespace);
+			if (!records.size) return [];
+
+			const query = await embedText(text);
+			return [...records.values()]
+				.map((record) => ({
+					id: record.id,
+					score: cosineSimilarity(query, record.values),
+					fields: record.metadata,
+				}))
+				.sort((a, b) => b.score - a.score)
+				.slice(0, topK);
+		},
+		upsert: async (namespace, records) => {
+			const stored = load(namespace);
+			records.forEach((record) => stored.set(record.id, record));
+			save(namespace);
+		},
+		delete: async (namespace, ids) => {
+			const stored = load(namespace);
+			ids.forEach((id) => stored.delete(id));
+			save(namespace);
+		},
+		listIds: async (namespace, prefix = "") =>
+			[...load(namespace).keys()].filter((id) => id.startsWith(prefix)),
+	};
+};
@@ -0,0 +1,52 @@
+import { getPineconeIndex } from "../../config/pinecone";
+import { VectorMatch, VectorStore } from "./types";
+
+type Hit = {
+	_id: string;
+	_score: number;
+	fields: {
+		chunk_text?: string;
+		category?: string;
+		[key: string]: any;
+	};
+};
+
+export const createPineconeStore = (): VectorStore => ({
+	name: "pinecone",
+	search: async (namespace, text, topK) => {
+		const result = await getPineconeIndex().namespace(namespace).searchRecords({
+			query: {
+				inputs: { text },
+				topK,
+			},
+			fields: ["category", "chunk_text"],
+		});
+
+		return (result.result.hits as Hit[]).map(
+			(hit): VectorMatch => ({ id: hit._id, score: hit._score, fields: hit.fields })
+		);
+	},
+	upsert: async (namespace, records) => {
+		if (!records.length) return;
+		await getPineconeIndex().namespace(namespace).upsert(records);
+	},
+	delete: async (namespace, ids) => {
+		if (!ids.length) return;
+		await getPineconeIndex().namespace(namespace).deleteMany(ids);
+	},
+	// Pinecone only supports listing on serverless indexes
+	listIds: async (namespace, prefix) => {
+		const ids: string[] = [];
+		let paginationToken: string | undefined;
+
+		do {
+			const page = await getPineconeIndex()
+				.namespace(namespace)
+				.listPaginated({ prefix, paginationToken });
+			page.vectors?.forEach((vector) => vector.id && ids.push(vector.id));
+			paginationToken = page.pagination?.next;
+		} while (paginationToken);
+
+		return ids;
+	},
+});
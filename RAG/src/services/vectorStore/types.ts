@@ -0,0 +1,26 @@
+export type VectorMetadata = {
+	chunk_text: string;
+	category: string;
+	[key: string]: string | number | boolean | string[];
+};
+
+export type VectorRecord = {
+	id: string;
+	values: number[];
+	metadata: VectorMetadata;
+};
+
+export type VectorMatch = {
+	id: string;
+	score: number;
+	fields: Partial<VectorMetadata>;
+};
+
+export type VectorStore = {
+	name: string;
+	search: (namespace: string, text: string, topK: number) => Promise<VectorMatch[]>;
+	upsert: (namespace: string, records: VectorRecord[]) => Promise<void>;
+	delete: (namespace: string, ids: string[]) => Promise<void>;
+	// IDs stored in the namespace, optionally only those starting with prefix
+	listIds: (namespace: string, prefix?: string) => Promise<string[]>;
+};
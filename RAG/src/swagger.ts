@@ -9,8 +9,18 @@ const options: swaggerJSDoc.Options = {
 		info: {
 			title: "RCA Generator API",
 			version: "1.0.0",
-			description: "API for generating Root Cause Analysis reports",
+			description:
+				"API for generating Root Cause Analysis reports. When tenants are configured, /rca and /kb " +
+				"need an API key or a JWT and only ever see the caller's tenant; a missing or invalid " +
+				"credential is a 401, a valid JWT for an unknown tenant a 403.",
 		},
+		components: {
+			securitySchemes: {
+				ApiKeyAuth: { type: "apiKey", in: "header", name: "X-API-Key" },
+				BearerAuth: { type: "http", scheme: "bearer", description: "API key or HS256 JWT with a tenant claim" },
+			},
+		},
+		security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
 	},
 	  apis: [path.resolve(__dirname, "./routes/*.ts")], // <-- Adjust this
 
@@ -1,31 +1,89 @@
 import { z } from "zod";
 import fs from "fs";
-import path from "path";
+import { formatTransaction, isFailedTransaction } from "../parsers/transactionLog";
+import { LOG_FORMATS, LogFormat, parseLogSources } from "../parsers";
+import { FieldMapping } from "../config/fieldMapping";
+import { ArchiveLimitError, readLogSources, UploadedLog } from "../services/logArchive";
+import { computeFailureStats, getSummaryDimensions } from "../services/failureStats";
+import { UnsupportedLogError } from "../services/logEncoding";
 
 export const getFailedTransactionsTool = {
 	name: "get-failed-transactions",
-	description: "Return full plain text contents of transaction.log",
-	inputSchema: z.object({}),
-	handler: async () => {
-		const logFilePath = path.join(process.cwd(), "uploads/transaction.log");
-
-		if (!fs.existsSync(logFilePath)) {
+	description:
+		"Parse uploaded log files or archives and return only FAILED/DECLINED transactions, merged across files by TransactionID",
+	inputSchema: z.object({
+		logFiles: z
+			.array(
+				z.object({
+					path: z.string().describe("Path of the uploaded file"),
+					name: z.string().describe("Original file name, reported as the source of each transaction"),
+				})
+			)
+			.min(1)
+			.describe("Log files and .zip/.tar/.tar.gz/.gz archives of log files"),
+		format: z
+			.enum(LOG_FORMATS as [LogFormat, ...LogFormat[]])
+			.optional()
+			.describe("Log format; detected from the contents of each file when omitted"),
+		fieldMapping: z
+			.record(z.array(z.string()))
+			.optional()
+			.describe("Extra vendor field names per canonical field, e.g. { \"TransactionID\": [\"rrn\"] }"),
+		dimensions: z
+			.array(z.string())
+			.optional()
+			.describe("Fields to break the failure summary down by, e.g. [\"Channel\", \"BankCode\"]"),
+	}),
+	handler: async ({
+		logFiles,
+		format,
+		fieldMapping,
+		dimensions,
+	}: {
+		logFiles: UploadedLog[];
+		format?: LogFormat;
+		fieldMapping?: FieldMapping;
+		dimensions?: string[];
+	}) => {
+		const missing = logFiles.find((file) => !fs.existsSync(file.path));
+		if (missing) {
 			return {
-				content: [{ type: "text", text: "transaction.log file not found" }],
+				content: [
+					{ type: "text", text: `${missing.name} file not found` },
+				],
+				isError: true,
 			};
 		}
 
 		try {
-			const rawText = fs.readFileSync(logFilePath, "utf-8");
+			const sources = await readLogSources(logFiles);
+			const { records, errors, formats } = parseLogSources(sources, { format, fieldMapping });
+			const failed = records.filter(isFailedTransaction);
+
+			errors.forEach((e) =>
+				console.warn(`Malformed log entry at ${e.sourceFile}:${e.line}: ${e.reason}`)
+			);
+
 			return {
 				content: [
 					{
 						type: "text",
-						text: `Full transaction.log contents:\n\n${rawText}`,
+						text: failed.length
+							? failed.map(formatTransaction).join("\n\n---\n\n")
+							: "No failed transactions found.",
 					},
 				],
+				structuredContent: {
+					files: formats,
+					transactions: failed,
+					malformed: errors,
+					// Counted over every entry, not just the failed ones
+					summary: computeFailureStats(records, getSummaryDimensions(dimensions)),
+				},
 			};
 		} catch (err: any) {
+			// Oversized or suspicious archives and binaries are the caller's fault, not a read error
+			if (err instanceof ArchiveLimitError || err instanceof UnsupportedLogError) throw err;
 			return {
 				content: [
 					{
@@ -33,6 +91,7 @@ export const getFailedTransactionsTool = {
 						text: `Error reading log file: ${err.message}`,
 					},
 				],
+				isError: true,
 			};
 		}
 	},
@@ -0,0 +1,20 @@
+// Same maths as ProductionOllamaRAGSystem.cosineSimilarity in Agent/ollama-prod.js
+export const cosineSimilarity = (vecA: number[], vecB: number[]) => {
+	if (!vecA || !vecB || vecA.length !== vecB.length) return 0;
+
+	let dotProduct = 0;
+	let normA = 0;
+	let normB = 0;
+
+	for (let i = 0; i < vecA.length; i++) {
+		dotProduct += vecA[i] * vecB[i];
+		normA += vecA[i] * vecA[i];
+		normB += vecB[i] * vecB[i];
+	}
+
+	const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+	if (denominator === 0) return 0;
+
+	const similarity = dotProduct / denominator;
+	return Number.isNaN(similarity) ? 0 : Math.max(-1, Math.min(1, similarity));
+};
@@ -0,0 +1,56 @@
+// Minimal RFC 4180 reader: quoted fields, escaped quotes ("") and newlines inside quotes
+export const parseCsv = (text: string, delimiter = ","): string[][] => {
+	const rows: string[][] = [];
+	let row: string[] = [];
+	let field = "";
+	let inQuotes = false;
+
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+
+		if (inQuotes) {
+			if (char === '"' && text[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				inQuotes = false;
+			} else {
+				field += char;
+			}
+			continue;
+		}
+
+		if (char === '"') {
+			inQuotes = true;
+		} else if (char === delimiter) {
+			row.push(field);
+			field = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && text[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += char;
+		}
+	}
+
+	if (field || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+	// Drop blank lines
+	return rows.filter((r) => r.some((cell) => cell.trim()));
+};
+
+// First row is the header; returns one object per remaining row
+export const parseCsvRecords = (text: string, delimiter = ","): Record<string, string>[] => {
+	const [header, ...rows] = parseCsv(text, delimiter);
+	if (!header) return [];
+
+	const keys = header.map((h) => h.trim());
+	return rows.map((row) =>
+		Object.fromEntries(keys.map((key, i) => [key, (row[i] ?? "").trim()]))
+	);
+};
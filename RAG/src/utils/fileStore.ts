@@ -0,0 +1,24 @@
+import fs from "fs";
+import path from "path";
+
+// Root for everything the service persists between restarts. Read on every call,
+// so DATA_DIR from .env applies whenever this module was first imported.
+const dataDir = () => path.resolve(process.env.DATA_DIR || path.join(process.cwd(), "data"));
+
+export const dataPath = (...segments: string[]) => {
+	const dir = path.join(dataDir(), ...segments.slice(0, -1));
+	if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+	return path.join(dir, segments[segments.length - 1]);
+};
+
+export const readJsonFile = <T>(filePath: string, fallback: T): T => {
+	if (!fs.existsSync(filePath)) return fallback;
+	return JSON.parse(fs.readFileSync(filePath, "utf-8")) as T;
+};
+
+// Write to a temp file first so a crash never leaves half-written JSON behind
+export const writeJsonFile = (filePath: string, data: unknown) => {
+	const tmpPath = `${filePath}.${process.pid}.tmp`;
+	fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+	fs.renameSync(tmpPath, filePath);
+};
@@ -0,0 +1,86 @@
+import { Request } from "express";
+import { getProvider, UnknownProviderError } from "../services/llm";
+import { LOG_FORMATS, LogFormat } from "../parsers";
+import { FieldMapping } from "../config/fieldMapping";
+import { GenerateRCAOptions, RCA_MODES, RcaMode } from "../services/rcaService";
+import { VERIFICATION_MODES, VerificationMode } from "../services/rcaVerification";
+import { requestTenant } from "../middleware/auth";
+
+export class RequestOptionError extends Error {}
+
+export type RcaRequestOptions = Pick<GenerateRCAOptions, "llm" | "ingest" | "verify" | "mode" | "dimensions" | "tenant">;
+
+// Options may come from the query string or from multipart text fields
+const pick = (req: Request, key: string) => {
+	const value = req.query[key] ?? req.body?.[key];
+	return typeof value === "string" && value.trim() ? value.trim() : undefined;
+};
+
+const parseFieldMapping = (value?: string): FieldMapping | undefined => {
+	if (!value) return undefined;
+
+	let mapping: unknown;
+	try {
+		mapping = JSON.parse(value);
+	} catch {
+		throw new RequestOptionError("fieldMapping must be JSON, e.g. {\"TransactionID\":[\"rrn\"]}");
+	}
+	const valid =
+		!!mapping &&
+		typeof mapping === "object" &&
+		Object.values(mapping).every((aliases) => Array.isArray(aliases) && aliases.every((a) => typeof a === "string"));
+	if (!valid) throw new RequestOptionError("fieldMapping must map field names to arrays of strings");
+	return mapping as FieldMapping;
+};
+
+const parseBoolean = (name: string, value?: string) => {
+	if (value === undefined) return undefined;
+	if (/^(true|1|yes)$/i.test(value)) return true;
+	if (/^(false|0|no)$/i.test(value)) return false;
+	throw new RequestOptionError(`${name} must be true or false`);
+};
+
+// ?provider= &model= &format= &fieldMapping= &verify= &strict= &mode= &dimensions=
+export const getRcaRequestOptions = (req: Request): RcaRequestOptions => {
+	const provider = pick(req, "provider");
+	if (provider) {
+		try {
+			getProvider(provider);
+		} catch (err) {
+			if (err instanceof UnknownProviderError) throw new RequestOptionError(err.message);
+			throw err;
+		}
+	}
+
+	const format = pick(req, "format") as LogFormat | undefined;
+	if (format && !LOG_FORMATS.includes(format)) {
+		throw new RequestOptionError(`format must be one of: ${LOG_FORMATS.join(", ")}`);
+	}
+
+	const verify = (pick(req, "verify") || process.env.RCA_VERIFY_MODE || "repair") as VerificationMode;
+	if (!VERIFICATION_MODES.includes(verify)) {
+		throw new RequestOptionError(`verify must be one of: ${VERIFICATION_MODES.join(", ")}`);
+	}
+
+	const mode = (pick(req, "mode") || "llm") as RcaMode;
+	if (!RCA_MODES.includes(mode)) {
+		throw new RequestOptionError(`mode must be one of: ${RCA_MODES.join(", ")}`);
+	}
+
+	const dimensions = pick(req, "dimensions")
+		?.split(",")
+		.map((d) => d.trim())
+		.filter(Boolean);
+
+	return {
+		tenant: requestTenant(req),
+		mode,
+		dimensions,
+		llm: { provider, model: pick(req, "model") },
+		ingest: { format, fieldMapping: parseFieldMapping(pick(req, "fieldMapping")) },
+		verify: {
+			mode: verify,
+			strict: parseBoolean("strict", pick(req, "strict")) ?? process.env.RCA_VERIFY_STRICT === "true",
+		},
+	};
+};
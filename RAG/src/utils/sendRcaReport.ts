@@ -0,0 +1,48 @@
+import { Response } from "express";
+import { ZodError } from "zod";
+import { parseRcaMarkdown, renderRcaCsv, renderRcaHtml } from "../services/rcaReport";
+import { RcaResult } from "../services/rcaService";
+import { formatVerificationSummary, verificationHeader } from "../services/rcaVerification";
+
+// Content negotiation for RCA reports; Markdown stays the default for */*.
+// The verification outcome goes in a header for every format and is appended to Markdown.
+export const sendRcaReport = (res: Response, { report: markdown, verification, engine, reportId }: RcaResult) => {
+	if (engine) res.setHeader("X-RCA-Engine", engine);
+	if (reportId) res.setHeader("X-RCA-Report-Id", reportId);
+	if (verification) res.setHeader("X-RCA-Verification", verificationHeader(verification));
+
+	const structured = () => {
+		try {
+			return parseRcaMarkdown(markdown);
+		} catch (err) {
+			if (!(err instanceof ZodError)) throw err;
+			console.error("RCA output did not match the report schema:", err.issues);
+			res.status(502).json({ error: "RCA output did not match the report schema" });
+			return null;
+		}
+	};
+
+	res.format({
+		"text/markdown": () => {
+			res.send(verification ? `${markdown}\n\n---\n\n${formatVerificationSummary(verification)}\n` : markdown);
+		},
+		"application/json": () => {
+			const findings = structured();
+			if (findings) res.json(findings);
+		},
+		"text/html": () => {
+			const findings = structured();
+			if (findings) res.send(renderRcaHtml(findings));
+		},
+		"text/csv": () => {
+			const findings = structured();
+			if (findings) res.send(renderRcaCsv(findings));
+		},
+		default: () => {
+			res.status(406).json({
+				error: "Not acceptable",
+				supported: ["text/markdown", "application/json", "text/html", "text/csv"],
+			});
+		},
+	});
+};
@@ -0,0 +1,20 @@
+// For settings where 0 means something (no limit, no minimum), unlike `Number(x) || default`.
+// Unset or empty gives the default, and so does a value that isn't a number >= 0, so a
+// typo can't switch a limit off.
+export const numberSetting = (name: string, fallback: number) => {
+	const value = process.env[name]?.trim();
+	if (!value) return fallback;
+
+	const number = Number(value);
+	if (Number.isFinite(number) && number >= 0) return number;
+	warnOnce(name, `${name}="${value}" is not a number >= 0; using ${fallback}`);
+	return fallback;
+};
+
+const warned = new Set<string>();
+
+const warnOnce = (name: string, message: string) => {
+	if (warned.has(name)) return;
+	warned.add(name);
+	console.warn(message);
+};